@@ -0,0 +1,256 @@
+// adminAccountController.js - Gestão das contas de administrador (criação, papéis, desativação e senhas).
+
+const bcrypt = require('bcrypt');
+const { pool } = require('./database');
+const { ADMIN_ROLES } = require('./authController');
+const { revokeAllSessions } = require('./sessions');
+
+const MIN_ADMIN_PASSWORD_LENGTH = 12;
+
+/**
+ * Valida a senha de um administrador (texto com o tamanho mínimo).
+ * @returns {string|null} Mensagem de erro ou null se válida.
+ */
+function validateAdminPassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_ADMIN_PASSWORD_LENGTH) {
+        return `A senha deve ter pelo menos ${MIN_ADMIN_PASSWORD_LENGTH} caracteres.`;
+    }
+    return null;
+}
+
+/**
+ * Verifica se a alteração deixaria o sistema sem nenhum super_admin ativo.
+ */
+async function isLastActiveSuperAdmin(adminId) {
+    const [rows] = await pool.execute(
+        "SELECT id FROM Admins WHERE role = 'super_admin' AND is_active = TRUE"
+    );
+    return rows.length === 1 && rows[0].id === Number(adminId);
+}
+
+// ===================================
+// Rotas do Super Admin
+// ===================================
+
+/**
+ * Lista todas as contas de administrador.
+ */
+async function listAdmins(req, res) {
+    try {
+        const [admins] = await pool.execute(
+            'SELECT id, username, role, is_active, created_at FROM Admins ORDER BY id ASC'
+        );
+        res.json(admins);
+    } catch (error) {
+        console.error('Erro ao listar administradores:', error);
+        res.status(500).json({ message: 'Erro interno ao listar administradores.' });
+    }
+}
+
+/**
+ * Cria uma nova conta de administrador.
+ * Body: { username, password, role }
+ */
+async function createAdmin(req, res) {
+    const { username, password, role } = req.body;
+
+    if (!username || !password || !role) {
+        return res.status(400).json({ message: 'Usuário, senha e papel são obrigatórios.' });
+    }
+    if (typeof username !== 'string') {
+        return res.status(400).json({ message: 'Usuário inválido.' });
+    }
+    if (!ADMIN_ROLES.includes(role)) {
+        return res.status(400).json({ message: `Papel inválido. Use: ${ADMIN_ROLES.join(', ')}.` });
+    }
+    const passwordError = validateAdminPassword(password);
+    if (passwordError) {
+        return res.status(400).json({ message: passwordError });
+    }
+
+    try {
+        const hashedPassword = await bcrypt.hash(password, 10);
+        const [result] = await pool.execute(
+            'INSERT INTO Admins (username, password_hash, role) VALUES (?, ?, ?)',
+            [username, hashedPassword, role]
+        );
+
+        res.status(201).json({ message: 'Administrador criado com sucesso!', adminId: result.insertId });
+
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ message: 'Este nome de usuário já está em uso.' });
+        }
+        console.error('Erro ao criar administrador:', error);
+        res.status(500).json({ message: 'Erro interno ao criar administrador.' });
+    }
+}
+
+/**
+ * Altera o papel e/ou ativa/desativa um administrador.
+ * Desativar encerra todas as sessões do administrador.
+ * Body: { role?, isActive? }
+ */
+async function updateAdmin(req, res) {
+    const { adminId } = req.params;
+    const { role, isActive } = req.body;
+
+    if (role === undefined && isActive === undefined) {
+        return res.status(400).json({ message: 'Informe o papel (role) e/ou o status (isActive).' });
+    }
+    if (role !== undefined && !ADMIN_ROLES.includes(role)) {
+        return res.status(400).json({ message: `Papel inválido. Use: ${ADMIN_ROLES.join(', ')}.` });
+    }
+
+    const deactivating = isActive !== undefined && !isActive;
+    const demoting = role !== undefined && role !== 'super_admin';
+
+    if (Number(adminId) === req.userId && (deactivating || demoting)) {
+        return res.status(400).json({ message: 'Você não pode desativar nem rebaixar a sua própria conta.' });
+    }
+
+    try {
+        const [admins] = await pool.execute('SELECT id FROM Admins WHERE id = ?', [adminId]);
+        if (admins.length === 0) {
+            return res.status(404).json({ message: 'Administrador não encontrado.' });
+        }
+
+        if ((deactivating || demoting) && await isLastActiveSuperAdmin(adminId)) {
+            return res.status(400).json({ message: 'Não é possível remover o último super_admin ativo.' });
+        }
+
+        const fields = [];
+        const params = [];
+        if (role !== undefined) {
+            fields.push('role = ?');
+            params.push(role);
+        }
+        if (isActive !== undefined) {
+            fields.push('is_active = ?');
+            params.push(Boolean(isActive));
+        }
+        await pool.execute(`UPDATE Admins SET ${fields.join(', ')} WHERE id = ?`, [...params, adminId]);
+
+        if (deactivating) {
+            await revokeAllSessions('admin', adminId, 'ADMIN_DESATIVADO');
+        }
+
+        res.json({ message: 'Administrador atualizado com sucesso!' });
+
+    } catch (error) {
+        console.error('Erro ao atualizar administrador:', error);
+        res.status(500).json({ message: 'Erro interno ao atualizar administrador.' });
+    }
+}
+
+/**
+ * Remove um administrador. Os cursos do instrutor ficam sem responsável.
+ */
+async function deleteAdmin(req, res) {
+    const { adminId } = req.params;
+
+    if (Number(adminId) === req.userId) {
+        return res.status(400).json({ message: 'Você não pode remover a sua própria conta.' });
+    }
+
+    try {
+        const [admins] = await pool.execute('SELECT id FROM Admins WHERE id = ?', [adminId]);
+        if (admins.length === 0) {
+            return res.status(404).json({ message: 'Administrador não encontrado.' });
+        }
+
+        if (await isLastActiveSuperAdmin(adminId)) {
+            return res.status(400).json({ message: 'Não é possível remover o último super_admin ativo.' });
+        }
+
+        await revokeAllSessions('admin', adminId, 'ADMIN_REMOVIDO');
+        await pool.execute('DELETE FROM Admins WHERE id = ?', [adminId]);
+
+        res.json({ message: 'Administrador removido com sucesso!' });
+
+    } catch (error) {
+        console.error('Erro ao remover administrador:', error);
+        res.status(500).json({ message: 'Erro interno ao remover administrador.' });
+    }
+}
+
+/**
+ * Define uma nova senha para outro administrador e encerra as sessões dele.
+ * Body: { password }
+ */
+async function setAdminPassword(req, res) {
+    const { adminId } = req.params;
+    const { password } = req.body;
+
+    const passwordError = validateAdminPassword(password);
+    if (passwordError) {
+        return res.status(400).json({ message: passwordError });
+    }
+
+    try {
+        const hashedPassword = await bcrypt.hash(password, 10);
+        const [result] = await pool.execute('UPDATE Admins SET password_hash = ? WHERE id = ?', [hashedPassword, adminId]);
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'Administrador não encontrado.' });
+        }
+
+        await revokeAllSessions('admin', adminId, 'TROCA_DE_SENHA');
+
+        res.json({ message: 'Senha do administrador alterada com sucesso!' });
+
+    } catch (error) {
+        console.error('Erro ao alterar senha do administrador:', error);
+        res.status(500).json({ message: 'Erro interno ao alterar senha do administrador.' });
+    }
+}
+
+// ===================================
+// Rotas do Próprio Admin
+// ===================================
+
+/**
+ * Troca a senha do administrador logado (exige a senha atual).
+ * As demais sessões do administrador são encerradas; a sessão atual continua ativa.
+ * Body: { currentPassword, newPassword }
+ */
+async function changeOwnPassword(req, res) {
+    const { currentPassword, newPassword } = req.body;
+
+    if (typeof currentPassword !== 'string' || !currentPassword || !newPassword) {
+        return res.status(400).json({ message: 'Senha atual e nova senha são obrigatórias.' });
+    }
+    const passwordError = validateAdminPassword(newPassword);
+    if (passwordError) {
+        return res.status(400).json({ message: passwordError });
+    }
+
+    try {
+        const [admins] = await pool.execute('SELECT password_hash FROM Admins WHERE id = ?', [req.userId]);
+        if (admins.length === 0 || !(await bcrypt.compare(currentPassword, admins[0].password_hash))) {
+            return res.status(401).json({ message: 'Senha atual incorreta.' });
+        }
+
+        const hashedPassword = await bcrypt.hash(newPassword, 10);
+        await pool.execute('UPDATE Admins SET password_hash = ? WHERE id = ?', [hashedPassword, req.userId]);
+        await pool.execute(
+            `UPDATE Sessions SET revoked_at = CURRENT_TIMESTAMP, revoke_reason = 'TROCA_DE_SENHA'
+             WHERE subject_type = 'admin' AND subject_id = ? AND id <> ? AND revoked_at IS NULL`,
+            [req.userId, req.sessionId]
+        );
+
+        res.json({ message: 'Senha alterada com sucesso!' });
+
+    } catch (error) {
+        console.error('Erro ao trocar a própria senha:', error);
+        res.status(500).json({ message: 'Erro interno ao trocar a senha.' });
+    }
+}
+
+module.exports = {
+    listAdmins,
+    createAdmin,
+    updateAdmin,
+    deleteAdmin,
+    setAdminPassword,
+    changeOwnPassword
+};
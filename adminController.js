@@ -1,34 +1,320 @@
 // adminController.js - Lógica CRUD para Cursos, Módulos e Aulas.
 
+const fs = require('fs');
 const { pool } = require('./database');
-const { uploadFile } = require('./cloudinary');
+const { config } = require('./config');
+const { uploadFile, deleteFile, uploadPrivateVideo, getSignedVideoUrl, deletePrivateVideo } = require('./storage');
+const { DRIP_MODES, COURSE_STATUSES, LESSON_STATUSES } = require('./courseAccess');
 const multer = require('multer');
 
-// Configuração do Multer para upload em memória (necessário para o Cloudinary)
-const upload = multer({
+// Imagens são pequenas: ficam em memória e seguem como Data URI para o armazenamento
+const imageUpload = multer({
     storage: multer.memoryStorage(),
-    limits: { fileSize: 10 * 1024 * 1024 * 1024 }, // Limite de 10GB para vídeos
+    limits: { fileSize: 10 * 1024 * 1024 }, // Limite de 10MB para imagens
 });
 
+// Vídeos são gravados em disco (pasta temporária) e enviados ao armazenamento por stream,
+// sem nunca ficarem inteiros na memória
+const videoUpload = multer({
+    storage: multer.diskStorage({ destination: config.uploads.tempDir }),
+    limits: { fileSize: config.uploads.maxFileSizeBytes },
+});
+
+/**
+ * Remove o arquivo temporário do vídeo quando a resposta termina (com sucesso ou erro).
+ */
+function discardTempVideo(req, res, next) {
+    if (req.file && req.file.path) {
+        res.on('close', () => {
+            fs.promises.unlink(req.file.path).catch(() => {});
+        });
+    }
+    next();
+}
+
 // Middleware de upload para imagens PNG
-const uploadCourseImage = upload.single('image');
-// Middleware de upload para vídeos
-const uploadVideo = upload.single('video');
+const uploadCourseImage = imageUpload.single('image');
+// Middleware de upload para vídeos (para arquivos grandes, prefira o upload em partes de uploadController.js)
+const uploadVideo = [videoUpload.single('video'), discardTempVideo];
+
+/**
+ * Converte o arquivo recebido pelo multer em Data URI para envio ao armazenamento.
+ */
+function fileToDataUri(file) {
+    return `data:${file.mimetype};base64,${file.buffer.toString('base64')}`;
+}
+
+/**
+ * Remove um arquivo antigo do armazenamento sem interromper a requisição.
+ * O registro no DB já foi atualizado; uma falha aqui apenas deixa um arquivo órfão.
+ */
+async function removeOldMedia(fileUrl, resourceType) {
+    if (!fileUrl) return;
+    try {
+        await deleteFile(fileUrl, resourceType);
+    } catch (error) {
+        console.error(`Não foi possível remover o arquivo antigo (${fileUrl}):`, error.message);
+    }
+}
+
+/**
+ * Remove o vídeo de uma aula: privado (public_id) ou URL pública das aulas antigas.
+ * @param {{ video_url: string, video_public_id: string|null }} lesson - Linha de Lessons.
+ */
+async function removeLessonVideo(lesson) {
+    if (!lesson.video_public_id) {
+        return removeOldMedia(lesson.video_url, 'video');
+    }
+    try {
+        await deletePrivateVideo(lesson.video_public_id);
+    } catch (error) {
+        console.error(`Não foi possível remover o vídeo privado (${lesson.video_public_id}):`, error.message);
+    }
+}
+
+/**
+ * Associa um vídeo privado já enviado a uma aula, removendo o vídeo anterior.
+ * @param {number} lessonId - ID da aula.
+ * @param {{ publicId: string, format: string }} video - Vídeo retornado pelo upload.
+ * @returns {Promise<boolean>} false se a aula não existir.
+ */
+async function attachLessonVideo(lessonId, video) {
+    const [lessons] = await pool.execute('SELECT id, video_url, video_public_id FROM Lessons WHERE id = ?', [lessonId]);
+    if (lessons.length === 0) {
+        return false;
+    }
+
+    await pool.execute(
+        "UPDATE Lessons SET video_url = '', video_public_id = ?, video_format = ? WHERE id = ?",
+        [video.publicId, video.format, lessonId]
+    );
+    await removeLessonVideo(lessons[0]);
+    return true;
+}
+
+/**
+ * Monta a cláusula SET de um UPDATE apenas com os campos enviados.
+ * @param {Object} fields - Mapa coluna -> valor (valores undefined são ignorados).
+ * @returns {{ setClause: string, params: Array }}
+ */
+function buildUpdateSet(fields) {
+    const columns = Object.keys(fields).filter(column => fields[column] !== undefined);
+    return {
+        setClause: columns.map(column => `${column} = ?`).join(', '),
+        params: columns.map(column => fields[column])
+    };
+}
+
+/**
+ * Valida os campos de Drip Content enviados pelo Admin (ver DRIP_MODES em courseAccess.js).
+ * No módulo, dripMode vazio significa herdar o modo do curso; releaseDate vazia remove a data.
+ * @returns {string|null} Mensagem de erro ou null se válido.
+ */
+function validateDripFields({ dripMode, dripDays, releaseDate }, allowInherit = false) {
+    if (dripMode !== undefined && !(allowInherit && !dripMode) && !DRIP_MODES.includes(dripMode)) {
+        return `Modo de liberação inválido. Use: ${DRIP_MODES.join(', ')}${allowInherit ? ' (ou vazio para herdar do curso)' : ''}.`;
+    }
+    if (dripDays !== undefined && (!Number.isInteger(Number(dripDays)) || Number(dripDays) < 0)) {
+        return 'Os dias de liberação (drip days) devem ser um inteiro maior ou igual a zero.';
+    }
+    if (releaseDate && isNaN(new Date(releaseDate).getTime())) {
+        return 'A data de liberação é inválida.';
+    }
+    return null;
+}
+
+/**
+ * Valida o status de publicação de um curso (ver COURSE_STATUSES em courseAccess.js).
+ * AGENDADO exige a data de publicação (publishAt) no futuro.
+ * @returns {string|null} Mensagem de erro ou null se válido.
+ */
+function validateCourseStatus({ status, publishAt }) {
+    if (status === undefined) return null;
+    if (!COURSE_STATUSES.includes(status)) {
+        return `Status inválido. Use: ${COURSE_STATUSES.join(', ')}.`;
+    }
+    if (status === 'AGENDADO' && (!publishAt || isNaN(new Date(publishAt).getTime()) || new Date(publishAt) <= new Date())) {
+        return 'Cursos agendados precisam de uma data de publicação (publishAt) no futuro.';
+    }
+    return null;
+}
+
+/**
+ * Data de publicação gravada junto com o status: a agendada, ou agora ao publicar.
+ * Nos demais status a data anterior é mantida (undefined = não alterar).
+ */
+function resolvePublishAt(status, publishAt) {
+    if (status === 'AGENDADO') return new Date(publishAt);
+    if (status === 'PUBLICADO') return new Date();
+    return undefined;
+}
+
+/**
+ * Verifica se o preço enviado é um número válido e não negativo (0 = curso gratuito).
+ */
+function isValidPrice(price) {
+    return price !== null && String(price).trim() !== '' && Number.isFinite(Number(price)) && Number(price) >= 0;
+}
+
+/**
+ * Converte a data de liberação enviada (undefined = não alterar, vazia = remover).
+ */
+function parseReleaseDate(releaseDate) {
+    if (releaseDate === undefined) return undefined;
+    return releaseDate ? new Date(releaseDate) : null;
+}
+
+/**
+ * Reescreve o order_index de um conjunto de registros em uma única transação.
+ * A lista enviada deve conter exatamente todos os registros do pai (curso ou módulo).
+ * @param {string} table - 'Modules' ou 'Lessons'.
+ * @param {string} parentColumn - 'course_id' ou 'module_id'.
+ * @param {number|string} parentId - ID do curso ou módulo.
+ * @param {Array<number>} orderedIds - IDs na nova ordem.
+ * @returns {Promise<boolean>} false se a lista não corresponder aos registros do pai.
+ */
+async function reorderRows(table, parentColumn, parentId, orderedIds) {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [rows] = await connection.execute(
+            `SELECT id FROM ${table} WHERE ${parentColumn} = ? FOR UPDATE`,
+            [parentId]
+        );
+        const currentIds = rows.map(row => row.id).sort((a, b) => a - b);
+        const requestedIds = orderedIds.map(Number).sort((a, b) => a - b);
+
+        const sameSet = currentIds.length === requestedIds.length
+            && currentIds.every((id, index) => id === requestedIds[index]);
+        if (!sameSet) {
+            await connection.rollback();
+            return false;
+        }
+
+        for (let index = 0; index < orderedIds.length; index++) {
+            await connection.execute(
+                `UPDATE ${table} SET order_index = ? WHERE id = ?`,
+                [index + 1, orderedIds[index]]
+            );
+        }
+
+        await connection.commit();
+        return true;
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+}
 
 // ===================================
 // Lógica de Cursos
 // ===================================
 
+/**
+ * Lista os cursos para o painel (todos os status). Instrutores veem apenas os próprios cursos.
+ * Query: ?status=RASCUNHO|PUBLICADO|AGENDADO|ARQUIVADO
+ */
+async function listAdminCourses(req, res) {
+    const { status } = req.query;
+
+    if (status !== undefined && !COURSE_STATUSES.includes(status)) {
+        return res.status(400).json({ message: `Status inválido. Use: ${COURSE_STATUSES.join(', ')}.` });
+    }
+
+    const conditions = [];
+    const params = [];
+    if (status) {
+        conditions.push('c.status = ?');
+        params.push(status);
+    }
+    if (req.adminRole === 'instructor') {
+        conditions.push('c.instructor_id = ?');
+        params.push(req.userId);
+    }
+
+    try {
+        // effective_status: agendados cuja data já chegou aparecem como publicados
+        const [courses] = await pool.execute(
+            `SELECT c.id, c.name, c.price, c.image_url, c.instructor_id, c.status, c.publish_at, c.drip_mode, c.created_at,
+                    IF(c.status = 'AGENDADO' AND c.publish_at <= CURRENT_TIMESTAMP, 'PUBLICADO', c.status) AS effective_status,
+                    (SELECT COUNT(*) FROM Modules m WHERE m.course_id = c.id) AS total_modules,
+                    (SELECT COUNT(*) FROM Lessons l JOIN Modules m ON l.module_id = m.id WHERE m.course_id = c.id) AS total_lessons
+             FROM Courses c
+             ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+             ORDER BY c.created_at DESC`,
+            params
+        );
+        res.json(courses);
+    } catch (error) {
+        console.error('Erro ao listar cursos do painel:', error);
+        res.status(500).json({ message: 'Erro interno ao listar cursos.' });
+    }
+}
+
+/**
+ * Prévia completa de um curso em qualquer status: dados públicos, módulos e todas as aulas
+ * (inclusive rascunhos), com as configurações de liberação e os vídeos assinados.
+ */
+async function previewCourse(req, res) {
+    const { courseId } = req.params;
+
+    try {
+        const [courses] = await pool.execute(
+            `SELECT id, name, image_url, description, price, instructor_id, status, publish_at, drip_mode
+             FROM Courses WHERE id = ?`,
+            [courseId]
+        );
+        if (courses.length === 0) {
+            return res.status(404).json({ message: 'Curso não encontrado.' });
+        }
+
+        const [modules] = await pool.execute(
+            'SELECT id, name, order_index, drip_mode, drip_days, release_date FROM Modules WHERE course_id = ? ORDER BY order_index ASC',
+            [courseId]
+        );
+        const [lessons] = await pool.execute(
+            `SELECT l.id, l.module_id, l.title, l.video_url, l.video_public_id, l.video_format, l.description_text, l.links,
+                    l.drip_days, l.release_date, l.order_index, l.status
+             FROM Lessons l JOIN Modules m ON l.module_id = m.id
+             WHERE m.course_id = ?
+             ORDER BY l.order_index ASC`,
+            [courseId]
+        );
+
+        for (const module of modules) {
+            module.lessons = lessons.filter(lesson => lesson.module_id === module.id).map(buildLessonPreview);
+        }
+
+        res.json({ course: courses[0], modules });
+
+    } catch (error) {
+        console.error('Erro ao gerar prévia do curso:', error);
+        res.status(500).json({ message: 'Erro interno ao gerar prévia do curso.' });
+    }
+}
+
 /**
  * Cria um novo Curso (com upload de imagem).
+ * O curso nasce como RASCUNHO (fora do catálogo), a menos que status seja enviado.
  */
 async function createCourse(req, res) {
     // req.file é preenchido pelo multer (uploadCourseImage)
-    const { name, description, price } = req.body;
+    const { name, description, price, dripMode, status = 'RASCUNHO', publishAt } = req.body;
     
-    if (!name || !description || !price || !req.file) {
+    if (!name || !description || price === undefined || !req.file) {
         return res.status(400).json({ message: 'Nome, descrição, preço e imagem (PNG) são obrigatórios.' });
     }
+    if (!isValidPrice(price)) {
+        return res.status(400).json({ message: 'O preço deve ser um número maior ou igual a zero.' });
+    }
+
+    const dripError = validateDripFields({ dripMode }) || validateCourseStatus({ status, publishAt });
+    if (dripError) {
+        return res.status(400).json({ message: dripError });
+    }
 
     // Validação básica do tipo de imagem (PNG)
     if (req.file.mimetype !== 'image/png') {
@@ -49,17 +335,26 @@ async function createCourse(req, res) {
         // 3. Deletar o arquivo temporário.
 
         // Para simular o upload para o Cloudinary de forma simples no contexto de um artefato:
-        const base64Image = `data:${req.file.mimetype};base64,${req.file.buffer.toString('base64')}`;
+        const base64Image = fileToDataUri(req.file);
         const imageUrl = await uploadFile(base64Image, 'image', 'cursos_capas');
 
+        // Instrutores são sempre responsáveis pelos cursos que criam;
+        // os demais admins podem indicar o instrutor (instructorId).
+        const instructorId = req.adminRole === 'instructor' ? req.userId : (req.body.instructorId || null);
+
         const [result] = await pool.execute(
-            'INSERT INTO Courses (name, description, price, image_url) VALUES (?, ?, ?, ?)',
-            [name, description, parseFloat(price), imageUrl]
+            `INSERT INTO Courses (name, description, price, image_url, instructor_id, drip_mode, status, publish_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                name, description, Number(price), imageUrl, instructorId, dripMode || 'DIAS_APOS_COMPRA',
+                status, resolvePublishAt(status, publishAt) || null
+            ]
         );
 
         res.status(201).json({ 
             message: 'Curso criado com sucesso!', 
             courseId: result.insertId,
+            status,
             imageUrl: imageUrl
         });
 
@@ -69,20 +364,124 @@ async function createCourse(req, res) {
     }
 }
 
+/**
+ * Atualiza um Curso (campos parciais e troca opcional da imagem de capa).
+ * Publicar, agendar (status AGENDADO + publishAt) ou arquivar também é feito por aqui.
+ */
+async function updateCourse(req, res) {
+    const { courseId } = req.params;
+    const { name, description, price, dripMode, status, publishAt } = req.body;
+    // Apenas admins que não são instrutores podem trocar o instrutor responsável
+    const instructorId = req.adminRole !== 'instructor' ? req.body.instructorId : undefined;
+
+    if ([name, description, price, instructorId, dripMode, status].every(value => value === undefined) && !req.file) {
+        return res.status(400).json({ message: 'Informe ao menos um campo para atualizar (nome, descrição, preço, modo de liberação, status ou imagem).' });
+    }
+
+    const dripError = validateDripFields({ dripMode }) || validateCourseStatus({ status, publishAt });
+    if (dripError) {
+        return res.status(400).json({ message: dripError });
+    }
+
+    if (price !== undefined && !isValidPrice(price)) {
+        return res.status(400).json({ message: 'O preço deve ser um número maior ou igual a zero.' });
+    }
+
+    if (req.file && req.file.mimetype !== 'image/png') {
+        return res.status(400).json({ message: 'O arquivo da imagem da capa deve ser PNG.' });
+    }
+
+    try {
+        const [courses] = await pool.execute('SELECT id, image_url FROM Courses WHERE id = ?', [courseId]);
+        if (courses.length === 0) {
+            return res.status(404).json({ message: 'Curso não encontrado.' });
+        }
+
+        const oldImageUrl = courses[0].image_url;
+        let imageUrl;
+        if (req.file) {
+            imageUrl = await uploadFile(fileToDataUri(req.file), 'image', 'cursos_capas');
+        }
+
+        const { setClause, params } = buildUpdateSet({
+            name,
+            description,
+            price: price !== undefined ? Number(price) : undefined,
+            image_url: imageUrl,
+            instructor_id: instructorId === '' ? null : instructorId,
+            drip_mode: dripMode,
+            status,
+            publish_at: resolvePublishAt(status, publishAt)
+        });
+        await pool.execute(`UPDATE Courses SET ${setClause} WHERE id = ?`, [...params, courseId]);
+
+        if (imageUrl) {
+            await removeOldMedia(oldImageUrl, 'image');
+        }
+
+        res.json({ message: 'Curso atualizado com sucesso!', courseId: Number(courseId), imageUrl: imageUrl || oldImageUrl });
+
+    } catch (error) {
+        console.error('Erro ao atualizar curso:', error.message);
+        res.status(500).json({ message: 'Erro interno ao atualizar curso.' });
+    }
+}
+
+/**
+ * Remove um Curso e, em cascata, seus módulos, aulas e compras.
+ * A capa e os vídeos das aulas também são removidos do armazenamento.
+ */
+async function deleteCourse(req, res) {
+    const { courseId } = req.params;
+
+    try {
+        const [courses] = await pool.execute('SELECT id, image_url FROM Courses WHERE id = ?', [courseId]);
+        if (courses.length === 0) {
+            return res.status(404).json({ message: 'Curso não encontrado.' });
+        }
+
+        const [lessons] = await pool.execute(
+            `SELECT l.video_url, l.video_public_id FROM Lessons l
+             JOIN Modules m ON l.module_id = m.id
+             WHERE m.course_id = ?`,
+            [courseId]
+        );
+
+        await pool.execute('DELETE FROM Courses WHERE id = ?', [courseId]);
+
+        await removeOldMedia(courses[0].image_url, 'image');
+        for (const lesson of lessons) {
+            await removeLessonVideo(lesson);
+        }
+
+        res.json({ message: 'Curso removido com sucesso!' });
+
+    } catch (error) {
+        console.error('Erro ao remover curso:', error);
+        res.status(500).json({ message: 'Erro interno ao remover curso.' });
+    }
+}
+
 // ===================================
 // Lógica de Módulos
 // ===================================
 
 /**
  * Cria um novo Módulo para um Curso existente.
+ * Drip Content (opcional): dripMode (vazio = herda do curso), dripDays e releaseDate do módulo inteiro.
  */
 async function createModule(req, res) {
-    const { courseId, name, orderIndex } = req.body;
+    const { courseId, name, orderIndex, dripMode, dripDays, releaseDate } = req.body;
 
     if (!courseId || !name || orderIndex === undefined) {
         return res.status(400).json({ message: 'ID do curso, nome do módulo e índice de ordem são obrigatórios.' });
     }
 
+    const dripError = validateDripFields({ dripMode, dripDays, releaseDate }, true);
+    if (dripError) {
+        return res.status(400).json({ message: dripError });
+    }
+
     try {
         // Verifica se o curso existe
         const [course] = await pool.execute('SELECT id FROM Courses WHERE id = ?', [courseId]);
@@ -91,8 +490,8 @@ async function createModule(req, res) {
         }
 
         const [result] = await pool.execute(
-            'INSERT INTO Modules (course_id, name, order_index) VALUES (?, ?, ?)',
-            [courseId, name, parseInt(orderIndex)]
+            'INSERT INTO Modules (course_id, name, order_index, drip_mode, drip_days, release_date) VALUES (?, ?, ?, ?, ?, ?)',
+            [courseId, name, parseInt(orderIndex), dripMode || null, dripDays !== undefined ? parseInt(dripDays) : 0, parseReleaseDate(releaseDate) || null]
         );
 
         res.status(201).json({ 
@@ -106,24 +505,140 @@ async function createModule(req, res) {
     }
 }
 
+/**
+ * Atualiza um Módulo (nome, índice de ordem, curso de destino ou Drip Content).
+ */
+async function updateModule(req, res) {
+    const { moduleId } = req.params;
+    const { courseId, name, orderIndex, dripMode, dripDays, releaseDate } = req.body;
+
+    if ([courseId, name, orderIndex, dripMode, dripDays, releaseDate].every(value => value === undefined)) {
+        return res.status(400).json({ message: 'Informe ao menos um campo para atualizar (curso, nome, índice de ordem ou liberação).' });
+    }
+
+    const dripError = validateDripFields({ dripMode, dripDays, releaseDate }, true);
+    if (dripError) {
+        return res.status(400).json({ message: dripError });
+    }
+
+    try {
+        const [modules] = await pool.execute('SELECT id FROM Modules WHERE id = ?', [moduleId]);
+        if (modules.length === 0) {
+            return res.status(404).json({ message: 'Módulo não encontrado.' });
+        }
+
+        // Se o módulo for movido, verifica se o curso de destino existe
+        if (courseId !== undefined) {
+            const [course] = await pool.execute('SELECT id FROM Courses WHERE id = ?', [courseId]);
+            if (course.length === 0) {
+                return res.status(404).json({ message: 'Curso não encontrado.' });
+            }
+        }
+
+        const { setClause, params } = buildUpdateSet({
+            course_id: courseId,
+            name,
+            order_index: orderIndex !== undefined ? parseInt(orderIndex) : undefined,
+            drip_mode: dripMode !== undefined ? (dripMode || null) : undefined,
+            drip_days: dripDays !== undefined ? parseInt(dripDays) : undefined,
+            release_date: parseReleaseDate(releaseDate)
+        });
+        await pool.execute(`UPDATE Modules SET ${setClause} WHERE id = ?`, [...params, moduleId]);
+
+        res.json({ message: 'Módulo atualizado com sucesso!', moduleId: Number(moduleId) });
+
+    } catch (error) {
+        console.error('Erro ao atualizar módulo:', error);
+        res.status(500).json({ message: 'Erro interno ao atualizar módulo.' });
+    }
+}
+
+/**
+ * Remove um Módulo e suas aulas (incluindo os vídeos no armazenamento).
+ */
+async function deleteModule(req, res) {
+    const { moduleId } = req.params;
+
+    try {
+        const [modules] = await pool.execute('SELECT id FROM Modules WHERE id = ?', [moduleId]);
+        if (modules.length === 0) {
+            return res.status(404).json({ message: 'Módulo não encontrado.' });
+        }
+
+        const [lessons] = await pool.execute('SELECT video_url, video_public_id FROM Lessons WHERE module_id = ?', [moduleId]);
+
+        await pool.execute('DELETE FROM Modules WHERE id = ?', [moduleId]);
+
+        for (const lesson of lessons) {
+            await removeLessonVideo(lesson);
+        }
+
+        res.json({ message: 'Módulo removido com sucesso!' });
+
+    } catch (error) {
+        console.error('Erro ao remover módulo:', error);
+        res.status(500).json({ message: 'Erro interno ao remover módulo.' });
+    }
+}
+
+/**
+ * Reordena todos os módulos de um curso.
+ * Body: { moduleIds: [3, 1, 2] } -> order_index passa a ser 1, 2, 3 nessa sequência.
+ */
+async function reorderModules(req, res) {
+    const { courseId } = req.params;
+    const { moduleIds } = req.body;
+
+    if (!Array.isArray(moduleIds) || moduleIds.length === 0) {
+        return res.status(400).json({ message: 'A lista de IDs dos módulos (moduleIds) é obrigatória.' });
+    }
+
+    try {
+        const [course] = await pool.execute('SELECT id FROM Courses WHERE id = ?', [courseId]);
+        if (course.length === 0) {
+            return res.status(404).json({ message: 'Curso não encontrado.' });
+        }
+
+        const reordered = await reorderRows('Modules', 'course_id', courseId, moduleIds);
+        if (!reordered) {
+            return res.status(400).json({ message: 'A lista deve conter exatamente todos os módulos do curso.' });
+        }
+
+        res.json({ message: 'Módulos reordenados com sucesso!' });
+
+    } catch (error) {
+        console.error('Erro ao reordenar módulos:', error);
+        res.status(500).json({ message: 'Erro interno ao reordenar módulos.' });
+    }
+}
+
 // ===================================
 // Lógica de Aulas
 // ===================================
 
 /**
  * Cria uma nova Aula com upload de vídeo (opcional) e links/descrição.
+ * Drip Content (conforme o modo do curso/módulo): dripDays (padrão 0) ou releaseDate.
  */
 async function createLesson(req, res) {
     // req.file é preenchido pelo multer (uploadVideo) - Se houver vídeo.
-    const { moduleId, title, descriptionText, linksJson, dripDays, orderIndex } = req.body;
+    const { moduleId, title, descriptionText, linksJson, dripDays, releaseDate, orderIndex, status = 'PUBLICADO' } = req.body;
 
-    if (!moduleId || !title || dripDays === undefined || orderIndex === undefined) {
-        return res.status(400).json({ message: 'Módulo ID, título, dias de liberação (drip days) e índice de ordem são obrigatórios.' });
+    if (!moduleId || !title || orderIndex === undefined) {
+        return res.status(400).json({ message: 'Módulo ID, título e índice de ordem são obrigatórios.' });
+    }
+    if (!LESSON_STATUSES.includes(status)) {
+        return res.status(400).json({ message: `Status inválido. Use: ${LESSON_STATUSES.join(', ')}.` });
     }
 
-    let videoUrl = '';
+    const dripError = validateDripFields({ dripDays, releaseDate });
+    if (dripError) {
+        return res.status(400).json({ message: dripError });
+    }
+
+    let video = null;
     
-    // 1. Upload de Vídeo, se existir
+    // 1. Upload de Vídeo, se existir (privado: entregue apenas por URL assinada)
     if (req.file) {
         // Validação básica de tipo de arquivo (assumindo vídeo)
         if (!req.file.mimetype.startsWith('video/')) {
@@ -131,16 +646,14 @@ async function createLesson(req, res) {
         }
         
         try {
-            // Em produção, use o caminho local temporário. Aqui, simulamos o upload.
-            const base64Video = `data:${req.file.mimetype};base64,${req.file.buffer.toString('base64')}`;
-            videoUrl = await uploadFile(base64Video, 'video', 'aulas_videos');
+            video = await uploadPrivateVideo(req.file.path, 'aulas_videos', req.file.originalname);
         } catch (uploadError) {
-            return res.status(500).json({ message: 'Falha ao enviar vídeo para o Cloudinary.' });
+            return res.status(500).json({ message: 'Falha ao enviar vídeo para o armazenamento.' });
         }
     } else {
         // Se não houver upload, o campo de vídeo será vazio ou deve ser preenchido
         // com um link externo, se for o caso. Aqui, assumimos que o upload é a fonte principal.
-        // Se for apenas link de texto, videoUrl fica vazia, mas a aula é criada.
+        // Se for apenas link de texto, a aula é criada sem vídeo.
         console.log("Nenhum arquivo de vídeo foi enviado, criando aula apenas com metadados.");
     }
     
@@ -154,23 +667,26 @@ async function createLesson(req, res) {
 
     try {
         const [result] = await pool.execute(
-            `INSERT INTO Lessons (module_id, title, video_url, description_text, links, drip_days, order_index) 
-             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            `INSERT INTO Lessons (module_id, title, video_url, video_public_id, video_format, description_text, links, drip_days, release_date, order_index, status) 
+             VALUES (?, ?, '', ?, ?, ?, ?, ?, ?, ?, ?)`,
             [
                 moduleId, 
                 title, 
-                videoUrl, 
+                video ? video.publicId : null, 
+                video ? video.format : null, 
                 descriptionText || null, 
                 links, 
-                parseInt(dripDays), 
-                parseInt(orderIndex)
+                dripDays !== undefined ? parseInt(dripDays) : 0, 
+                parseReleaseDate(releaseDate) || null, 
+                parseInt(orderIndex),
+                status
             ]
         );
 
         res.status(201).json({ 
             message: 'Aula criada com sucesso!', 
             lessonId: result.insertId,
-            videoUrl: videoUrl 
+            hasVideo: Boolean(video)
         });
 
     } catch (error) {
@@ -179,10 +695,202 @@ async function createLesson(req, res) {
     }
 }
 
+/**
+ * Atualiza uma Aula (campos parciais e troca opcional do vídeo).
+ */
+async function updateLesson(req, res) {
+    const { lessonId } = req.params;
+    const { moduleId, title, descriptionText, linksJson, dripDays, releaseDate, orderIndex, status } = req.body;
+
+    const hasFields = [moduleId, title, descriptionText, linksJson, dripDays, releaseDate, orderIndex, status].some(value => value !== undefined);
+    if (!hasFields && !req.file) {
+        return res.status(400).json({ message: 'Informe ao menos um campo para atualizar ou um novo vídeo.' });
+    }
+    if (status !== undefined && !LESSON_STATUSES.includes(status)) {
+        return res.status(400).json({ message: `Status inválido. Use: ${LESSON_STATUSES.join(', ')}.` });
+    }
+
+    const dripError = validateDripFields({ dripDays, releaseDate });
+    if (dripError) {
+        return res.status(400).json({ message: dripError });
+    }
+
+    if (req.file && !req.file.mimetype.startsWith('video/')) {
+        return res.status(400).json({ message: 'O arquivo enviado deve ser um vídeo.' });
+    }
+
+    let links;
+    if (linksJson !== undefined) {
+        try {
+            links = linksJson ? JSON.stringify(JSON.parse(linksJson)) : null;
+        } catch (e) {
+            return res.status(400).json({ message: 'Os links devem estar em formato JSON válido.' });
+        }
+    }
+
+    try {
+        const [lessons] = await pool.execute('SELECT id, video_url, video_public_id FROM Lessons WHERE id = ?', [lessonId]);
+        if (lessons.length === 0) {
+            return res.status(404).json({ message: 'Aula não encontrada.' });
+        }
+
+        // Se a aula for movida, verifica se o módulo de destino existe
+        if (moduleId !== undefined) {
+            const [module] = await pool.execute('SELECT id FROM Modules WHERE id = ?', [moduleId]);
+            if (module.length === 0) {
+                return res.status(404).json({ message: 'Módulo não encontrado.' });
+            }
+        }
+
+        let video;
+        if (req.file) {
+            try {
+                video = await uploadPrivateVideo(req.file.path, 'aulas_videos', req.file.originalname);
+            } catch (uploadError) {
+                return res.status(500).json({ message: 'Falha ao enviar vídeo para o armazenamento.' });
+            }
+        }
+
+        const { setClause, params } = buildUpdateSet({
+            module_id: moduleId,
+            title,
+            // Um novo vídeo é sempre privado; a URL pública antiga deixa de existir
+            video_url: video ? '' : undefined,
+            video_public_id: video ? video.publicId : undefined,
+            video_format: video ? video.format : undefined,
+            description_text: descriptionText !== undefined ? (descriptionText || null) : undefined,
+            links,
+            drip_days: dripDays !== undefined ? parseInt(dripDays) : undefined,
+            release_date: parseReleaseDate(releaseDate),
+            order_index: orderIndex !== undefined ? parseInt(orderIndex) : undefined,
+            status
+        });
+        await pool.execute(`UPDATE Lessons SET ${setClause} WHERE id = ?`, [...params, lessonId]);
+
+        if (video) {
+            await removeLessonVideo(lessons[0]);
+        }
+
+        res.json({ message: 'Aula atualizada com sucesso!', lessonId: Number(lessonId), videoReplaced: Boolean(video) });
+
+    } catch (error) {
+        console.error('Erro ao atualizar aula:', error);
+        res.status(500).json({ message: 'Erro interno ao atualizar aula.' });
+    }
+}
+
+/**
+ * Remove uma Aula e o seu vídeo no armazenamento.
+ */
+async function deleteLesson(req, res) {
+    const { lessonId } = req.params;
+
+    try {
+        const [lessons] = await pool.execute('SELECT id, video_url, video_public_id FROM Lessons WHERE id = ?', [lessonId]);
+        if (lessons.length === 0) {
+            return res.status(404).json({ message: 'Aula não encontrada.' });
+        }
+
+        await pool.execute('DELETE FROM Lessons WHERE id = ?', [lessonId]);
+        await removeLessonVideo(lessons[0]);
+
+        res.json({ message: 'Aula removida com sucesso!' });
+
+    } catch (error) {
+        console.error('Erro ao remover aula:', error);
+        res.status(500).json({ message: 'Erro interno ao remover aula.' });
+    }
+}
+
+/**
+ * Monta a prévia de uma aula com a mesma URL assinada e temporária entregue aos alunos.
+ */
+function buildLessonPreview({ video_public_id, video_format, ...lesson }) {
+    let videoUrlExpiresAt = null;
+    if (video_public_id) {
+        const signed = getSignedVideoUrl(video_public_id, video_format);
+        lesson.video_url = signed.url;
+        videoUrlExpiresAt = signed.expiresAt;
+    }
+
+    return {
+        ...lesson,
+        links: lesson.links ? JSON.parse(lesson.links) : null,
+        videoUrlExpiresAt
+    };
+}
+
+/**
+ * Prévia de uma aula para o Admin, com a mesma URL assinada e temporária entregue aos alunos.
+ */
+async function previewLesson(req, res) {
+    const { lessonId } = req.params;
+
+    try {
+        const [lessons] = await pool.execute(
+            `SELECT id, module_id, title, video_url, video_public_id, video_format, description_text, links, drip_days, release_date, order_index, status
+             FROM Lessons WHERE id = ?`,
+            [lessonId]
+        );
+        if (lessons.length === 0) {
+            return res.status(404).json({ message: 'Aula não encontrada.' });
+        }
+
+        res.json(buildLessonPreview(lessons[0]));
+
+    } catch (error) {
+        console.error('Erro ao gerar prévia da aula:', error);
+        res.status(500).json({ message: 'Erro interno ao gerar prévia da aula.' });
+    }
+}
+
+/**
+ * Reordena todas as aulas de um módulo.
+ * Body: { lessonIds: [5, 4, 6] } -> order_index passa a ser 1, 2, 3 nessa sequência.
+ */
+async function reorderLessons(req, res) {
+    const { moduleId } = req.params;
+    const { lessonIds } = req.body;
+
+    if (!Array.isArray(lessonIds) || lessonIds.length === 0) {
+        return res.status(400).json({ message: 'A lista de IDs das aulas (lessonIds) é obrigatória.' });
+    }
+
+    try {
+        const [module] = await pool.execute('SELECT id FROM Modules WHERE id = ?', [moduleId]);
+        if (module.length === 0) {
+            return res.status(404).json({ message: 'Módulo não encontrado.' });
+        }
+
+        const reordered = await reorderRows('Lessons', 'module_id', moduleId, lessonIds);
+        if (!reordered) {
+            return res.status(400).json({ message: 'A lista deve conter exatamente todas as aulas do módulo.' });
+        }
+
+        res.json({ message: 'Aulas reordenadas com sucesso!' });
+
+    } catch (error) {
+        console.error('Erro ao reordenar aulas:', error);
+        res.status(500).json({ message: 'Erro interno ao reordenar aulas.' });
+    }
+}
+
 module.exports = {
     uploadCourseImage,
     uploadVideo,
+    listAdminCourses,
+    previewCourse,
     createCourse,
+    updateCourse,
+    deleteCourse,
     createModule,
-    createLesson
+    updateModule,
+    deleteModule,
+    reorderModules,
+    createLesson,
+    updateLesson,
+    deleteLesson,
+    previewLesson,
+    reorderLessons,
+    attachLessonVideo
 };
@@ -0,0 +1,337 @@
+// analyticsController.js - Relatórios do Admin: vendas e receita por período, desempenho dos cursos e cadastros.
+
+const { pool } = require('./database');
+
+const GROUP_BY_OPTIONS = ['day', 'week', 'month'];
+const DEFAULT_RANGE_DAYS = 30;
+const DEFAULT_TOP_LIMIT = 10;
+const MAX_TOP_LIMIT = 50;
+
+// Vendas = pedidos pagos, inclusive os reembolsados depois (status PAGO ou REEMBOLSADO), na data do pagamento.
+// Os reembolsos entram no período da venda original. Pedidos de pacotes e planos não têm curso (course_id NULL):
+// aparecem no total de vendas, mas o filtro por curso considera apenas as compras avulsas e os presentes do curso.
+const SOLD_ORDER_SQL = "o.status IN ('PAGO', 'REEMBOLSADO')";
+
+// Curso vendido por um pedido: o próprio curso ou o curso do presente (requer LEFT JOIN CourseGifts g ON o.gift_id = g.id)
+const ORDER_COURSE_SQL = 'COALESCE(o.course_id, g.course_id)';
+
+/**
+ * Expressão SQL do início do período de uma coluna de data (dia, semana a partir de segunda-feira ou mês).
+ * @param {string} column - Coluna de data (ex: 'o.paid_at').
+ * @param {string} groupBy - 'day', 'week' ou 'month'.
+ */
+function periodSql(column, groupBy) {
+    switch (groupBy) {
+        case 'week':
+            return `DATE_FORMAT(DATE_SUB(${column}, INTERVAL WEEKDAY(${column}) DAY), '%Y-%m-%d')`;
+        case 'month':
+            return `DATE_FORMAT(${column}, '%Y-%m-01')`;
+        default:
+            return `DATE_FORMAT(${column}, '%Y-%m-%d')`;
+    }
+}
+
+/**
+ * Formata uma data como AAAA-MM-DD.
+ */
+function formatDate(date) {
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * Valida os filtros comuns dos relatórios.
+ * Query: ?from=AAAA-MM-DD&to=AAAA-MM-DD (inclusivo, padrão: últimos 30 dias)&groupBy=day|week|month&courseId=1
+ * @returns {{ error: string } | { from: string, to: string, groupBy: string, courseId: number|null }}
+ */
+function parseAnalyticsFilters(query) {
+    const { from, to, groupBy = 'day', courseId } = query;
+
+    for (const value of [from, to]) {
+        if (value !== undefined && (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(new Date(value).getTime()))) {
+            return { error: 'Datas inválidas. Use o formato AAAA-MM-DD.' };
+        }
+    }
+    if (!GROUP_BY_OPTIONS.includes(groupBy)) {
+        return { error: `Agrupamento inválido. Use: ${GROUP_BY_OPTIONS.join(', ')}.` };
+    }
+    if (courseId !== undefined && (!Number.isInteger(Number(courseId)) || Number(courseId) < 1)) {
+        return { error: 'ID do curso inválido.' };
+    }
+
+    const end = to || formatDate(new Date());
+    const start = from || formatDate(new Date(new Date(end).getTime() - (DEFAULT_RANGE_DAYS - 1) * 24 * 60 * 60 * 1000));
+    if (start > end) {
+        return { error: 'A data inicial deve ser anterior ou igual à data final.' };
+    }
+
+    return { from: start, to: end, groupBy, courseId: courseId !== undefined ? Number(courseId) : null };
+}
+
+/**
+ * Arredonda um valor em dinheiro para centavos (evita sobras de ponto flutuante nas somas).
+ */
+function roundMoney(value) {
+    return Math.round(Number(value) * 100) / 100;
+}
+
+/**
+ * Calcula um percentual com uma casa decimal (0 quando não há base).
+ */
+function percentage(part, total) {
+    return total > 0 ? Math.round((part / total) * 1000) / 10 : 0;
+}
+
+/**
+ * Indicadores por curso no período: vendas (avulsas e presentes), receita, matrículas e reembolsos.
+ * As matrículas vêm de Purchases (inclui compras sem pedido, importações e presentes resgatados) e de BundlePurchases.
+ * Um reembolso aprovado remove a linha de Purchases, então a taxa de reembolso é calculada sobre as matrículas
+ * diretas mais os reembolsos aprovados (pedidos solicitados no período).
+ * Cada fonte é agregada uma única vez em uma subconsulta e combinada com os cursos.
+ * @param {Object} filters - Resultado de parseAnalyticsFilters.
+ * @param {Object} [options]
+ * @param {string} [options.orderBy] - Ordenação SQL (padrão: nome do curso).
+ * @param {number} [options.limit] - Quantidade máxima de cursos (já validada).
+ * @returns {Promise<Array>}
+ */
+async function getCourseStats({ from, to, courseId }, { orderBy = 'c.name ASC', limit = null } = {}) {
+    const params = [from, to, from, to, from, to, from, to];
+    if (courseId !== null) params.push(courseId);
+
+    const [rows] = await pool.execute(
+        `SELECT c.id, c.name, c.price, c.status,
+                COALESCE(sales.sales, 0) AS sales,
+                COALESCE(sales.revenue, 0) AS revenue,
+                COALESCE(sales.refunded_orders, 0) AS refunded_orders,
+                COALESCE(sales.refunded_amount, 0) AS refunded_amount,
+                COALESCE(purchases.direct_enrollments, 0) AS direct_enrollments,
+                COALESCE(bundles.bundle_enrollments, 0) AS bundle_enrollments,
+                COALESCE(refunds.refund_requests, 0) AS refund_requests,
+                COALESCE(refunds.approved_refunds, 0) AS approved_refunds
+         FROM Courses c
+         LEFT JOIN (
+             SELECT ${ORDER_COURSE_SQL} AS course_id, COUNT(*) AS sales, SUM(o.amount) AS revenue,
+                    SUM(o.status = 'REEMBOLSADO') AS refunded_orders,
+                    SUM(IF(o.status = 'REEMBOLSADO', o.amount, 0)) AS refunded_amount
+             FROM Orders o
+             LEFT JOIN CourseGifts g ON o.gift_id = g.id
+             WHERE ${ORDER_COURSE_SQL} IS NOT NULL AND ${SOLD_ORDER_SQL}
+               AND o.paid_at >= ? AND o.paid_at < DATE_ADD(?, INTERVAL 1 DAY)
+             GROUP BY ${ORDER_COURSE_SQL}
+         ) sales ON sales.course_id = c.id
+         LEFT JOIN (
+             SELECT p.course_id, COUNT(*) AS direct_enrollments
+             FROM Purchases p
+             WHERE p.purchase_date >= ? AND p.purchase_date < DATE_ADD(?, INTERVAL 1 DAY)
+             GROUP BY p.course_id
+         ) purchases ON purchases.course_id = c.id
+         LEFT JOIN (
+             SELECT bc.course_id, COUNT(*) AS bundle_enrollments
+             FROM BundlePurchases bp
+             JOIN BundleCourses bc ON bc.bundle_id = bp.bundle_id
+             WHERE bp.purchase_date >= ? AND bp.purchase_date < DATE_ADD(?, INTERVAL 1 DAY)
+             GROUP BY bc.course_id
+         ) bundles ON bundles.course_id = c.id
+         LEFT JOIN (
+             SELECT r.course_id, COUNT(*) AS refund_requests, SUM(r.status = 'APROVADO') AS approved_refunds
+             FROM RefundRequests r
+             WHERE r.request_date >= ? AND r.request_date < DATE_ADD(?, INTERVAL 1 DAY)
+             GROUP BY r.course_id
+         ) refunds ON refunds.course_id = c.id
+         ${courseId !== null ? 'WHERE c.id = ?' : ''}
+         ORDER BY ${orderBy}
+         ${limit !== null ? `LIMIT ${limit}` : ''}`,
+        params
+    );
+
+    return rows.map(row => {
+        const directEnrollments = Number(row.direct_enrollments);
+        const bundleEnrollments = Number(row.bundle_enrollments);
+        const approvedRefunds = Number(row.approved_refunds);
+        return {
+            courseId: row.id,
+            name: row.name,
+            price: Number(row.price),
+            status: row.status,
+            sales: Number(row.sales),
+            directEnrollments,
+            bundleEnrollments,
+            enrollments: directEnrollments + bundleEnrollments, // Matrículas que continuam ativas
+            revenue: Number(row.revenue),
+            refundedOrders: Number(row.refunded_orders),
+            refundedAmount: Number(row.refunded_amount),
+            netRevenue: roundMoney(Number(row.revenue) - Number(row.refunded_amount)),
+            refundRequests: Number(row.refund_requests),
+            approvedRefunds,
+            refundRate: percentage(approvedRefunds, directEnrollments + approvedRefunds)
+        };
+    });
+}
+
+// ===================================
+// Rotas do Admin (Relatórios)
+// ===================================
+
+/**
+ * Vendas e receita por período.
+ * Query: ?from=&to=&groupBy=day|week|month&courseId=
+ * Períodos sem vendas não aparecem na lista.
+ */
+async function getSalesReport(req, res) {
+    const filters = parseAnalyticsFilters(req.query);
+    if (filters.error) {
+        return res.status(400).json({ message: filters.error });
+    }
+    const { from, to, groupBy, courseId } = filters;
+
+    const params = [from, to];
+    if (courseId !== null) params.push(courseId);
+
+    try {
+        const [rows] = await pool.execute(
+            `SELECT ${periodSql('o.paid_at', groupBy)} AS period,
+                    COUNT(*) AS sales,
+                    SUM(o.amount) AS gross_revenue,
+                    SUM(COALESCE(o.discount_amount, 0)) AS discounts,
+                    SUM(o.status = 'REEMBOLSADO') AS refunds,
+                    SUM(IF(o.status = 'REEMBOLSADO', o.amount, 0)) AS refunded_amount,
+                    SUM(o.course_id IS NOT NULL) AS course_sales,
+                    SUM(o.bundle_id IS NOT NULL) AS bundle_sales,
+                    SUM(o.plan_id IS NOT NULL) AS plan_sales,
+                    SUM(o.gift_id IS NOT NULL) AS gift_sales
+             FROM Orders o
+             LEFT JOIN CourseGifts g ON o.gift_id = g.id
+             WHERE ${SOLD_ORDER_SQL} AND o.paid_at >= ? AND o.paid_at < DATE_ADD(?, INTERVAL 1 DAY)
+             ${courseId !== null ? `AND ${ORDER_COURSE_SQL} = ?` : ''}
+             GROUP BY period
+             ORDER BY period ASC`,
+            params
+        );
+
+        const periods = rows.map(row => ({
+            period: row.period,
+            sales: Number(row.sales),
+            grossRevenue: Number(row.gross_revenue),
+            discounts: Number(row.discounts),
+            refunds: Number(row.refunds),
+            refundedAmount: Number(row.refunded_amount),
+            netRevenue: roundMoney(Number(row.gross_revenue) - Number(row.refunded_amount)),
+            salesByType: {
+                course: Number(row.course_sales),
+                bundle: Number(row.bundle_sales),
+                plan: Number(row.plan_sales),
+                gift: Number(row.gift_sales)
+            }
+        }));
+
+        const totals = periods.reduce((sum, period) => ({
+            sales: sum.sales + period.sales,
+            grossRevenue: roundMoney(sum.grossRevenue + period.grossRevenue),
+            discounts: roundMoney(sum.discounts + period.discounts),
+            refunds: sum.refunds + period.refunds,
+            refundedAmount: roundMoney(sum.refundedAmount + period.refundedAmount),
+            netRevenue: roundMoney(sum.netRevenue + period.netRevenue)
+        }), { sales: 0, grossRevenue: 0, discounts: 0, refunds: 0, refundedAmount: 0, netRevenue: 0 });
+
+        res.json({ filters: { from, to, groupBy, courseId }, totals, periods });
+
+    } catch (error) {
+        console.error('Erro ao gerar relatório de vendas:', error);
+        res.status(500).json({ message: 'Erro interno ao gerar relatório de vendas.' });
+    }
+}
+
+/**
+ * Matrículas, receita e taxa de reembolso por curso.
+ * Query: ?from=&to=&courseId=
+ */
+async function getCoursesReport(req, res) {
+    const filters = parseAnalyticsFilters(req.query);
+    if (filters.error) {
+        return res.status(400).json({ message: filters.error });
+    }
+
+    try {
+        const courses = await getCourseStats(filters);
+        res.json({ filters: { from: filters.from, to: filters.to, courseId: filters.courseId }, courses });
+    } catch (error) {
+        console.error('Erro ao gerar relatório de cursos:', error);
+        res.status(500).json({ message: 'Erro interno ao gerar relatório de cursos.' });
+    }
+}
+
+/**
+ * Cursos mais vendidos no período (matrículas ativas, avulsas e via pacote).
+ * Query: ?from=&to=&limit=10
+ */
+async function getTopCoursesReport(req, res) {
+    const filters = parseAnalyticsFilters(req.query);
+    if (filters.error) {
+        return res.status(400).json({ message: filters.error });
+    }
+
+    const limit = req.query.limit === undefined ? DEFAULT_TOP_LIMIT : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_TOP_LIMIT) {
+        return res.status(400).json({ message: `O limite deve ser um número inteiro de 1 a ${MAX_TOP_LIMIT}.` });
+    }
+
+    try {
+        const courses = await getCourseStats(filters, {
+            orderBy: `(COALESCE(purchases.direct_enrollments, 0) + COALESCE(bundles.bundle_enrollments, 0)) DESC,
+                      COALESCE(sales.revenue, 0) DESC, c.id ASC`,
+            limit
+        });
+        res.json({
+            filters: { from: filters.from, to: filters.to, courseId: filters.courseId },
+            courses: courses.filter(course => course.enrollments > 0)
+        });
+    } catch (error) {
+        console.error('Erro ao gerar ranking de cursos:', error);
+        res.status(500).json({ message: 'Erro interno ao gerar ranking de cursos.' });
+    }
+}
+
+/**
+ * Novos cadastros por período (e quantos já confirmaram o email).
+ * Query: ?from=&to=&groupBy=day|week|month
+ */
+async function getSignupsReport(req, res) {
+    const filters = parseAnalyticsFilters(req.query);
+    if (filters.error) {
+        return res.status(400).json({ message: filters.error });
+    }
+    const { from, to, groupBy } = filters;
+
+    try {
+        const [rows] = await pool.execute(
+            `SELECT ${periodSql('u.created_at', groupBy)} AS period,
+                    COUNT(*) AS signups,
+                    SUM(u.email_verified_at IS NOT NULL) AS verified
+             FROM Users u
+             WHERE u.created_at >= ? AND u.created_at < DATE_ADD(?, INTERVAL 1 DAY)
+             GROUP BY period
+             ORDER BY period ASC`,
+            [from, to]
+        );
+
+        const periods = rows.map(row => ({ period: row.period, signups: Number(row.signups), verified: Number(row.verified) }));
+        res.json({
+            filters: { from, to, groupBy },
+            totals: {
+                signups: periods.reduce((sum, period) => sum + period.signups, 0),
+                verified: periods.reduce((sum, period) => sum + period.verified, 0)
+            },
+            periods
+        });
+
+    } catch (error) {
+        console.error('Erro ao gerar relatório de cadastros:', error);
+        res.status(500).json({ message: 'Erro interno ao gerar relatório de cadastros.' });
+    }
+}
+
+module.exports = {
+    getSalesReport,
+    getCoursesReport,
+    getTopCoursesReport,
+    getSignupsReport
+};
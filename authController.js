@@ -1,15 +1,20 @@
 // authController.js - Gerencia o login, cadastro e autenticação via JWT.
 
+const crypto = require('crypto');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const { pool } = require('./database');
 const { config } = require('./config');
+const { sendEmail } = require('./email');
+const { SUPPORTED_LOCALES, normalizeLocale } = require('./emailTemplates');
+const { hashToken, createSession, rotateRefreshToken, revokeSession, revokeAllSessions } = require('./sessions');
 
 const jwtSecret = config.jwtSecret;
 
 /**
  * Middleware para verificar o token JWT e autenticar o usuário ou admin.
- * Define req.userId e req.userType ('admin' ou 'user').
+ * Define req.userId, req.userType ('admin' ou 'user') e req.sessionId.
+ * Tokens cuja sessão foi revogada (logout, troca de senha, reuso de refresh token) são rejeitados.
  */
 async function authMiddleware(req, res, next) {
     const token = req.headers.authorization?.split(' ')[1]; // Espera "Bearer <token>"
@@ -18,14 +23,82 @@ async function authMiddleware(req, res, next) {
         return res.status(401).json({ message: 'Acesso negado. Token não fornecido.' });
     }
 
+    let decoded;
     try {
-        const decoded = jwt.verify(token, jwtSecret);
-        req.userId = decoded.id;
-        req.userType = decoded.type; // 'admin' ou 'user'
-        next();
+        decoded = jwt.verify(token, jwtSecret);
     } catch (error) {
         return res.status(403).json({ message: 'Token inválido ou expirado.' });
     }
+
+    if (!decoded.sid) {
+        return res.status(401).json({ message: 'Sessão encerrada. Faça login novamente.' });
+    }
+
+    try {
+        const [sessions] = await pool.execute(
+            `SELECT s.revoked_at, s.expires_at < CURRENT_TIMESTAMP AS is_expired, u.email_verified_at,
+                    a.role AS admin_role, a.is_active AS admin_is_active
+             FROM Sessions s
+             LEFT JOIN Users u ON s.subject_type = 'user' AND u.id = s.subject_id
+             LEFT JOIN Admins a ON s.subject_type = 'admin' AND a.id = s.subject_id
+             WHERE s.id = ? AND s.subject_type = ? AND s.subject_id = ?`,
+            [decoded.sid, decoded.type, decoded.id]
+        );
+        const session = sessions[0];
+        if (!session || session.revoked_at || session.is_expired) {
+            return res.status(401).json({ message: 'Sessão encerrada. Faça login novamente.' });
+        }
+        if (decoded.type === 'admin' && !session.admin_is_active) {
+            return res.status(401).json({ message: 'Conta de administrador desativada ou removida.' });
+        }
+        req.emailVerified = Boolean(session.email_verified_at);
+        req.adminRole = session.admin_role || null; // 'super_admin', 'instructor' ou 'support'
+    } catch (error) {
+        console.error('Erro ao validar sessão:', error);
+        return res.status(500).json({ message: 'Erro interno ao validar sessão.' });
+    }
+
+    req.userId = decoded.id;
+    req.userType = decoded.type; // 'admin' ou 'user'
+    req.sessionId = decoded.sid;
+    next();
+}
+
+/**
+ * Middleware que bloqueia a rota para usuários que ainda não confirmaram o email.
+ * Deve ser usado após o authMiddleware.
+ */
+function requireVerifiedEmail(req, res, next) {
+    if (req.userType === 'user' && !req.emailVerified) {
+        return res.status(403).json({ message: 'Confirme seu email antes de continuar. Verifique sua caixa de entrada.' });
+    }
+    next();
+}
+
+/**
+ * Gera um novo token de confirmação (invalidando os anteriores) e envia o link por email.
+ * Se o envio falhar, o email fica na fila de reenvio até o link expirar.
+ */
+async function issueEmailVerification(userId, name, email, locale) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expirationHours = config.emailVerification.expirationHours;
+
+    await pool.execute(
+        'UPDATE EmailVerificationTokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL',
+        [userId]
+    );
+    await pool.execute(
+        `INSERT INTO EmailVerificationTokens (user_id, token_hash, expires_at)
+         VALUES (?, ?, DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? HOUR))`,
+        [userId, hashToken(token), expirationHours]
+    );
+
+    await sendEmail('email_verification', {
+        to: { email, name },
+        locale,
+        variables: { userName: name, verificationLink: `${config.emailVerification.url}?token=${token}`, expirationHours },
+        expiresInMinutes: expirationHours * 60
+    });
 }
 
 // ===================================
@@ -36,11 +109,15 @@ async function authMiddleware(req, res, next) {
  * Rota de Cadastro de Novo Usuário (Cliente).
  */
 async function registerUser(req, res) {
-    const { name, email, password } = req.body;
+    const { name, email, password, locale } = req.body;
 
     if (!name || !email || !password) {
         return res.status(400).json({ message: 'Nome, email e senha são obrigatórios.' });
     }
+    if (locale !== undefined && !SUPPORTED_LOCALES.includes(normalizeLocale(locale))) {
+        return res.status(400).json({ message: `Idioma inválido. Use: ${SUPPORTED_LOCALES.join(', ')}.` });
+    }
+    const userLocale = normalizeLocale(locale);
 
     try {
         const [existingUser] = await pool.execute('SELECT id FROM Users WHERE email = ?', [email]);
@@ -49,9 +126,15 @@ async function registerUser(req, res) {
         }
 
         const hashedPassword = await bcrypt.hash(password, 10);
-        await pool.execute('INSERT INTO Users (name, email, password_hash) VALUES (?, ?, ?)', [name, email, hashedPassword]);
+        const [result] = await pool.execute(
+            'INSERT INTO Users (name, email, password_hash, locale) VALUES (?, ?, ?, ?)',
+            [name, email, hashedPassword, userLocale]
+        );
+
+        // A conta começa não verificada: compras e reembolsos ficam bloqueados até a confirmação
+        await issueEmailVerification(result.insertId, name, email, userLocale);
 
-        res.status(201).json({ message: 'Usuário cadastrado com sucesso!' });
+        res.status(201).json({ message: 'Usuário cadastrado com sucesso! Enviamos um link de confirmação para o seu email.' });
 
     } catch (error) {
         console.error('Erro ao cadastrar usuário:', error);
@@ -70,7 +153,7 @@ async function loginUser(req, res) {
     }
 
     try {
-        const [rows] = await pool.execute('SELECT id, password_hash, name FROM Users WHERE email = ?', [email]);
+        const [rows] = await pool.execute('SELECT id, password_hash, name, email_verified_at FROM Users WHERE email = ?', [email]);
 
         if (rows.length === 0) {
             return res.status(401).json({ message: 'Email ou senha inválidos.' });
@@ -83,10 +166,16 @@ async function loginUser(req, res) {
             return res.status(401).json({ message: 'Email ou senha inválidos.' });
         }
 
-        // Gera token JWT com tipo 'user'
-        const token = jwt.sign({ id: user.id, type: 'user' }, jwtSecret, { expiresIn: '7d' });
+        // Cria a sessão: access token JWT com tipo 'user' + refresh token
+        const { accessToken, refreshToken } = await createSession('user', user.id, req);
 
-        res.json({ token, user: { id: user.id, name: user.name, email }, type: 'user' });
+        res.json({
+            token: accessToken,
+            refreshToken,
+            expiresIn: config.auth.accessTokenExpiresIn,
+            user: { id: user.id, name: user.name, email, emailVerified: Boolean(user.email_verified_at) },
+            type: 'user'
+        });
 
     } catch (error) {
         console.error('Erro ao logar usuário:', error);
@@ -94,19 +183,294 @@ async function loginUser(req, res) {
     }
 }
 
+// ===================================
+// Confirmação de Email
+// ===================================
+
+/**
+ * Rota de Confirmação de Email (link enviado no cadastro).
+ * Query: ?token=<token>
+ */
+async function verifyEmail(req, res) {
+    const { token } = req.query;
+
+    if (!token) {
+        return res.status(400).json({ message: 'O token de confirmação é obrigatório.' });
+    }
+
+    try {
+        const [tokens] = await pool.execute(
+            `SELECT id, user_id FROM EmailVerificationTokens
+             WHERE token_hash = ? AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP`,
+            [hashToken(token)]
+        );
+
+        if (tokens.length === 0) {
+            return res.status(400).json({ message: 'Link de confirmação inválido ou expirado.' });
+        }
+
+        const { id: tokenId, user_id: userId } = tokens[0];
+
+        await pool.execute('UPDATE EmailVerificationTokens SET used_at = CURRENT_TIMESTAMP WHERE id = ?', [tokenId]);
+        await pool.execute(
+            'UPDATE Users SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP) WHERE id = ?',
+            [userId]
+        );
+
+        res.json({ message: 'Email confirmado com sucesso!' });
+
+    } catch (error) {
+        console.error('Erro ao confirmar email:', error);
+        res.status(500).json({ message: 'Erro interno no servidor ao confirmar o email.' });
+    }
+}
+
+/**
+ * Rota de Reenvio do Email de Confirmação.
+ * A resposta é sempre a mesma, para não revelar quais emails estão cadastrados.
+ */
+async function resendEmailVerification(req, res) {
+    const { email } = req.body;
+    const genericResponse = { message: 'Se houver uma conta não confirmada com este email, um novo link foi enviado.' };
+
+    if (!email) {
+        return res.status(400).json({ message: 'O email é obrigatório.' });
+    }
+
+    try {
+        const [rows] = await pool.execute(
+            'SELECT id, name, locale FROM Users WHERE email = ? AND email_verified_at IS NULL',
+            [email]
+        );
+        if (rows.length === 0) {
+            return res.json(genericResponse);
+        }
+
+        // Evita reenvios em sequência (um por minuto)
+        const [recent] = await pool.execute(
+            `SELECT id FROM EmailVerificationTokens
+             WHERE user_id = ? AND created_at > DATE_SUB(CURRENT_TIMESTAMP, INTERVAL 1 MINUTE)`,
+            [rows[0].id]
+        );
+        if (recent.length === 0) {
+            await issueEmailVerification(rows[0].id, rows[0].name, email, rows[0].locale);
+        }
+
+        res.json(genericResponse);
+
+    } catch (error) {
+        console.error('Erro ao reenviar confirmação de email:', error);
+        res.status(500).json({ message: 'Erro interno no servidor ao reenviar a confirmação.' });
+    }
+}
+
+// ===================================
+// Recuperação de Senha
+// ===================================
+
+/**
+ * Gera um token de definição de senha para o usuário (usado na recuperação de senha e nos convites).
+ * Apenas o link mais recente permanece válido.
+ * @param {number} userId - ID do usuário.
+ * @param {number} expirationMinutes - Validade do token.
+ * @returns {Promise<string>} Token em texto puro (vai no link do email; o banco guarda apenas o hash).
+ */
+async function createPasswordResetToken(userId, expirationMinutes) {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await pool.execute(
+        'UPDATE PasswordResetTokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL',
+        [userId]
+    );
+    await pool.execute(
+        `INSERT INTO PasswordResetTokens (user_id, token_hash, expires_at)
+         VALUES (?, ?, DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? MINUTE))`,
+        [userId, hashToken(token), expirationMinutes]
+    );
+    return token;
+}
+
+/**
+ * Rota "Esqueci minha senha": envia um link de redefinição por email.
+ * A resposta é sempre a mesma, exista ou não uma conta com o email informado.
+ */
+async function forgotPassword(req, res) {
+    const { email } = req.body;
+    const genericResponse = { message: 'Se o email estiver cadastrado, você receberá um link para redefinir a senha.' };
+
+    if (!email) {
+        return res.status(400).json({ message: 'O email é obrigatório.' });
+    }
+
+    try {
+        const [rows] = await pool.execute('SELECT id, name, locale FROM Users WHERE email = ?', [email]);
+        if (rows.length === 0) {
+            return res.json(genericResponse);
+        }
+
+        const user = rows[0];
+        const expirationMinutes = config.passwordReset.expirationMinutes;
+        const token = await createPasswordResetToken(user.id, expirationMinutes);
+
+        await sendEmail('password_reset', {
+            to: { email, name: user.name },
+            locale: user.locale,
+            variables: { userName: user.name, resetLink: `${config.passwordReset.url}?token=${token}`, expirationMinutes },
+            expiresInMinutes: expirationMinutes
+        });
+
+        res.json(genericResponse);
+
+    } catch (error) {
+        console.error('Erro ao solicitar redefinição de senha:', error);
+        res.status(500).json({ message: 'Erro interno no servidor ao solicitar redefinição de senha.' });
+    }
+}
+
+/**
+ * Rota de Redefinição de Senha: troca a senha usando o token recebido por email.
+ * O token é de uso único e todas as sessões existentes do usuário são invalidadas.
+ */
+async function resetPassword(req, res) {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+        return res.status(400).json({ message: 'Token e nova senha são obrigatórios.' });
+    }
+
+    let connection;
+    try {
+        const hashedPassword = await bcrypt.hash(password, 10);
+
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const [tokens] = await connection.execute(
+            `SELECT id, user_id FROM PasswordResetTokens
+             WHERE token_hash = ? AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+             FOR UPDATE`,
+            [hashToken(token)]
+        );
+
+        if (tokens.length === 0) {
+            await connection.rollback();
+            return res.status(400).json({ message: 'Link de redefinição inválido ou expirado.' });
+        }
+
+        const { id: tokenId, user_id: userId } = tokens[0];
+
+        // O link chegou pelo email do usuário, o que também confirma o email (ex: contas criadas por importação)
+        await connection.execute(
+            'UPDATE Users SET password_hash = ?, email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP) WHERE id = ?',
+            [hashedPassword, userId]
+        );
+        // Encerra todas as sessões abertas com a senha antiga
+        await connection.execute(
+            `UPDATE Sessions SET revoked_at = CURRENT_TIMESTAMP, revoke_reason = 'TROCA_DE_SENHA'
+             WHERE subject_type = 'user' AND subject_id = ? AND revoked_at IS NULL`,
+            [userId]
+        );
+        await connection.execute(
+            'UPDATE PasswordResetTokens SET used_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [tokenId]
+        );
+
+        await connection.commit();
+        res.json({ message: 'Senha redefinida com sucesso! Faça login com a nova senha.' });
+
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error('Erro ao redefinir senha:', error);
+        res.status(500).json({ message: 'Erro interno no servidor ao redefinir a senha.' });
+    } finally {
+        if (connection) connection.release();
+    }
+}
+
 
 // ===================================
 // Lógica de Autenticação de Admin
 // ===================================
 
+// Permissões de cada papel de administrador ('*' = todas)
+const ROLE_PERMISSIONS = {
+    super_admin: ['*'],
+    instructor: ['courses:manage'], // Apenas os próprios cursos (ver courseOwnerGuard)
+    support: ['refunds:manage', 'certificates:manage', 'reviews:manage', 'exports:manage', 'enrollments:manage']
+};
+
+const ADMIN_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+/**
+ * Verifica se um papel de administrador possui a permissão.
+ */
+function hasPermission(role, permission) {
+    const permissions = ROLE_PERMISSIONS[role] || [];
+    return permissions.includes('*') || permissions.includes(permission);
+}
+
 /**
- * Middleware para garantir que apenas o Admin acesse a rota.
+ * Cria o middleware que garante que apenas administradores com a permissão acessem a rota.
+ * Sem permissão informada, basta ser administrador.
+ * @param {string} [permission] - Ex: 'courses:manage', 'refunds:manage', 'admins:manage'.
  */
-function adminGuard(req, res, next) {
-    if (req.userType !== 'admin') {
-        return res.status(403).json({ message: 'Acesso negado. Apenas administradores podem acessar esta rota.' });
+function adminGuard(permission) {
+    return (req, res, next) => {
+        if (req.userType !== 'admin') {
+            return res.status(403).json({ message: 'Acesso negado. Apenas administradores podem acessar esta rota.' });
+        }
+        if (permission && !hasPermission(req.adminRole, permission)) {
+            return res.status(403).json({ message: 'Acesso negado. Seu perfil de administrador não tem permissão para esta ação.' });
+        }
+        next();
+    };
+}
+
+/**
+ * Middleware que restringe instrutores aos próprios cursos.
+ * O curso é identificado por :courseId, :moduleId, :lessonId ou :quizId na URL e por courseId/moduleId/lessonId no corpo
+ * (ex: ao mover um módulo ou aula para outro curso). Deve ser usado após o adminGuard
+ * e, nas rotas com upload, após o multer (que preenche req.body).
+ */
+async function courseOwnerGuard(req, res, next) {
+    if (req.adminRole !== 'instructor') {
+        return next();
+    }
+
+    const lookups = [];
+    if (req.params.courseId) lookups.push(['SELECT id AS course_id FROM Courses WHERE id = ?', req.params.courseId]);
+    if (req.body && req.body.courseId) lookups.push(['SELECT id AS course_id FROM Courses WHERE id = ?', req.body.courseId]);
+    if (req.params.moduleId) lookups.push(['SELECT course_id FROM Modules WHERE id = ?', req.params.moduleId]);
+    if (req.body && req.body.moduleId) lookups.push(['SELECT course_id FROM Modules WHERE id = ?', req.body.moduleId]);
+    if (req.params.lessonId) {
+        lookups.push(['SELECT m.course_id FROM Lessons l JOIN Modules m ON l.module_id = m.id WHERE l.id = ?', req.params.lessonId]);
+    }
+    if (req.body && req.body.lessonId) {
+        lookups.push(['SELECT m.course_id FROM Lessons l JOIN Modules m ON l.module_id = m.id WHERE l.id = ?', req.body.lessonId]);
+    }
+    if (req.params.quizId) {
+        lookups.push([
+            `SELECT m.course_id FROM Quizzes q LEFT JOIN Lessons l ON q.lesson_id = l.id
+             JOIN Modules m ON m.id = COALESCE(q.module_id, l.module_id) WHERE q.id = ?`,
+            req.params.quizId
+        ]);
+    }
+
+    try {
+        for (const [query, id] of lookups) {
+            const [rows] = await pool.execute(query, [id]);
+            if (rows.length === 0) continue; // O controller responde 404
+
+            const [courses] = await pool.execute('SELECT instructor_id FROM Courses WHERE id = ?', [rows[0].course_id]);
+            if (courses.length > 0 && courses[0].instructor_id !== req.userId) {
+                return res.status(403).json({ message: 'Acesso negado. Instrutores só podem gerenciar os próprios cursos.' });
+            }
+        }
+        next();
+    } catch (error) {
+        console.error('Erro ao verificar o responsável pelo curso:', error);
+        res.status(500).json({ message: 'Erro interno ao verificar permissões.' });
     }
-    next();
 }
 
 /**
@@ -120,7 +484,7 @@ async function loginAdmin(req, res) {
     }
 
     try {
-        const [rows] = await pool.execute('SELECT id, password_hash FROM Admins WHERE username = ?', [username]);
+        const [rows] = await pool.execute('SELECT id, password_hash, role, is_active FROM Admins WHERE username = ?', [username]);
 
         if (rows.length === 0) {
             return res.status(401).json({ message: 'Usuário ou senha inválidos.' });
@@ -133,10 +497,14 @@ async function loginAdmin(req, res) {
             return res.status(401).json({ message: 'Usuário ou senha inválidos.' });
         }
 
-        // Gera token JWT com tipo 'admin'
-        const token = jwt.sign({ id: admin.id, type: 'admin' }, jwtSecret, { expiresIn: '1d' });
+        if (!admin.is_active) {
+            return res.status(403).json({ message: 'Esta conta de administrador está desativada.' });
+        }
 
-        res.json({ token, admin: { id: admin.id, username }, type: 'admin' });
+        // Cria a sessão: access token JWT com tipo 'admin' + refresh token
+        const { accessToken, refreshToken } = await createSession('admin', admin.id, req);
+
+        res.json({ token: accessToken, refreshToken, expiresIn: config.auth.accessTokenExpiresIn, admin: { id: admin.id, username, role: admin.role }, type: 'admin' });
 
     } catch (error) {
         console.error('Erro ao logar admin:', error);
@@ -144,10 +512,102 @@ async function loginAdmin(req, res) {
     }
 }
 
+// ===================================
+// Sessões (Refresh, Logout e Revogação)
+// ===================================
+
+/**
+ * Rota de Renovação: troca o refresh token por um novo access token e um novo refresh token.
+ * Body: { refreshToken }
+ */
+async function refreshSession(req, res) {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+        return res.status(400).json({ message: 'O refresh token é obrigatório.' });
+    }
+
+    try {
+        const result = await rotateRefreshToken(refreshToken);
+        if (result.error) {
+            return res.status(401).json({ message: result.error });
+        }
+
+        res.json({
+            token: result.accessToken,
+            refreshToken: result.refreshToken,
+            expiresIn: config.auth.accessTokenExpiresIn,
+            type: result.subjectType
+        });
+
+    } catch (error) {
+        console.error('Erro ao renovar sessão:', error);
+        res.status(500).json({ message: 'Erro interno no servidor ao renovar a sessão.' });
+    }
+}
+
+/**
+ * Rota de Logout: encerra a sessão atual.
+ */
+async function logout(req, res) {
+    try {
+        await revokeSession(req.sessionId);
+        res.json({ message: 'Logout realizado com sucesso.' });
+    } catch (error) {
+        console.error('Erro ao fazer logout:', error);
+        res.status(500).json({ message: 'Erro interno no servidor ao fazer logout.' });
+    }
+}
+
+/**
+ * Rota "Sair de todos os dispositivos": encerra todas as sessões do usuário ou admin logado.
+ */
+async function logoutAllDevices(req, res) {
+    try {
+        const revoked = await revokeAllSessions(req.userType, req.userId);
+        res.json({ message: 'Todas as sessões foram encerradas.', revokedSessions: revoked });
+    } catch (error) {
+        console.error('Erro ao encerrar todas as sessões:', error);
+        res.status(500).json({ message: 'Erro interno no servidor ao encerrar as sessões.' });
+    }
+}
+
+/**
+ * Rota do Admin: encerra todas as sessões de um usuário ou admin (ex: conta comprometida).
+ * Body: { subjectType: 'user' | 'admin', subjectId }
+ */
+async function revokeSubjectSessions(req, res) {
+    const { subjectType, subjectId } = req.body;
+
+    if (!['user', 'admin'].includes(subjectType) || !subjectId) {
+        return res.status(400).json({ message: "Informe subjectType ('user' ou 'admin') e subjectId." });
+    }
+
+    try {
+        const revoked = await revokeAllSessions(subjectType, subjectId, 'REVOGADO_PELO_ADMIN');
+        res.json({ message: 'Sessões encerradas com sucesso.', revokedSessions: revoked });
+    } catch (error) {
+        console.error('Erro ao revogar sessões:', error);
+        res.status(500).json({ message: 'Erro interno no servidor ao revogar as sessões.' });
+    }
+}
+
 module.exports = {
+    ADMIN_ROLES,
     authMiddleware,
     adminGuard,
+    courseOwnerGuard,
+    requireVerifiedEmail,
     registerUser,
     loginUser,
-    loginAdmin
+    verifyEmail,
+    resendEmailVerification,
+    createPasswordResetToken,
+    forgotPassword,
+    resetPassword,
+    loginAdmin,
+    refreshSession,
+    logout,
+    logoutAllDevices,
+    revokeSubjectSessions
 };
@@ -0,0 +1,291 @@
+// bundleController.js - Pacotes de cursos: vitrine pública, compra e gestão pelo Admin.
+
+const { pool } = require('./database');
+const { config } = require('./config');
+const { getPaymentProvider } = require('./payments');
+const { createItemOrder } = require('./paymentController');
+const { publishedCourseSql } = require('./courseAccess');
+
+/**
+ * Valida os campos de um pacote enviados pelo Admin.
+ * @param {Object} body - Corpo da requisição.
+ * @param {boolean} partial - true na edição (campos ausentes são ignorados).
+ * @returns {string|null} Mensagem de erro ou null se válido.
+ */
+function validateBundleFields({ name, price, courseIds }, partial) {
+    if (!partial && (!name || price === undefined || courseIds === undefined)) {
+        return 'Nome, preço e cursos são obrigatórios.';
+    }
+    if (name !== undefined && !String(name).trim()) {
+        return 'O nome do pacote não pode ficar vazio.';
+    }
+    if (price !== undefined && (isNaN(Number(price)) || Number(price) <= 0)) {
+        return 'O preço deve ser maior que zero.';
+    }
+    if (courseIds !== undefined && (!Array.isArray(courseIds) || new Set(courseIds.map(Number)).size < 2)) {
+        return 'Um pacote deve ter pelo menos dois cursos diferentes.';
+    }
+    return null;
+}
+
+/**
+ * Substitui os cursos de um pacote.
+ */
+async function setBundleCourses(connection, bundleId, courseIds) {
+    await connection.execute('DELETE FROM BundleCourses WHERE bundle_id = ?', [bundleId]);
+    for (const courseId of new Set(courseIds.map(Number))) {
+        await connection.execute('INSERT INTO BundleCourses (bundle_id, course_id) VALUES (?, ?)', [bundleId, courseId]);
+    }
+}
+
+/**
+ * Busca os cursos de vários pacotes, agrupados por pacote.
+ * @param {Array<number>} bundleIds - IDs dos pacotes.
+ * @param {boolean} [publishedOnly=false] - Apenas cursos publicados (vitrine pública).
+ * @returns {Promise<Object<number, Array>>} { bundleId: [{ id, name, image_url, price, status }] }
+ */
+async function getCoursesByBundle(bundleIds, publishedOnly = false) {
+    const coursesByBundle = {};
+    if (bundleIds.length === 0) return coursesByBundle;
+
+    const [rows] = await pool.execute(
+        `SELECT bc.bundle_id, c.id, c.name, c.image_url, c.price, c.status
+         FROM BundleCourses bc JOIN Courses c ON bc.course_id = c.id
+         WHERE bc.bundle_id IN (${bundleIds.map(() => '?').join(', ')})
+         ${publishedOnly ? `AND ${publishedCourseSql('c')}` : ''}
+         ORDER BY c.name ASC`,
+        bundleIds
+    );
+    for (const { bundle_id, ...course } of rows) {
+        (coursesByBundle[bundle_id] = coursesByBundle[bundle_id] || []).push(course);
+    }
+    return coursesByBundle;
+}
+
+// ===================================
+// Rotas Públicas
+// ===================================
+
+/**
+ * Lista os pacotes à venda, com os cursos incluídos e o valor economizado.
+ */
+async function getPublicBundles(req, res) {
+    try {
+        const [bundles] = await pool.execute(
+            'SELECT id, name, description, price FROM Bundles WHERE is_active = TRUE ORDER BY created_at DESC'
+        );
+        const coursesByBundle = await getCoursesByBundle(bundles.map(bundle => bundle.id), true);
+
+        res.json(bundles.map(bundle => {
+            const courses = (coursesByBundle[bundle.id] || []).map(({ status, ...course }) => course);
+            const coursesTotal = courses.reduce((sum, course) => sum + Number(course.price), 0);
+            return {
+                ...bundle,
+                courses,
+                coursesTotal,
+                savings: Math.max(Math.round((coursesTotal - Number(bundle.price)) * 100) / 100, 0)
+            };
+        }));
+    } catch (error) {
+        console.error('Erro ao listar pacotes:', error);
+        res.status(500).json({ message: 'Erro interno ao listar pacotes.' });
+    }
+}
+
+// ===================================
+// Rotas de Usuário (Logado)
+// ===================================
+
+/**
+ * Inicia a compra de um pacote: cria o pedido e a cobrança no provedor de pagamento.
+ * Os cursos do pacote são liberados quando o pagamento for confirmado.
+ */
+async function purchaseBundle(req, res) {
+    const userId = req.userId;
+    const { bundleId } = req.params;
+
+    const provider = getPaymentProvider();
+    if (!provider) {
+        console.error(`Provedor de pagamento '${config.payment.provider}' não está registrado.`);
+        return res.status(500).json({ message: 'Pagamentos indisponíveis no momento.' });
+    }
+
+    try {
+        const [bundles] = await pool.execute('SELECT id, name, price FROM Bundles WHERE id = ? AND is_active = TRUE', [bundleId]);
+        if (bundles.length === 0) {
+            return res.status(404).json({ message: 'Pacote não encontrado.' });
+        }
+
+        const [existing] = await pool.execute('SELECT id FROM BundlePurchases WHERE user_id = ? AND bundle_id = ?', [userId, bundleId]);
+        if (existing.length > 0) {
+            return res.status(409).json({ message: 'Você já comprou este pacote.' });
+        }
+
+        const order = await createItemOrder(provider, userId, { type: 'bundle', ...bundles[0] });
+        if (order.error) {
+            return res.status(502).json({ message: order.error });
+        }
+
+        const { reused, ...orderData } = order;
+        res.status(reused ? 200 : 201).json({
+            message: reused
+                ? 'Você já possui um pedido pendente para este pacote.'
+                : `Pedido do pacote '${bundles[0].name}' criado. Conclua o pagamento para liberar os cursos.`,
+            ...orderData
+        });
+
+    } catch (error) {
+        console.error('Erro ao criar pedido do pacote:', error);
+        res.status(500).json({ message: 'Erro interno ao criar pedido do pacote.' });
+    }
+}
+
+// ===================================
+// Rotas do Admin
+// ===================================
+
+/**
+ * Lista todos os pacotes (inclusive inativos), com cursos e quantidade de vendas.
+ */
+async function listBundles(req, res) {
+    try {
+        const [bundles] = await pool.execute(
+            `SELECT b.*, (SELECT COUNT(*) FROM BundlePurchases bp WHERE bp.bundle_id = b.id) AS sales_count
+             FROM Bundles b ORDER BY b.created_at DESC`
+        );
+        const coursesByBundle = await getCoursesByBundle(bundles.map(bundle => bundle.id));
+
+        res.json(bundles.map(bundle => ({ ...bundle, courses: coursesByBundle[bundle.id] || [] })));
+    } catch (error) {
+        console.error('Erro ao listar pacotes:', error);
+        res.status(500).json({ message: 'Erro interno ao listar pacotes.' });
+    }
+}
+
+/**
+ * Cria um pacote.
+ * Body: { name, description?, price, courseIds: [..], isActive? }
+ */
+async function createBundle(req, res) {
+    const { name, description, price, courseIds, isActive } = req.body;
+
+    const validationError = validateBundleFields(req.body, false);
+    if (validationError) {
+        return res.status(400).json({ message: validationError });
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const [result] = await connection.execute(
+            'INSERT INTO Bundles (name, description, price, is_active) VALUES (?, ?, ?, ?)',
+            [String(name).trim(), description || null, Number(price), isActive !== undefined ? Boolean(isActive) : true]
+        );
+        await setBundleCourses(connection, result.insertId, courseIds);
+
+        await connection.commit();
+        res.status(201).json({ message: 'Pacote criado com sucesso!', bundleId: result.insertId });
+
+    } catch (error) {
+        if (connection) await connection.rollback();
+        if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+            return res.status(404).json({ message: 'Um dos cursos informados não existe.' });
+        }
+        console.error('Erro ao criar pacote:', error);
+        res.status(500).json({ message: 'Erro interno ao criar pacote.' });
+    } finally {
+        if (connection) connection.release();
+    }
+}
+
+/**
+ * Atualiza um pacote (campos parciais). Alterar os cursos vale também para quem já comprou.
+ */
+async function updateBundle(req, res) {
+    const { bundleId } = req.params;
+    const { name, description, price, courseIds, isActive } = req.body;
+
+    const validationError = validateBundleFields(req.body, true);
+    if (validationError) {
+        return res.status(400).json({ message: validationError });
+    }
+
+    const updates = [];
+    const params = [];
+    if (name !== undefined) { updates.push('name = ?'); params.push(String(name).trim()); }
+    if (description !== undefined) { updates.push('description = ?'); params.push(description || null); }
+    if (price !== undefined) { updates.push('price = ?'); params.push(Number(price)); }
+    if (isActive !== undefined) { updates.push('is_active = ?'); params.push(Boolean(isActive)); }
+
+    if (updates.length === 0 && courseIds === undefined) {
+        return res.status(400).json({ message: 'Informe ao menos um campo para atualizar.' });
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const [bundles] = await connection.execute('SELECT id FROM Bundles WHERE id = ? FOR UPDATE', [bundleId]);
+        if (bundles.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Pacote não encontrado.' });
+        }
+
+        if (updates.length > 0) {
+            await connection.execute(`UPDATE Bundles SET ${updates.join(', ')} WHERE id = ?`, [...params, bundleId]);
+        }
+        if (courseIds !== undefined) {
+            await setBundleCourses(connection, bundleId, courseIds);
+        }
+
+        await connection.commit();
+        res.json({ message: 'Pacote atualizado com sucesso!' });
+
+    } catch (error) {
+        if (connection) await connection.rollback();
+        if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+            return res.status(404).json({ message: 'Um dos cursos informados não existe.' });
+        }
+        console.error('Erro ao atualizar pacote:', error);
+        res.status(500).json({ message: 'Erro interno ao atualizar pacote.' });
+    } finally {
+        if (connection) connection.release();
+    }
+}
+
+/**
+ * Remove um pacote que nunca teve pedidos. Pacotes já vendidos devem ser desativados (isActive: false).
+ */
+async function deleteBundle(req, res) {
+    const { bundleId } = req.params;
+
+    try {
+        const [[{ orders }]] = await pool.execute('SELECT COUNT(*) AS orders FROM Orders WHERE bundle_id = ?', [bundleId]);
+        if (orders > 0) {
+            return res.status(409).json({ message: 'Este pacote já possui pedidos. Desative-o em vez de removê-lo.' });
+        }
+
+        const [result] = await pool.execute('DELETE FROM Bundles WHERE id = ?', [bundleId]);
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'Pacote não encontrado.' });
+        }
+
+        res.json({ message: 'Pacote removido com sucesso!' });
+
+    } catch (error) {
+        console.error('Erro ao remover pacote:', error);
+        res.status(500).json({ message: 'Erro interno ao remover pacote.' });
+    }
+}
+
+module.exports = {
+    getPublicBundles,
+    purchaseBundle,
+    listBundles,
+    createBundle,
+    updateBundle,
+    deleteBundle
+};
@@ -0,0 +1,234 @@
+// certificateController.js - Emissão, download, verificação pública e revogação de certificados.
+
+const crypto = require('crypto');
+const { pool } = require('./database');
+const { findCourseAccess } = require('./courseAccess');
+const { getCourseProgress } = require('./progressController');
+const { generateCertificatePdf } = require('./certificatePdf');
+
+/**
+ * Gera um código de verificação único no formato XXXX-XXXX-XXXX-XXXX.
+ */
+function generateCertificateCode() {
+    return crypto.randomBytes(8).toString('hex').toUpperCase().match(/.{4}/g).join('-');
+}
+
+// ===================================
+// Rotas do Usuário (Logado)
+// ===================================
+
+/**
+ * Emite o certificado de um curso comprado cujas aulas foram todas concluídas.
+ * Se o certificado já existir, ele é retornado.
+ */
+async function issueCertificate(req, res) {
+    const userId = req.userId;
+    const { courseId } = req.params;
+
+    try {
+        const access = await findCourseAccess(userId, courseId);
+        if (!access) {
+            return res.status(403).json({ message: 'Acesso negado. Você precisa comprar este curso para obter o certificado.' });
+        }
+
+        const [existing] = await pool.execute(
+            'SELECT code, issued_at, revoked_at FROM Certificates WHERE user_id = ? AND course_id = ?',
+            [userId, courseId]
+        );
+        if (existing.length > 0) {
+            if (existing[0].revoked_at) {
+                return res.status(403).json({ message: 'O certificado deste curso foi revogado.' });
+            }
+            return res.json({ message: 'Certificado já emitido.', code: existing[0].code, issuedAt: existing[0].issued_at });
+        }
+
+        const progress = await getCourseProgress(userId, courseId);
+        if (progress.totalLessons === 0 || progress.completedLessons < progress.totalLessons) {
+            return res.status(400).json({ message: 'Conclua todas as aulas do curso para emitir o certificado.', ...progress });
+        }
+
+        // Data de conclusão = conclusão da última aula
+        const [details] = await pool.execute(
+            `SELECT u.name AS student_name, c.name AS course_name, MAX(lp.completed_at) AS completed_at
+             FROM Users u
+             JOIN Courses c ON c.id = ?
+             JOIN Modules m ON m.course_id = c.id
+             JOIN Lessons l ON l.module_id = m.id AND l.status = 'PUBLICADO'
+             JOIN LessonProgress lp ON lp.lesson_id = l.id AND lp.user_id = u.id
+             WHERE u.id = ?
+             GROUP BY u.name, c.name`,
+            [courseId, userId]
+        );
+
+        const code = generateCertificateCode();
+        await pool.execute(
+            `INSERT INTO Certificates (user_id, course_id, code, student_name, course_name, completed_at)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [userId, courseId, code, details[0].student_name, details[0].course_name, details[0].completed_at]
+        );
+
+        res.status(201).json({ message: 'Certificado emitido com sucesso!', code });
+
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ message: 'O certificado já está sendo emitido. Tente novamente.' });
+        }
+        console.error('Erro ao emitir certificado:', error);
+        res.status(500).json({ message: 'Erro interno ao emitir certificado.' });
+    }
+}
+
+/**
+ * Lista os certificados do usuário logado.
+ */
+async function getUserCertificates(req, res) {
+    try {
+        const [certificates] = await pool.execute(
+            `SELECT code, course_id, course_name, completed_at, issued_at, revoked_at
+             FROM Certificates WHERE user_id = ? ORDER BY issued_at DESC`,
+            [req.userId]
+        );
+        res.json(certificates);
+    } catch (error) {
+        console.error('Erro ao listar certificados:', error);
+        res.status(500).json({ message: 'Erro interno ao listar certificados.' });
+    }
+}
+
+/**
+ * Download do PDF de um certificado do usuário logado.
+ */
+async function downloadCertificate(req, res) {
+    const { code } = req.params;
+
+    try {
+        const [certificates] = await pool.execute(
+            'SELECT code, student_name, course_name, completed_at, revoked_at FROM Certificates WHERE code = ? AND user_id = ?',
+            [code, req.userId]
+        );
+        if (certificates.length === 0) {
+            return res.status(404).json({ message: 'Certificado não encontrado.' });
+        }
+        if (certificates[0].revoked_at) {
+            return res.status(403).json({ message: 'Este certificado foi revogado.' });
+        }
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="certificado-${code}.pdf"`);
+        generateCertificatePdf(certificates[0]).pipe(res);
+
+    } catch (error) {
+        console.error('Erro ao gerar PDF do certificado:', error);
+        res.status(500).json({ message: 'Erro interno ao gerar certificado.' });
+    }
+}
+
+// ===================================
+// Rota Pública (Verificação)
+// ===================================
+
+/**
+ * Verifica a autenticidade de um certificado pelo código.
+ */
+async function verifyCertificate(req, res) {
+    const { code } = req.params;
+
+    try {
+        const [certificates] = await pool.execute(
+            'SELECT code, student_name, course_name, completed_at, issued_at, revoked_at FROM Certificates WHERE code = ?',
+            [code.toUpperCase()]
+        );
+        if (certificates.length === 0) {
+            return res.status(404).json({ valid: false, message: 'Certificado não encontrado.' });
+        }
+
+        const certificate = certificates[0];
+        res.json({
+            valid: !certificate.revoked_at,
+            code: certificate.code,
+            studentName: certificate.student_name,
+            courseName: certificate.course_name,
+            completedAt: certificate.completed_at,
+            issuedAt: certificate.issued_at,
+            revokedAt: certificate.revoked_at
+        });
+
+    } catch (error) {
+        console.error('Erro ao verificar certificado:', error);
+        res.status(500).json({ message: 'Erro interno ao verificar certificado.' });
+    }
+}
+
+// ===================================
+// Rotas do Admin
+// ===================================
+
+/**
+ * Lista os certificados emitidos, com filtros opcionais por usuário e curso.
+ * Query: ?userId=1&courseId=2
+ */
+async function listCertificates(req, res) {
+    const { userId, courseId } = req.query;
+    const conditions = [];
+    const params = [];
+
+    if (userId) {
+        conditions.push('user_id = ?');
+        params.push(userId);
+    }
+    if (courseId) {
+        conditions.push('course_id = ?');
+        params.push(courseId);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    try {
+        const [certificates] = await pool.execute(
+            `SELECT id, user_id, course_id, code, student_name, course_name, completed_at, issued_at,
+                    revoked_at, revoked_by, revoke_reason
+             FROM Certificates ${where} ORDER BY issued_at DESC`,
+            params
+        );
+        res.json(certificates);
+    } catch (error) {
+        console.error('Erro ao listar certificados:', error);
+        res.status(500).json({ message: 'Erro interno ao listar certificados.' });
+    }
+}
+
+/**
+ * Revoga um certificado (ex: após um reembolso aprovado).
+ * Body: { reason }
+ */
+async function revokeCertificate(req, res) {
+    const { code } = req.params;
+    const { reason } = req.body;
+
+    try {
+        const [result] = await pool.execute(
+            `UPDATE Certificates SET revoked_at = CURRENT_TIMESTAMP, revoked_by = ?, revoke_reason = ?
+             WHERE code = ? AND revoked_at IS NULL`,
+            [req.userId, reason || null, code]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'Certificado não encontrado ou já revogado.' });
+        }
+
+        res.json({ message: 'Certificado revogado com sucesso.' });
+
+    } catch (error) {
+        console.error('Erro ao revogar certificado:', error);
+        res.status(500).json({ message: 'Erro interno ao revogar certificado.' });
+    }
+}
+
+module.exports = {
+    issueCertificate,
+    getUserCertificates,
+    downloadCertificate,
+    verifyCertificate,
+    listCertificates,
+    revokeCertificate
+};
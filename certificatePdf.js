@@ -0,0 +1,65 @@
+// certificatePdf.js - Geração do PDF do certificado de conclusão (usando PDFKit).
+
+const PDFDocument = require('pdfkit');
+const { config } = require('./config');
+
+/**
+ * Formata uma data no padrão brasileiro (dd/mm/aaaa).
+ */
+function formatDate(date) {
+    return new Date(date).toLocaleDateString('pt-BR', { timeZone: 'UTC' });
+}
+
+/**
+ * Gera o PDF de um certificado.
+ * O documento é um stream: basta usar `doc.pipe(res)`; ele é finalizado aqui.
+ * @param {Object} certificate - Linha de Certificates (code, student_name, course_name, completed_at).
+ * @returns {PDFDocument} Documento PDF.
+ */
+function generateCertificatePdf(certificate) {
+    const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 50 });
+    const verificationUrl = `${config.publicUrl}/certificates/${certificate.code}`;
+
+    doc.info.Title = `Certificado - ${certificate.course_name}`;
+
+    // Moldura
+    doc.lineWidth(4)
+        .rect(25, 25, doc.page.width - 50, doc.page.height - 50)
+        .stroke('#2c3e50');
+
+    doc.moveDown(3);
+    doc.font('Helvetica-Bold').fontSize(36).fillColor('#2c3e50')
+        .text('CERTIFICADO DE CONCLUSÃO', { align: 'center' });
+
+    doc.moveDown(1.5);
+    doc.font('Helvetica').fontSize(16).fillColor('#333')
+        .text('Certificamos que', { align: 'center' });
+
+    doc.moveDown(0.5);
+    doc.font('Helvetica-Bold').fontSize(28)
+        .text(certificate.student_name, { align: 'center' });
+
+    doc.moveDown(0.5);
+    doc.font('Helvetica').fontSize(16)
+        .text('concluiu com êxito o curso', { align: 'center' });
+
+    doc.moveDown(0.5);
+    doc.font('Helvetica-Bold').fontSize(22)
+        .text(certificate.course_name, { align: 'center' });
+
+    doc.moveDown(1);
+    doc.font('Helvetica').fontSize(14)
+        .text(`Data de conclusão: ${formatDate(certificate.completed_at)}`, { align: 'center' });
+
+    doc.moveDown(2.5);
+    doc.fontSize(10).fillColor('#666')
+        .text(`Código de verificação: ${certificate.code}`, { align: 'center' })
+        .text(`Verifique a autenticidade em: ${verificationUrl}`, { align: 'center', link: verificationUrl });
+
+    doc.end();
+    return doc;
+}
+
+module.exports = {
+    generateCertificatePdf
+};
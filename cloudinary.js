@@ -1,4 +1,4 @@
-// cloudinary.js - Configuração e utilitário para upload de arquivos.
+// cloudinary.js - Driver de armazenamento do Cloudinary (ver storage.js).
 
 const cloudinary = require('cloudinary').v2;
 const { config } = require('./config');
@@ -31,7 +31,116 @@ async function uploadFile(filePath, resourceType, folder) {
     }
 }
 
-// Exporta a função de upload para ser usada pelos controllers
+/**
+ * Extrai o public_id do Cloudinary a partir da URL segura retornada no upload.
+ * Ex: https://res.cloudinary.com/demo/video/upload/v123/cursos_online/aulas_videos/abc.mp4
+ *     -> cursos_online/aulas_videos/abc
+ * @param {string} fileUrl - URL do recurso.
+ * @returns {string|null} public_id ou null se a URL não for do Cloudinary.
+ */
+function getPublicIdFromUrl(fileUrl) {
+    if (!fileUrl) return null;
+    const match = fileUrl.match(/\/upload\/(?:v\d+\/)?(.+?)(?:\.[^./]+)?$/);
+    return match ? match[1] : null;
+}
+
+/**
+ * Remove um arquivo do Cloudinary a partir da sua URL.
+ * @param {string} fileUrl - URL segura do recurso.
+ * @param {string} resourceType - Tipo de recurso ('image' ou 'video').
+ */
+async function deleteFile(fileUrl, resourceType) {
+    const publicId = getPublicIdFromUrl(fileUrl);
+    if (!publicId) return;
+
+    try {
+        await cloudinary.uploader.destroy(publicId, { resource_type: resourceType });
+    } catch (error) {
+        console.error("Erro ao remover arquivo do Cloudinary:", error.message);
+        throw new Error('Falha ao remover arquivo do armazenamento externo.');
+    }
+}
+
+/**
+ * Envia um vídeo, lido de um stream, como recurso privado ('authenticated').
+ * O envio é feito em partes (upload chunked), sem carregar o arquivo inteiro na memória.
+ * O vídeo não fica acessível por URL pública; use getSignedVideoUrl para gerar links temporários.
+ * @param {stream.Readable} readable - Conteúdo do vídeo.
+ * @param {string} folder - Pasta dentro do Cloudinary.
+ * @returns {Promise<{ publicId: string, format: string }>} Identificação do recurso privado.
+ */
+function uploadPrivateVideoStream(readable, folder) { // O formato é detectado pelo Cloudinary
+    return new Promise((resolve, reject) => {
+        const uploadStream = cloudinary.uploader.upload_chunked_stream({
+            resource_type: 'video',
+            type: 'authenticated',
+            folder: `cursos_online/${folder}`,
+            chunk_size: 20 * 1024 * 1024, // Memória usada por envio: uma parte de 20MB
+        }, (error, result) => {
+            if (error) {
+                console.error("Erro ao fazer upload privado para o Cloudinary:", error.message);
+                return reject(new Error('Falha ao enviar arquivo para o armazenamento externo.'));
+            }
+            resolve({ publicId: result.public_id, format: result.format });
+        });
+
+        readable.on('error', (error) => {
+            console.error("Erro ao ler o vídeo para upload:", error.message);
+            uploadStream.destroy();
+            reject(new Error('Falha ao ler o arquivo de vídeo.'));
+        });
+        readable.pipe(uploadStream);
+    });
+}
+
+/**
+ * Gera uma URL assinada e temporária para reproduzir um vídeo privado.
+ * Com CLOUDINARY_AUTH_TOKEN_KEY (token-based auth) a URL é de streaming direto;
+ * sem ela, usamos a URL de download privada com expiração da API do Cloudinary.
+ * @param {string} publicId - public_id do vídeo.
+ * @param {string} format - Formato do arquivo (ex: 'mp4').
+ * @returns {{ url: string, expiresAt: Date }}
+ */
+function getSignedVideoUrl(publicId, format) {
+    const ttl = config.storage.signedUrlTtlSeconds;
+    const expiresAtSeconds = Math.floor(Date.now() / 1000) + ttl;
+
+    const url = config.cloudinary.authTokenKey
+        ? cloudinary.url(`${publicId}.${format}`, {
+            resource_type: 'video',
+            type: 'authenticated',
+            secure: true,
+            sign_url: true,
+            auth_token: { key: config.cloudinary.authTokenKey, duration: ttl }
+        })
+        : cloudinary.utils.private_download_url(publicId, format, {
+            resource_type: 'video',
+            type: 'authenticated',
+            expires_at: expiresAtSeconds
+        });
+
+    return { url, expiresAt: new Date(expiresAtSeconds * 1000) };
+}
+
+/**
+ * Remove um vídeo privado do Cloudinary a partir do seu public_id.
+ * @param {string} publicId - public_id do vídeo.
+ */
+async function deletePrivateVideo(publicId) {
+    try {
+        await cloudinary.uploader.destroy(publicId, { resource_type: 'video', type: 'authenticated' });
+    } catch (error) {
+        console.error("Erro ao remover vídeo privado do Cloudinary:", error.message);
+        throw new Error('Falha ao remover arquivo do armazenamento externo.');
+    }
+}
+
+// Exporta as operações da interface de armazenamento (usadas via storage.js)
 module.exports = {
-    uploadFile
+    name: 'cloudinary',
+    uploadFile,
+    deleteFile,
+    uploadPrivateVideoStream,
+    getSignedVideoUrl,
+    deletePrivateVideo
 };
@@ -1,8 +1,13 @@
 // config.js - Gerencia as variáveis de ambiente e faz o log de inicialização.
 
+const os = require('os');
+const path = require('path');
 const dotenv = require('dotenv');
 dotenv.config();
 
+// URL pública do backend (usada em links de checkout, emails, etc.)
+const publicUrl = process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}`;
+
 // Mapeamento das variáveis de ambiente
 const config = {
     // Variáveis do Banco de Dados (MySQL)
@@ -11,20 +16,112 @@ const config = {
         user: process.env.DB_USER,
         password: process.env.DB_PASSWORD,
         database: process.env.DB_NAME,
+        // Aplica as migrations pendentes ao iniciar o servidor (desative para rodar apenas via `npm run migrate`)
+        autoMigrate: process.env.DB_AUTO_MIGRATE !== 'false',
     },
     // Variáveis do Cloudinary (Armazenamento de Vídeos/Imagens)
     cloudinary: {
         cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
         api_key: process.env.CLOUDINARY_API_KEY,
         api_secret: process.env.CLOUDINARY_API_SECRET,
+        // Chave de token-based auth (opcional) para URLs de streaming dos vídeos privados
+        authTokenKey: process.env.CLOUDINARY_AUTH_TOKEN_KEY,
+    },
+    // Armazenamento de mídia: 'cloudinary' ou 'local' (disco, servido pelo próprio Express).
+    // Sem credenciais do Cloudinary, o padrão é o disco local (desenvolvimento, CI, demos offline).
+    storage: {
+        driver: process.env.STORAGE_DRIVER || (process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local'),
+        // Validade das URLs assinadas dos vídeos
+        signedUrlTtlSeconds: parseInt(process.env.VIDEO_URL_TTL_SECONDS) || 600,
+        local: {
+            rootDir: process.env.LOCAL_STORAGE_DIR || path.join(__dirname, 'storage'),
+            // Segredo das URLs assinadas dos vídeos locais. Sem ele, localDisk.js deriva uma chave própria
+            // do JWT_SECRET (o mesmo segredo nunca assina sessões e URLs de vídeo).
+            signingSecret: process.env.LOCAL_STORAGE_SECRET || null,
+        },
+    },
+    // Uploads de vídeo: pasta temporária em disco, tamanho das partes e limite do arquivo
+    uploads: {
+        tempDir: process.env.UPLOAD_TEMP_DIR || path.join(os.tmpdir(), 'cursos_uploads'),
+        partSizeBytes: (parseInt(process.env.UPLOAD_PART_SIZE_MB) || 8) * 1024 * 1024,
+        maxFileSizeBytes: 10 * 1024 * 1024 * 1024, // 10GB
+        expirationHours: parseInt(process.env.UPLOAD_EXPIRATION_HOURS) || 24,
     },
     // Chave Secreta JWT
     jwtSecret: process.env.JWT_SECRET,
+    // Credenciais do primeiro super_admin (usadas apenas quando não há nenhum admin cadastrado)
+    adminBootstrap: {
+        username: process.env.ADMIN_USERNAME,
+        password: process.env.ADMIN_PASSWORD,
+    },
+    // Sessões: validade do access token (JWT) e dos refresh tokens (em dias)
+    auth: {
+        accessTokenExpiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || '15m',
+        refreshTokenDays: parseInt(process.env.REFRESH_TOKEN_DAYS) || 30,
+        adminRefreshTokenDays: parseInt(process.env.ADMIN_REFRESH_TOKEN_DAYS) || 1,
+    },
     // Porta do Servidor
     port: process.env.PORT || 3000,
-    // Configurações do Brevo (Email) - Assumindo que a chave API será lida separadamente na aplicação,
-    // ou adicionada aqui se houver uma variável dedicada (Ex: BREVO_API_KEY).
-    // Por enquanto, faremos o setup do Brevo no arquivo dedicado.
+    // URL pública do backend
+    publicUrl,
+    // Recuperação de senha: página do frontend que recebe ?token= e validade do token
+    passwordReset: {
+        url: process.env.PASSWORD_RESET_URL || `${publicUrl}/reset-password`,
+        expirationMinutes: parseInt(process.env.PASSWORD_RESET_EXPIRATION_MINUTES) || 60,
+    },
+    // Confirmação de email: link enviado após o cadastro e validade do token
+    emailVerification: {
+        url: process.env.EMAIL_VERIFICATION_URL || `${publicUrl}/auth/verify-email`,
+        expirationHours: parseInt(process.env.EMAIL_VERIFICATION_EXPIRATION_HOURS) || 24,
+    },
+    // Pagamentos: provedor ativo e segredo de assinatura dos webhooks.
+    // Sem padrão: o provedor 'fake' (testes locais) precisa ser escolhido explicitamente e não inicia em produção.
+    payment: {
+        provider: process.env.PAYMENT_PROVIDER || null,
+        webhookSecret: process.env.PAYMENT_WEBHOOK_SECRET,
+        currency: process.env.PAYMENT_CURRENCY || 'BRL',
+        orderExpirationMinutes: parseInt(process.env.ORDER_EXPIRATION_MINUTES) || 30,
+    },
+    // Emails transacionais: transporte ('brevo', 'smtp' ou 'outbox'), remetente, admin e fila de reenvio.
+    // Sem BREVO_API_KEY nem SMTP_HOST, o padrão é o 'outbox' (arquivos + console, para testes locais).
+    email: {
+        transport: process.env.EMAIL_TRANSPORT || (process.env.BREVO_API_KEY ? 'brevo' : (process.env.SMTP_HOST ? 'smtp' : 'outbox')),
+        sender: {
+            name: process.env.EMAIL_SENDER_NAME || 'Sistema de Cursos',
+            email: process.env.EMAIL_SENDER_ADDRESS || 'noreply@seusite.com',
+        },
+        admin: {
+            name: process.env.EMAIL_ADMIN_NAME || 'Administrador',
+            email: process.env.EMAIL_ADMIN_ADDRESS || 'admin@seusite.com',
+        },
+        // Idioma dos emails enviados ao admin
+        adminLocale: process.env.EMAIL_ADMIN_LOCALE || 'pt-BR',
+        brevoApiKey: process.env.BREVO_API_KEY,
+        smtp: {
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            user: process.env.SMTP_USER,
+            password: process.env.SMTP_PASSWORD,
+        },
+        outboxDir: process.env.EMAIL_OUTBOX_DIR || path.join(__dirname, 'storage', 'outbox'),
+        // Reenvio: intervalo base (dobra a cada tentativa) e número máximo de tentativas
+        retryIntervalSeconds: parseInt(process.env.EMAIL_RETRY_INTERVAL_SECONDS) || 60,
+        maxAttempts: parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 6,
+    },
+    // Avaliações dos cursos: com moderação prévia, novas avaliações só aparecem após aprovação do admin
+    reviews: {
+        requireApproval: process.env.REVIEWS_REQUIRE_APPROVAL === 'true',
+    },
+    // Presentes: página do frontend que recebe ?code= para o destinatário resgatar o curso
+    gifts: {
+        redeemUrl: process.env.GIFT_REDEEM_URL || `${publicUrl}/gifts/redeem`,
+    },
+    // Importação de alunos por CSV: validade do link de convite (definição de senha) enviado às novas contas
+    imports: {
+        inviteExpirationHours: parseInt(process.env.INVITE_EXPIRATION_HOURS) || 168,
+        maxRows: parseInt(process.env.IMPORT_MAX_ROWS) || 1000,
+    },
 };
 
 /**
@@ -39,6 +136,8 @@ function logEnvironmentVariables() {
     console.log(`CLOUDINARY_API_KEY: ${config.cloudinary.api_key ? '✅ INICIADO' : '❌ AUSENTE'}`);
     console.log(`CLOUDINARY_API_SECRET: ${config.cloudinary.api_secret ? '✅ INICIADO' : '❌ AUSENTE'}`);
 
+    console.log(`STORAGE_DRIVER: ${config.storage.driver}`);
+
     // Log para as variáveis DB
     console.log(`DB_HOST: ${config.db.host ? '✅ INICIADO' : '❌ AUSENTE'}`);
     console.log(`DB_NAME: ${config.db.database ? '✅ INICIADO' : '❌ AUSENTE'}`);
@@ -47,8 +146,18 @@ function logEnvironmentVariables() {
 
     // Log para as variáveis JWT e PORT
     console.log(`JWT_SECRET: ${config.jwtSecret ? '✅ INICIADO' : '❌ AUSENTE'}`);
+    console.log(`ADMIN_USERNAME: ${config.adminBootstrap.username ? '✅ INICIADO' : '❌ AUSENTE'}`);
+    console.log(`ADMIN_PASSWORD: ${config.adminBootstrap.password ? '✅ INICIADO' : '❌ AUSENTE'}`);
     console.log(`PORT: ${config.port ? '✅ INICIADO' : '❌ AUSENTE'}`);
 
+    // Log para as variáveis de Pagamento
+    console.log(`PAYMENT_PROVIDER: ${config.payment.provider || '❌ AUSENTE (pagamentos desativados)'}`);
+    console.log(`PAYMENT_WEBHOOK_SECRET: ${config.payment.webhookSecret ? '✅ INICIADO' : '❌ AUSENTE'}`);
+
+    // Log para as variáveis de Email
+    console.log(`EMAIL_TRANSPORT: ${config.email.transport}`);
+    console.log(`EMAIL_ADMIN_ADDRESS: ${process.env.EMAIL_ADMIN_ADDRESS ? '✅ INICIADO' : '❌ AUSENTE'}`);
+
     console.log("---------------------------------------------------------");
     console.log("Configurações iniciadas corretamente. Prosseguindo com o deploy.");
 }
@@ -0,0 +1,375 @@
+// couponController.js - Cupons de desconto: gestão pelo Admin, prévia pública e validação na compra.
+
+const { pool } = require('./database');
+const { publishedCourseSql } = require('./courseAccess');
+
+const DISCOUNT_TYPES = ['PERCENTUAL', 'FIXO'];
+
+/**
+ * Normaliza o código do cupom (sem espaços, em maiúsculas).
+ */
+function normalizeCouponCode(code) {
+    return String(code || '').trim().toUpperCase();
+}
+
+/**
+ * Calcula o desconto de um cupom sobre um preço (nunca maior que o próprio preço).
+ * @returns {{ discount: number, finalAmount: number }}
+ */
+function calculateDiscount(coupon, price) {
+    const basePrice = Number(price);
+    const rawDiscount = coupon.discount_type === 'PERCENTUAL'
+        ? basePrice * Number(coupon.discount_value) / 100
+        : Number(coupon.discount_value);
+    const discount = Math.min(Math.round(rawDiscount * 100) / 100, basePrice);
+
+    return { discount, finalAmount: Math.round((basePrice - discount) * 100) / 100 };
+}
+
+/**
+ * Quantidade de usos de um cupom: pedidos pagos e pedidos pendentes ainda válidos
+ * (que reservam o uso até expirar). Pedidos reembolsados liberam o uso.
+ */
+async function countCouponUses(db, couponId, userId = null) {
+    const [[{ uses }]] = await db.execute(
+        `SELECT COUNT(*) AS uses FROM Orders
+         WHERE coupon_id = ? AND (? IS NULL OR user_id = ?)
+           AND (status = 'PAGO' OR (status = 'PENDENTE' AND expires_at > CURRENT_TIMESTAMP))`,
+        [couponId, userId, userId]
+    );
+    return Number(uses);
+}
+
+/**
+ * Valida um cupom para um curso e calcula o preço com desconto.
+ * Na compra, use dentro de uma transação com `lock = true`: a linha do cupom fica bloqueada
+ * até o pedido ser gravado, para que dois pedidos simultâneos não ultrapassem o limite de usos.
+ * @param {Object} db - Pool ou conexão mysql2.
+ * @param {string} code - Código digitado pelo usuário.
+ * @param {{ id: number, price: number }} course - Curso sendo comprado.
+ * @param {number|null} userId - Usuário (null na prévia pública: o limite por usuário não é verificado).
+ * @param {boolean} [lock=false] - Bloqueia a linha do cupom (SELECT ... FOR UPDATE).
+ * @returns {Promise<{ error: string } | { coupon: Object, discount: number, finalAmount: number }>}
+ */
+async function evaluateCoupon(db, code, course, userId, lock = false) {
+    const [coupons] = await db.execute(
+        `SELECT id, code, discount_type, discount_value, max_uses, max_uses_per_user, is_active,
+                starts_at IS NOT NULL AND starts_at > CURRENT_TIMESTAMP AS not_started,
+                ends_at IS NOT NULL AND ends_at < CURRENT_TIMESTAMP AS has_ended
+         FROM Coupons WHERE code = ? ${lock ? 'FOR UPDATE' : ''}`,
+        [normalizeCouponCode(code)]
+    );
+    const coupon = coupons[0];
+
+    if (!coupon || !coupon.is_active) {
+        return { error: 'Cupom inválido.' };
+    }
+    if (coupon.not_started) {
+        return { error: 'Este cupom ainda não está válido.' };
+    }
+    if (coupon.has_ended) {
+        return { error: 'Este cupom expirou.' };
+    }
+
+    const [restrictions] = await db.execute('SELECT course_id FROM CouponCourses WHERE coupon_id = ?', [coupon.id]);
+    if (restrictions.length > 0 && !restrictions.some(row => row.course_id === Number(course.id))) {
+        return { error: 'Este cupom não é válido para este curso.' };
+    }
+
+    if (coupon.max_uses !== null && await countCouponUses(db, coupon.id) >= coupon.max_uses) {
+        return { error: 'Este cupom atingiu o limite de usos.' };
+    }
+    if (userId && coupon.max_uses_per_user !== null && await countCouponUses(db, coupon.id, userId) >= coupon.max_uses_per_user) {
+        return { error: 'Você já atingiu o limite de usos deste cupom.' };
+    }
+
+    return { coupon, ...calculateDiscount(coupon, course.price) };
+}
+
+/**
+ * Valida e normaliza os campos de um cupom enviados pelo Admin.
+ * @param {Object} body - Corpo da requisição.
+ * @param {boolean} partial - true na edição (campos ausentes são ignorados).
+ * @returns {{ error: string } | { fields: Object }}
+ */
+function parseCouponFields(body, partial) {
+    const { code, description, discountType, discountValue, startsAt, endsAt, maxUses, maxUsesPerUser, isActive } = body;
+
+    if (!partial && (!code || !discountType || discountValue === undefined)) {
+        return { error: 'Código, tipo de desconto e valor são obrigatórios.' };
+    }
+    if (code !== undefined && !/^[A-Z0-9_-]{3,50}$/.test(normalizeCouponCode(code))) {
+        return { error: 'O código deve ter de 3 a 50 letras, números, "-" ou "_".' };
+    }
+    if (discountType !== undefined && !DISCOUNT_TYPES.includes(discountType)) {
+        return { error: `Tipo de desconto inválido. Use: ${DISCOUNT_TYPES.join(', ')}.` };
+    }
+    if (discountValue !== undefined) {
+        const value = Number(discountValue);
+        if (isNaN(value) || value <= 0) {
+            return { error: 'O valor do desconto deve ser maior que zero.' };
+        }
+        if (discountType === 'PERCENTUAL' && value > 100) {
+            return { error: 'O desconto percentual não pode passar de 100.' };
+        }
+    }
+    for (const [name, value] of [['maxUses', maxUses], ['maxUsesPerUser', maxUsesPerUser]]) {
+        if (value !== undefined && value !== null && (!Number.isInteger(Number(value)) || Number(value) < 1)) {
+            return { error: `${name} deve ser um inteiro positivo (ou null para ilimitado).` };
+        }
+    }
+    for (const value of [startsAt, endsAt]) {
+        if (value && isNaN(new Date(value).getTime())) {
+            return { error: 'Datas de validade inválidas.' };
+        }
+    }
+    if (startsAt && endsAt && new Date(startsAt) >= new Date(endsAt)) {
+        return { error: 'A data de início deve ser anterior à data de término.' };
+    }
+
+    const toDate = (value) => (value ? new Date(value) : null);
+    const toLimit = (value) => (value === null || value === undefined ? null : Number(value));
+
+    return {
+        fields: {
+            code: code !== undefined ? normalizeCouponCode(code) : undefined,
+            description: description !== undefined ? (description || null) : undefined,
+            discount_type: discountType,
+            discount_value: discountValue !== undefined ? Number(discountValue) : undefined,
+            starts_at: startsAt !== undefined ? toDate(startsAt) : undefined,
+            ends_at: endsAt !== undefined ? toDate(endsAt) : undefined,
+            max_uses: maxUses !== undefined ? toLimit(maxUses) : undefined,
+            max_uses_per_user: maxUsesPerUser !== undefined ? toLimit(maxUsesPerUser) : undefined,
+            is_active: isActive !== undefined ? Boolean(isActive) : undefined
+        }
+    };
+}
+
+/**
+ * Substitui a lista de cursos em que o cupom vale (lista vazia = todos os cursos).
+ */
+async function setCouponCourses(connection, couponId, courseIds) {
+    await connection.execute('DELETE FROM CouponCourses WHERE coupon_id = ?', [couponId]);
+    for (const courseId of courseIds) {
+        await connection.execute('INSERT INTO CouponCourses (coupon_id, course_id) VALUES (?, ?)', [couponId, courseId]);
+    }
+}
+
+// ===================================
+// Rota Pública (Prévia do Desconto)
+// ===================================
+
+/**
+ * Mostra o preço de um curso com o cupom aplicado, sem criar pedido.
+ * Query: ?courseId=1
+ */
+async function previewCoupon(req, res) {
+    const { code } = req.params;
+    const { courseId } = req.query;
+
+    if (!courseId) {
+        return res.status(400).json({ message: 'O ID do curso é obrigatório.' });
+    }
+
+    try {
+        const [courses] = await pool.execute(
+            `SELECT c.id, c.price FROM Courses c WHERE c.id = ? AND ${publishedCourseSql('c')}`,
+            [courseId]
+        );
+        if (courses.length === 0) {
+            return res.status(404).json({ message: 'Curso não encontrado.' });
+        }
+
+        const result = await evaluateCoupon(pool, code, courses[0], null);
+        if (result.error) {
+            return res.status(400).json({ valid: false, message: result.error });
+        }
+
+        res.json({
+            valid: true,
+            code: result.coupon.code,
+            courseId: Number(courseId),
+            originalPrice: Number(courses[0].price),
+            discount: result.discount,
+            finalPrice: result.finalAmount
+        });
+
+    } catch (error) {
+        console.error('Erro ao calcular prévia do cupom:', error);
+        res.status(500).json({ message: 'Erro interno ao validar cupom.' });
+    }
+}
+
+// ===================================
+// Rotas do Admin
+// ===================================
+
+/**
+ * Lista os cupons com os cursos permitidos e a quantidade de usos.
+ */
+async function listCoupons(req, res) {
+    try {
+        const [coupons] = await pool.execute(
+            `SELECT c.*,
+                    (SELECT GROUP_CONCAT(cc.course_id) FROM CouponCourses cc WHERE cc.coupon_id = c.id) AS course_ids,
+                    (SELECT COUNT(*) FROM Orders o WHERE o.coupon_id = c.id AND o.status = 'PAGO') AS paid_uses
+             FROM Coupons c ORDER BY c.created_at DESC`
+        );
+        res.json(coupons.map(({ course_ids, ...coupon }) => ({
+            ...coupon,
+            courseIds: course_ids ? course_ids.split(',').map(Number) : []
+        })));
+    } catch (error) {
+        console.error('Erro ao listar cupons:', error);
+        res.status(500).json({ message: 'Erro interno ao listar cupons.' });
+    }
+}
+
+/**
+ * Cria um cupom.
+ * Body: { code, description?, discountType: 'PERCENTUAL'|'FIXO', discountValue, startsAt?, endsAt?,
+ *         maxUses?, maxUsesPerUser?, isActive?, courseIds?: [] }
+ */
+async function createCoupon(req, res) {
+    const parsed = parseCouponFields(req.body, false);
+    if (parsed.error) {
+        return res.status(400).json({ message: parsed.error });
+    }
+    const courseIds = Array.isArray(req.body.courseIds) ? req.body.courseIds : [];
+    const { fields } = parsed;
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const [result] = await connection.execute(
+            `INSERT INTO Coupons (code, description, discount_type, discount_value, starts_at, ends_at,
+                                  max_uses, max_uses_per_user, is_active, created_by)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                fields.code, fields.description || null, fields.discount_type, fields.discount_value,
+                fields.starts_at || null, fields.ends_at || null, fields.max_uses ?? null, fields.max_uses_per_user ?? null,
+                fields.is_active ?? true, req.userId
+            ]
+        );
+        await setCouponCourses(connection, result.insertId, courseIds);
+
+        await connection.commit();
+        res.status(201).json({ message: 'Cupom criado com sucesso!', couponId: result.insertId, code: fields.code });
+
+    } catch (error) {
+        if (connection) await connection.rollback();
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ message: 'Já existe um cupom com este código.' });
+        }
+        if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+            return res.status(404).json({ message: 'Um dos cursos informados não existe.' });
+        }
+        console.error('Erro ao criar cupom:', error);
+        res.status(500).json({ message: 'Erro interno ao criar cupom.' });
+    } finally {
+        if (connection) connection.release();
+    }
+}
+
+/**
+ * Atualiza um cupom (campos parciais). Enviar courseIds substitui a lista de cursos.
+ */
+async function updateCoupon(req, res) {
+    const { couponId } = req.params;
+    const parsed = parseCouponFields(req.body, true);
+    if (parsed.error) {
+        return res.status(400).json({ message: parsed.error });
+    }
+
+    const columns = Object.keys(parsed.fields).filter(column => parsed.fields[column] !== undefined);
+    const courseIds = req.body.courseIds;
+    if (columns.length === 0 && courseIds === undefined) {
+        return res.status(400).json({ message: 'Informe ao menos um campo para atualizar.' });
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const [coupons] = await connection.execute('SELECT id, discount_type, discount_value FROM Coupons WHERE id = ? FOR UPDATE', [couponId]);
+        if (coupons.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Cupom não encontrado.' });
+        }
+
+        // O limite de 100% vale também quando só o valor (ou só o tipo) é alterado: completa com o que está gravado
+        const discountType = parsed.fields.discount_type || coupons[0].discount_type;
+        const discountValue = parsed.fields.discount_value !== undefined
+            ? parsed.fields.discount_value
+            : Number(coupons[0].discount_value);
+        if (discountType === 'PERCENTUAL' && discountValue > 100) {
+            await connection.rollback();
+            return res.status(400).json({ message: 'O desconto percentual não pode passar de 100.' });
+        }
+
+        if (columns.length > 0) {
+            await connection.execute(
+                `UPDATE Coupons SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+                [...columns.map(column => parsed.fields[column]), couponId]
+            );
+        }
+        if (Array.isArray(courseIds)) {
+            await setCouponCourses(connection, couponId, courseIds);
+        }
+
+        await connection.commit();
+        res.json({ message: 'Cupom atualizado com sucesso!' });
+
+    } catch (error) {
+        if (connection) await connection.rollback();
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ message: 'Já existe um cupom com este código.' });
+        }
+        if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+            return res.status(404).json({ message: 'Um dos cursos informados não existe.' });
+        }
+        console.error('Erro ao atualizar cupom:', error);
+        res.status(500).json({ message: 'Erro interno ao atualizar cupom.' });
+    } finally {
+        if (connection) connection.release();
+    }
+}
+
+/**
+ * Remove um cupom que nunca foi usado. Cupons já usados devem ser desativados (isActive: false),
+ * para manter o histórico dos pedidos.
+ */
+async function deleteCoupon(req, res) {
+    const { couponId } = req.params;
+
+    try {
+        const [[{ orders }]] = await pool.execute('SELECT COUNT(*) AS orders FROM Orders WHERE coupon_id = ?', [couponId]);
+        if (orders > 0) {
+            return res.status(409).json({ message: 'Este cupom já foi usado em pedidos. Desative-o em vez de removê-lo.' });
+        }
+
+        const [result] = await pool.execute('DELETE FROM Coupons WHERE id = ?', [couponId]);
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'Cupom não encontrado.' });
+        }
+
+        res.json({ message: 'Cupom removido com sucesso!' });
+
+    } catch (error) {
+        console.error('Erro ao remover cupom:', error);
+        res.status(500).json({ message: 'Erro interno ao remover cupom.' });
+    }
+}
+
+module.exports = {
+    normalizeCouponCode,
+    evaluateCoupon,
+    previewCoupon,
+    listCoupons,
+    createCoupon,
+    updateCoupon,
+    deleteCoupon
+};
@@ -0,0 +1,272 @@
+// courseAccess.js - Regras de acesso ao conteúdo dos cursos (compra, pacote, assinatura e Drip Content).
+
+const { pool } = require('./database');
+
+/**
+ * Calcula a data de liberação de uma aula (Data da Compra + Drip Days).
+ * @param {Date|string} purchaseDate - Data da compra do curso.
+ * @param {number} dripDays - Dias após a compra para liberar a aula.
+ * @returns {Date} Data de liberação.
+ */
+function calculateReleaseDate(purchaseDate, dripDays) {
+    const start = new Date(purchaseDate);
+    const releaseDate = new Date(start);
+    releaseDate.setDate(start.getDate() + dripDays);
+    return releaseDate;
+}
+
+// ===================================
+// Status de Publicação
+// ===================================
+
+// Status de um curso:
+//   RASCUNHO  -> em construção, visível apenas para os admins (prévia)
+//   PUBLICADO -> no catálogo e à venda
+//   AGENDADO  -> passa a ser publicado automaticamente em publish_at
+//   ARQUIVADO -> fora do catálogo e das vendas, mas o conteúdo continua disponível para quem já comprou
+const COURSE_STATUSES = ['RASCUNHO', 'PUBLICADO', 'AGENDADO', 'ARQUIVADO'];
+
+// Aulas em RASCUNHO ficam ocultas para os alunos (e fora do progresso e do certificado)
+const LESSON_STATUSES = ['RASCUNHO', 'PUBLICADO'];
+
+/**
+ * Condição SQL de curso publicado (inclui os agendados cuja data já chegou).
+ * @param {string} [alias='c'] - Alias da tabela Courses na consulta.
+ */
+function publishedCourseSql(alias = 'c') {
+    return `(${alias}.status = 'PUBLICADO' OR (${alias}.status = 'AGENDADO' AND ${alias}.publish_at <= CURRENT_TIMESTAMP))`;
+}
+
+// ===================================
+// Acesso ao Curso
+// ===================================
+
+// Fontes de acesso a um curso, uma linha por (curso, origem):
+//   purchase     -> compra avulsa do curso (Purchases), inclusive presentes resgatados e importações
+//   bundle       -> compra de um pacote que contém o curso (BundlePurchases + BundleCourses)
+//   subscription -> assinatura com período vigente de um plano que inclui o curso
+//   grant        -> acesso concedido pelo Admin (CourseGrants), com validade opcional
+// Compras não expiram (expires_at NULL); o acesso por assinatura termina em current_period_end.
+// Concessões vencidas continuam na consulta para que o aluno veja o curso como bloqueado (ver listCourseAccess).
+// Cursos arquivados continuam disponíveis para quem comprou (avulso ou em pacote), mas saem das assinaturas.
+const COURSE_ACCESS_SOURCES_SQL = `
+    SELECT p.course_id, 'purchase' AS source, p.purchase_date AS started_at, NULL AS expires_at
+    FROM Purchases p
+    WHERE p.user_id = ?
+    UNION ALL
+    SELECT bc.course_id, 'bundle' AS source, bp.purchase_date AS started_at, NULL AS expires_at
+    FROM BundlePurchases bp
+    JOIN BundleCourses bc ON bc.bundle_id = bp.bundle_id
+    WHERE bp.user_id = ?
+    UNION ALL
+    SELECT c.id AS course_id, 'subscription' AS source, s.started_at, s.current_period_end AS expires_at
+    FROM Subscriptions s
+    JOIN SubscriptionPlans sp ON sp.id = s.plan_id
+    JOIN Courses c ON sp.all_courses OR c.id IN (SELECT pc.course_id FROM PlanCourses pc WHERE pc.plan_id = sp.id)
+    WHERE s.user_id = ? AND s.current_period_end > CURRENT_TIMESTAMP AND ${publishedCourseSql('c')}
+    UNION ALL
+    SELECT g.course_id, 'grant' AS source, g.created_at AS started_at, g.expires_at
+    FROM CourseGrants g
+    WHERE g.user_id = ? AND g.revoked_at IS NULL
+`;
+
+/**
+ * Lista os cursos que o usuário pode acessar, combinando todas as fontes de acesso.
+ * Quando há mais de uma fonte para o mesmo curso, vale a mais antiga como início (base do Drip Content)
+ * e o acesso só expira se todas as fontes expirarem.
+ * @param {number} userId - ID do usuário.
+ * @param {number|string|null} [courseId=null] - Restringe a um curso.
+ * @param {Object} [options]
+ * @param {boolean} [options.includeExpired=false] - Inclui os cursos com acesso vencido (isExpired: true),
+ *        para exibi-los como bloqueados. Sem a opção, apenas o acesso vigente é retornado.
+ * @returns {Promise<Map<number, { courseId: number, sources: string[], startedAt: Date, expiresAt: Date|null, isExpired: boolean }>>}
+ */
+async function listCourseAccess(userId, courseId = null, { includeExpired = false } = {}) {
+    const params = [userId, userId, userId, userId];
+    if (courseId !== null) params.push(courseId);
+
+    const [rows] = await pool.execute(
+        `SELECT a.course_id, a.source, a.started_at, a.expires_at
+         FROM (${COURSE_ACCESS_SOURCES_SQL}) a
+         JOIN Courses course ON course.id = a.course_id
+         WHERE (${publishedCourseSql('course')} OR course.status = 'ARQUIVADO')
+         ${includeExpired ? '' : 'AND (a.expires_at IS NULL OR a.expires_at > CURRENT_TIMESTAMP)'}
+         ${courseId !== null ? 'AND a.course_id = ?' : ''}
+         ORDER BY a.started_at ASC`,
+        params
+    );
+
+    const now = new Date();
+    const accessByCourse = new Map();
+    for (const row of rows) {
+        let access = accessByCourse.get(row.course_id);
+        if (!access) {
+            access = { courseId: row.course_id, sources: [], startedAt: new Date(row.started_at), expiresAt: null, isExpired: true };
+            accessByCourse.set(row.course_id, access);
+        }
+        if (!access.sources.includes(row.source)) access.sources.push(row.source);
+
+        // Entre as fontes vigentes vale a validade mais longa (null = permanente);
+        // se todas venceram, expiresAt é a data do último vencimento.
+        const expiresAt = row.expires_at ? new Date(row.expires_at) : null;
+        const isActive = !expiresAt || expiresAt > now;
+        if (isActive) {
+            if (access.isExpired) {
+                access.isExpired = false;
+                access.expiresAt = expiresAt;
+            } else if (access.expiresAt && (!expiresAt || expiresAt > access.expiresAt)) {
+                access.expiresAt = expiresAt;
+            }
+        } else if (access.isExpired && (!access.expiresAt || expiresAt > access.expiresAt)) {
+            access.expiresAt = expiresAt;
+        }
+    }
+    return accessByCourse;
+}
+
+/**
+ * Busca o acesso do usuário a um curso (compra, pacote, assinatura ou concessão do Admin).
+ * @param {Object} [options] - Ver listCourseAccess (includeExpired).
+ * @returns {Promise<{ courseId: number, sources: string[], startedAt: Date, expiresAt: Date|null, isExpired: boolean }|null>}
+ *          null se o usuário não tem acesso.
+ */
+async function findCourseAccess(userId, courseId, options = {}) {
+    const accessByCourse = await listCourseAccess(userId, courseId, options);
+    return accessByCourse.get(Number(courseId)) || null;
+}
+
+// ===================================
+// Drip Content
+// ===================================
+
+// Modos de liberação das aulas, definidos no curso (Courses.drip_mode) e, opcionalmente,
+// sobrescritos por módulo (Modules.drip_mode):
+//   DIAS_APOS_COMPRA -> cada aula é liberada drip_days dias após o início do acesso
+//   DATA_FIXA        -> cada aula é liberada na sua release_date (ou na do módulo); sem data, já está liberada
+//   SEQUENCIAL       -> cada aula é liberada quando a aula anterior do curso for concluída
+//   MODULO           -> o módulo inteiro é liberado de uma vez, na release_date do módulo
+//                       ou drip_days dias após o início do acesso
+// Todos os modos produzem o mesmo formato: { isReleased, releaseDate }. No modo SEQUENCIAL,
+// releaseDate é null enquanto a aula estiver bloqueada (a data depende do aluno).
+// Independentemente do modo, um questionário obrigatório (Quizzes.required_to_advance) ainda não aprovado
+// bloqueia as aulas dos módulos seguintes (requiredQuizId).
+const DRIP_MODES = ['DIAS_APOS_COMPRA', 'DATA_FIXA', 'SEQUENCIAL', 'MODULO'];
+
+/**
+ * Calcula a liberação de cada aula publicada de um curso para um aluno.
+ * @param {number} userId - ID do usuário.
+ * @param {number|string} courseId - ID do curso.
+ * @param {Date} startedAt - Início do acesso ao curso (ver findCourseAccess).
+ * @returns {Promise<Map<number, { mode: string, isReleased: boolean, releaseDate: Date|null, requiredQuizId: number|null }>>}
+ *          Por ID da aula.
+ */
+async function getCourseReleaseSchedule(userId, courseId, startedAt) {
+    const [lessons] = await pool.execute(
+        `SELECT l.id, l.module_id, l.drip_days, l.release_date, m.order_index AS module_order,
+                m.drip_days AS module_drip_days, m.release_date AS module_release_date,
+                COALESCE(m.drip_mode, c.drip_mode) AS drip_mode,
+                lp.completed_at
+         FROM Lessons l
+         JOIN Modules m ON l.module_id = m.id
+         JOIN Courses c ON m.course_id = c.id
+         LEFT JOIN LessonProgress lp ON lp.lesson_id = l.id AND lp.user_id = ?
+         WHERE m.course_id = ? AND l.status = 'PUBLICADO'
+         ORDER BY m.order_index ASC, m.id ASC, l.order_index ASC, l.id ASC`,
+        [userId, courseId]
+    );
+
+    // Questionários obrigatórios (do módulo ou de uma aula publicada dele) que o aluno ainda não passou
+    const [pendingQuizzes] = await pool.execute(
+        `SELECT q.id, m.id AS module_id, m.order_index AS module_order
+         FROM Quizzes q
+         LEFT JOIN Lessons ql ON q.lesson_id = ql.id
+         JOIN Modules m ON m.id = COALESCE(q.module_id, ql.module_id)
+         WHERE m.course_id = ? AND q.required_to_advance = TRUE AND (ql.id IS NULL OR ql.status = 'PUBLICADO')
+           AND NOT EXISTS (SELECT 1 FROM QuizAttempts qa WHERE qa.quiz_id = q.id AND qa.user_id = ? AND qa.passed = TRUE)
+         ORDER BY m.order_index ASC, m.id ASC, q.id ASC`,
+        [courseId, userId]
+    );
+
+    const now = new Date();
+    const schedule = new Map();
+    let previousCompleted = true; // A primeira aula do curso não depende de outra
+
+    for (const lesson of lessons) {
+        let releaseDate = null;
+        let isReleased;
+
+        switch (lesson.drip_mode) {
+            case 'DATA_FIXA': {
+                const fixedDate = lesson.release_date || lesson.module_release_date;
+                releaseDate = fixedDate ? new Date(fixedDate) : null;
+                isReleased = !releaseDate || now >= releaseDate;
+                break;
+            }
+            case 'SEQUENCIAL':
+                isReleased = previousCompleted;
+                break;
+            case 'MODULO':
+                releaseDate = lesson.module_release_date
+                    ? new Date(lesson.module_release_date)
+                    : calculateReleaseDate(startedAt, lesson.module_drip_days);
+                isReleased = now >= releaseDate;
+                break;
+            default: // DIAS_APOS_COMPRA
+                releaseDate = calculateReleaseDate(startedAt, lesson.drip_days);
+                isReleased = now >= releaseDate;
+        }
+
+        // Mesma ordem dos módulos da consulta das aulas (order_index, id)
+        const blockingQuiz = pendingQuizzes.find(quiz =>
+            quiz.module_order < lesson.module_order || (quiz.module_order === lesson.module_order && quiz.module_id < lesson.module_id)
+        );
+        const requiredQuizId = blockingQuiz ? blockingQuiz.id : null;
+        if (requiredQuizId) isReleased = false;
+
+        schedule.set(lesson.id, { mode: lesson.drip_mode, isReleased, releaseDate, requiredQuizId });
+        previousCompleted = Boolean(lesson.completed_at);
+    }
+    return schedule;
+}
+
+/**
+ * Verifica se o usuário pode acessar uma aula (tem acesso ao curso e a aula já foi liberada).
+ * @param {number} userId - ID do usuário.
+ * @param {number|string} lessonId - ID da aula.
+ * @returns {Promise<{ lesson: Object|null, hasPurchase: boolean, isReleased: boolean, releaseDate: Date|null, requiredQuizId: number|null }>}
+ */
+async function getLessonAccess(userId, lessonId) {
+    const [lessons] = await pool.execute(
+        `SELECT l.id, l.title, l.module_id, m.course_id
+         FROM Lessons l
+         JOIN Modules m ON l.module_id = m.id
+         WHERE l.id = ? AND l.status = 'PUBLICADO'`,
+        [lessonId]
+    );
+
+    if (lessons.length === 0) {
+        return { lesson: null, hasPurchase: false, isReleased: false, releaseDate: null, requiredQuizId: null };
+    }
+
+    const lesson = lessons[0];
+    const access = await findCourseAccess(userId, lesson.course_id);
+    if (!access) {
+        return { lesson, hasPurchase: false, isReleased: false, releaseDate: null, requiredQuizId: null };
+    }
+
+    const schedule = await getCourseReleaseSchedule(userId, lesson.course_id, access.startedAt);
+    const { isReleased, releaseDate, requiredQuizId } = schedule.get(lesson.id);
+    return { lesson, hasPurchase: true, isReleased, releaseDate, requiredQuizId };
+}
+
+module.exports = {
+    COURSE_STATUSES,
+    LESSON_STATUSES,
+    publishedCourseSql,
+    DRIP_MODES,
+    calculateReleaseDate,
+    listCourseAccess,
+    findCourseAccess,
+    getCourseReleaseSchedule,
+    getLessonAccess
+};
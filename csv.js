@@ -0,0 +1,116 @@
+// csv.js - Geração (em stream) e leitura de arquivos CSV para as exportações e importações do Admin.
+
+const { Transform } = require('stream');
+
+// Planilhas executam células que começam com estes caracteres como fórmula (CSV injection)
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+/**
+ * Escapa um valor para uma célula CSV.
+ * Datas viram ISO 8601, null/undefined viram célula vazia e textos que parecem fórmulas recebem um apóstrofo.
+ */
+function escapeCsvValue(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString();
+
+    let text = String(value);
+    if (typeof value === 'string' && FORMULA_PREFIXES.includes(text.charAt(0))) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Monta uma linha CSV (com CRLF no final).
+ */
+function toCsvLine(values) {
+    return `${values.map(escapeCsvValue).join(',')}\r\n`;
+}
+
+/**
+ * Cria um Transform que recebe linhas do banco (objetos) e emite o CSV, começando pelo cabeçalho.
+ * O BOM no início faz o Excel abrir o arquivo como UTF-8 (acentos).
+ * @param {Array<{ header: string, value: string|Function }>} columns - Coluna do banco ou função (row) => valor.
+ * @returns {Transform}
+ */
+function createCsvStream(columns) {
+    let headerSent = false;
+    const sendHeader = (stream) => {
+        if (headerSent) return;
+        headerSent = true;
+        stream.push(`\uFEFF${toCsvLine(columns.map(column => column.header))}`);
+    };
+
+    return new Transform({
+        writableObjectMode: true,
+        transform(row, encoding, callback) {
+            sendHeader(this);
+            callback(null, toCsvLine(columns.map(column =>
+                typeof column.value === 'function' ? column.value(row) : row[column.value]
+            )));
+        },
+        flush(callback) {
+            sendHeader(this); // Exportação vazia ainda tem o cabeçalho
+            callback();
+        }
+    });
+}
+
+/**
+ * Lê um texto CSV (RFC 4180: aspas, aspas duplicadas e quebras de linha dentro de aspas).
+ * O separador (vírgula ou ponto e vírgula, comum no Excel em português) é detectado pelo cabeçalho.
+ * @param {string} text - Conteúdo do arquivo.
+ * @returns {Array<Array<string>>} Linhas com as células (linhas totalmente vazias são ignoradas).
+ */
+function parseCsv(text) {
+    const content = text.charAt(0) === '\uFEFF' ? text.slice(1) : text;
+    const firstLine = content.split(/\r?\n/, 1)[0];
+    const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    const endRow = () => {
+        row.push(cell);
+        if (row.some(value => value.trim() !== '')) rows.push(row);
+        row = [];
+        cell = '';
+    };
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+
+        if (inQuotes) {
+            if (char === '"' && content[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            endRow();
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length > 0) endRow();
+
+    return rows;
+}
+
+module.exports = {
+    escapeCsvValue,
+    toCsvLine,
+    createCsvStream,
+    parseCsv
+};
@@ -0,0 +1,503 @@
+// csvController.js - Exportação de usuários, compras e reembolsos em CSV e importação de alunos e matrículas.
+
+const crypto = require('crypto');
+const { pipeline } = require('stream');
+const multer = require('multer');
+const bcrypt = require('bcrypt');
+const { pool } = require('./database');
+const { config } = require('./config');
+const { sendEmail } = require('./email');
+const { normalizeLocale } = require('./emailTemplates');
+const { createPasswordResetToken } = require('./authController');
+const { createCsvStream, parseCsv } = require('./csv');
+
+const REFUND_STATUSES = ['PENDENTE', 'APROVADO', 'REJEITADO'];
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Configuração do Multer para o CSV de importação (em memória, até 2 MB)
+const csvUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 2 * 1024 * 1024 }
+}).single('file');
+
+// ===================================
+// Exportação
+// ===================================
+
+/**
+ * Valida o período das exportações (?from=AAAA-MM-DD&to=AAAA-MM-DD, ambos opcionais e inclusivos).
+ * @param {Object} query - Query da requisição.
+ * @param {string} column - Coluna de data filtrada (ex: 'u.created_at').
+ * @returns {{ error: string } | { conditions: string[], params: Array }}
+ */
+function parseDateFilters(query, column) {
+    const conditions = [];
+    const params = [];
+
+    for (const [value, operator] of [[query.from, '>='], [query.to, '<']]) {
+        if (value === undefined) continue;
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(new Date(value).getTime())) {
+            return { error: 'Datas inválidas. Use o formato AAAA-MM-DD.' };
+        }
+        conditions.push(operator === '>=' ? `${column} >= ?` : `${column} < DATE_ADD(?, INTERVAL 1 DAY)`);
+        params.push(value);
+    }
+    return { conditions, params };
+}
+
+/**
+ * Envia o resultado de uma consulta como CSV, linha a linha (sem carregar tudo na memória).
+ * Usa uma conexão dedicada em modo stream; se o cliente desistir no meio, a conexão é descartada.
+ * @param {Object} res - Resposta do Express.
+ * @param {string} name - Prefixo do nome do arquivo (ex: 'usuarios').
+ * @param {string} sql - Consulta.
+ * @param {Array} params - Parâmetros da consulta.
+ * @param {Array<{ header: string, value: string|Function }>} columns - Colunas do CSV (ver createCsvStream).
+ */
+async function streamCsv(res, name, sql, params, columns) {
+    const connection = await pool.getConnection();
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${name}-${new Date().toISOString().split('T')[0]}.csv"`);
+
+    // connection.connection é a conexão "callback" do mysql2, que permite ler o resultado como stream
+    const rows = connection.connection.query(sql, params).stream();
+    pipeline(rows, createCsvStream(columns), res, (error) => {
+        if (error) {
+            console.error(`Erro ao exportar ${name}:`, error);
+            connection.destroy();
+            return;
+        }
+        connection.release();
+    });
+}
+
+/**
+ * Exporta os usuários.
+ * Query: ?from=&to= (data de cadastro)&verified=true|false
+ */
+async function exportUsers(req, res) {
+    const filters = parseDateFilters(req.query, 'u.created_at');
+    if (filters.error) {
+        return res.status(400).json({ message: filters.error });
+    }
+
+    const { verified } = req.query;
+    if (verified !== undefined && verified !== 'true' && verified !== 'false') {
+        return res.status(400).json({ message: "O filtro verified deve ser 'true' ou 'false'." });
+    }
+
+    const conditions = [...filters.conditions];
+    if (verified !== undefined) {
+        conditions.push(verified === 'true' ? 'u.email_verified_at IS NOT NULL' : 'u.email_verified_at IS NULL');
+    }
+
+    try {
+        await streamCsv(
+            res,
+            'usuarios',
+            `SELECT u.id, u.name, u.email, u.locale, u.email_verified_at, u.created_at,
+                    (SELECT COUNT(*) FROM Purchases p WHERE p.user_id = u.id) AS purchases
+             FROM Users u
+             ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+             ORDER BY u.id ASC`,
+            filters.params,
+            [
+                { header: 'id', value: 'id' },
+                { header: 'nome', value: 'name' },
+                { header: 'email', value: 'email' },
+                { header: 'idioma', value: 'locale' },
+                { header: 'email_confirmado_em', value: 'email_verified_at' },
+                { header: 'cadastrado_em', value: 'created_at' },
+                { header: 'compras', value: 'purchases' }
+            ]
+        );
+    } catch (error) {
+        console.error('Erro ao exportar usuários:', error);
+        res.status(500).json({ message: 'Erro interno ao exportar usuários.' });
+    }
+}
+
+/**
+ * Exporta as compras de cursos (avulsas, com cupom, gratuitas ou importadas).
+ * Query: ?from=&to= (data da compra)&courseId=&userId=
+ */
+async function exportPurchases(req, res) {
+    const filters = parseDateFilters(req.query, 'p.purchase_date');
+    if (filters.error) {
+        return res.status(400).json({ message: filters.error });
+    }
+
+    const conditions = [...filters.conditions];
+    const params = [...filters.params];
+    if (req.query.courseId) {
+        conditions.push('p.course_id = ?');
+        params.push(req.query.courseId);
+    }
+    if (req.query.userId) {
+        conditions.push('p.user_id = ?');
+        params.push(req.query.userId);
+    }
+
+    try {
+        await streamCsv(
+            res,
+            'compras',
+            `SELECT p.id, p.purchase_date, p.user_id, u.name AS user_name, u.email AS user_email,
+                    p.course_id, c.name AS course_name, p.amount_paid, cp.code AS coupon_code,
+                    p.order_id, o.provider, o.currency
+             FROM Purchases p
+             JOIN Users u ON p.user_id = u.id
+             JOIN Courses c ON p.course_id = c.id
+             LEFT JOIN Orders o ON p.order_id = o.id
+             LEFT JOIN Coupons cp ON p.coupon_id = cp.id
+             ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+             ORDER BY p.purchase_date ASC, p.id ASC`,
+            params,
+            [
+                { header: 'id', value: 'id' },
+                { header: 'data_compra', value: 'purchase_date' },
+                { header: 'usuario_id', value: 'user_id' },
+                { header: 'usuario_nome', value: 'user_name' },
+                { header: 'usuario_email', value: 'user_email' },
+                { header: 'curso_id', value: 'course_id' },
+                { header: 'curso_nome', value: 'course_name' },
+                { header: 'valor_pago', value: 'amount_paid' },
+                { header: 'moeda', value: 'currency' },
+                { header: 'cupom', value: 'coupon_code' },
+                { header: 'pedido_id', value: 'order_id' },
+                { header: 'provedor', value: 'provider' }
+            ]
+        );
+    } catch (error) {
+        console.error('Erro ao exportar compras:', error);
+        res.status(500).json({ message: 'Erro interno ao exportar compras.' });
+    }
+}
+
+/**
+ * Exporta os pedidos de reembolso.
+ * Query: ?from=&to= (data do pedido)&status=PENDENTE|APROVADO|REJEITADO&courseId=
+ */
+async function exportRefunds(req, res) {
+    const filters = parseDateFilters(req.query, 'r.request_date');
+    if (filters.error) {
+        return res.status(400).json({ message: filters.error });
+    }
+
+    const { status, courseId } = req.query;
+    if (status && !REFUND_STATUSES.includes(status)) {
+        return res.status(400).json({ message: `Status inválido. Use: ${REFUND_STATUSES.join(', ')}.` });
+    }
+
+    const conditions = [...filters.conditions];
+    const params = [...filters.params];
+    if (status) {
+        conditions.push('r.status = ?');
+        params.push(status);
+    }
+    if (courseId) {
+        conditions.push('r.course_id = ?');
+        params.push(courseId);
+    }
+
+    try {
+        await streamCsv(
+            res,
+            'reembolsos',
+            `SELECT r.id, r.request_date, r.status, r.user_id, u.name AS user_name, u.email AS user_email,
+                    r.course_id, c.name AS course_name, r.message, r.decision_reason,
+                    a.username AS decided_by_username, r.decided_at
+             FROM RefundRequests r
+             JOIN Users u ON r.user_id = u.id
+             JOIN Courses c ON r.course_id = c.id
+             LEFT JOIN Admins a ON r.decided_by = a.id
+             ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+             ORDER BY r.request_date ASC, r.id ASC`,
+            params,
+            [
+                { header: 'id', value: 'id' },
+                { header: 'data_pedido', value: 'request_date' },
+                { header: 'status', value: 'status' },
+                { header: 'usuario_id', value: 'user_id' },
+                { header: 'usuario_nome', value: 'user_name' },
+                { header: 'usuario_email', value: 'user_email' },
+                { header: 'curso_id', value: 'course_id' },
+                { header: 'curso_nome', value: 'course_name' },
+                { header: 'mensagem', value: 'message' },
+                { header: 'motivo_decisao', value: 'decision_reason' },
+                { header: 'decidido_por', value: 'decided_by_username' },
+                { header: 'decidido_em', value: 'decided_at' }
+            ]
+        );
+    } catch (error) {
+        console.error('Erro ao exportar reembolsos:', error);
+        res.status(500).json({ message: 'Erro interno ao exportar reembolsos.' });
+    }
+}
+
+// ===================================
+// Importação
+// ===================================
+
+// Colunas do CSV de importação (cabeçalho obrigatório, em qualquer ordem):
+//   email      -> obrigatório
+//   name       -> obrigatório para contas novas (ignorado se o email já estiver cadastrado)
+//   locale     -> opcional (idioma dos emails, padrão pt-BR)
+//   course_ids -> opcional, IDs dos cursos liberados separados por '|' (ex: 3|7)
+// Contas novas recebem um email de convite com o link para definir a senha.
+const IMPORT_COLUMNS = ['email', 'name', 'locale', 'course_ids'];
+
+/**
+ * Busca registros em lotes de IDs/emails (evita consultas com milhares de parâmetros).
+ */
+async function selectInChunks(sql, values, chunkSize = 500) {
+    const rows = [];
+    for (let i = 0; i < values.length; i += chunkSize) {
+        const chunk = values.slice(i, i + chunkSize);
+        const [result] = await pool.execute(sql.replace('(?)', `(${chunk.map(() => '?').join(', ')})`), chunk);
+        rows.push(...result);
+    }
+    return rows;
+}
+
+/**
+ * Valida as linhas do CSV e monta o plano de importação de cada uma, sem gravar nada.
+ * @param {Array<Object>} records - Linhas já convertidas em objetos (coluna -> valor).
+ * @returns {Promise<Array<Object>>} Relatório por linha: { line, email, name, locale, userId, createUser, enroll, alreadyEnrolled, errors }
+ */
+async function planImport(records) {
+    const emails = [...new Set(records.map(record => record.email.toLowerCase()).filter(email => EMAIL_REGEX.test(email)))];
+    const existingUsers = await selectInChunks('SELECT id, email FROM Users WHERE email IN (?)', emails);
+    const userIdByEmail = new Map(existingUsers.map(user => [user.email.toLowerCase(), user.id]));
+
+    const requestedCourseIds = [...new Set(records.flatMap(record => record.courseIds).filter(Number.isInteger))];
+    const courses = await selectInChunks('SELECT id FROM Courses WHERE id IN (?)', requestedCourseIds);
+    const existingCourseIds = new Set(courses.map(course => course.id));
+
+    const userIds = [...userIdByEmail.values()];
+    const purchases = await selectInChunks('SELECT user_id, course_id FROM Purchases WHERE user_id IN (?)', userIds);
+    const purchased = new Set(purchases.map(purchase => `${purchase.user_id}:${purchase.course_id}`));
+
+    const seenEmails = new Set();
+    return records.map(record => {
+        const email = record.email.toLowerCase();
+        const userId = userIdByEmail.get(email) || null;
+        const errors = [];
+
+        if (!EMAIL_REGEX.test(email)) {
+            errors.push('Email inválido.');
+        } else if (seenEmails.has(email)) {
+            errors.push('Email repetido no arquivo.');
+        }
+        seenEmails.add(email);
+
+        if (!userId && !record.name) {
+            errors.push('O nome é obrigatório para novas contas.');
+        }
+        if (record.name.length > 100) {
+            errors.push('O nome pode ter no máximo 100 caracteres.');
+        }
+
+        const enroll = [];
+        const alreadyEnrolled = [];
+        for (const courseId of record.courseIds) {
+            if (!Number.isInteger(courseId) || courseId < 1) {
+                errors.push('course_ids deve conter apenas IDs numéricos separados por |.');
+            } else if (!existingCourseIds.has(courseId)) {
+                errors.push(`Curso ${courseId} não encontrado.`);
+            } else if (userId && purchased.has(`${userId}:${courseId}`)) {
+                alreadyEnrolled.push(courseId);
+            } else if (!enroll.includes(courseId)) {
+                enroll.push(courseId);
+            }
+        }
+
+        return {
+            line: record.line,
+            email,
+            name: record.name || null,
+            locale: normalizeLocale(record.locale),
+            userId,
+            createUser: !userId,
+            enroll,
+            alreadyEnrolled,
+            errors,
+            warnings: []
+        };
+    });
+}
+
+/**
+ * Grava uma linha já validada: cria a conta (se necessário) e as compras, em uma transação.
+ * @returns {Promise<{ userId: number, inviteUser: Object|null }>}
+ */
+async function applyImportRow(row) {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        let userId = row.userId;
+        if (row.createUser) {
+            // Senha aleatória e desconhecida: o aluno define a própria senha pelo link do convite
+            const passwordHash = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+            const [result] = await connection.execute(
+                'INSERT INTO Users (name, email, password_hash, locale) VALUES (?, ?, ?, ?)',
+                [row.name, row.email, passwordHash, row.locale]
+            );
+            userId = result.insertId;
+        }
+
+        // Compras importadas não têm pedido nem valor (pagas fora da plataforma)
+        for (const courseId of row.enroll) {
+            await connection.execute('INSERT IGNORE INTO Purchases (user_id, course_id) VALUES (?, ?)', [userId, courseId]);
+        }
+
+        await connection.commit();
+        return { userId };
+
+    } catch (error) {
+        if (connection) await connection.rollback();
+        throw error;
+    } finally {
+        if (connection) connection.release();
+    }
+}
+
+/**
+ * Envia o convite de uma conta criada pela importação (link para definir a senha).
+ */
+async function sendImportInvite(userId, row) {
+    const expirationMinutes = config.imports.inviteExpirationHours * 60;
+    const token = await createPasswordResetToken(userId, expirationMinutes);
+
+    await sendEmail('account_invite', {
+        to: { email: row.email, name: row.name },
+        locale: row.locale,
+        variables: {
+            userName: row.name,
+            setPasswordLink: `${config.passwordReset.url}?token=${token}`,
+            expirationHours: config.imports.inviteExpirationHours
+        },
+        expiresInMinutes: expirationMinutes
+    });
+}
+
+/**
+ * Situação de uma linha no relatório da importação.
+ * @returns {'ERRO'|'VALIDA'|'IMPORTADA'|'IMPORTADA_SEM_CONVITE'}
+ */
+function importRowStatus(row, dryRun) {
+    if (row.errors.length > 0) return 'ERRO';
+    if (dryRun) return 'VALIDA';
+    return row.inviteSent === false ? 'IMPORTADA_SEM_CONVITE' : 'IMPORTADA';
+}
+
+/**
+ * Importa alunos e matrículas a partir de um CSV (multipart, campo 'file').
+ * Query/Body: dryRun=true -> apenas valida e mostra o que seria feito, sem gravar nem enviar emails.
+ * Cada linha é gravada separadamente: linhas com erro são relatadas e não impedem as demais.
+ * Se o convite de um aluno novo falhar, a linha continua importada (IMPORTADA_SEM_CONVITE, com um aviso).
+ */
+async function importStudents(req, res) {
+    if (!req.file) {
+        return res.status(400).json({ message: "Envie o arquivo CSV no campo 'file'." });
+    }
+
+    const dryRun = req.query.dryRun === 'true' || req.body.dryRun === 'true' || req.body.dryRun === true;
+
+    const [header, ...lines] = parseCsv(req.file.buffer.toString('utf8'));
+    const columns = (header || []).map(column => column.trim().toLowerCase());
+    const missing = ['email', 'name'].filter(column => !columns.includes(column));
+    if (missing.length > 0) {
+        return res.status(400).json({ message: `Colunas obrigatórias ausentes no cabeçalho: ${missing.join(', ')}. Colunas aceitas: ${IMPORT_COLUMNS.join(', ')}.` });
+    }
+    if (lines.length === 0) {
+        return res.status(400).json({ message: 'O arquivo não tem linhas para importar.' });
+    }
+    if (lines.length > config.imports.maxRows) {
+        return res.status(400).json({ message: `O arquivo pode ter no máximo ${config.imports.maxRows} linhas por importação.` });
+    }
+
+    // line = número da linha no arquivo (o cabeçalho é a linha 1)
+    const records = lines.map((cells, index) => {
+        const value = (column) => (columns.includes(column) ? (cells[columns.indexOf(column)] || '').trim() : '');
+        const courseIds = value('course_ids');
+        return {
+            line: index + 2,
+            email: value('email'),
+            name: value('name'),
+            locale: value('locale') || null,
+            courseIds: courseIds ? courseIds.split('|').map(id => (id.trim() && !isNaN(Number(id)) ? Number(id) : NaN)) : []
+        };
+    });
+
+    try {
+        const rows = await planImport(records);
+
+        if (!dryRun) {
+            for (const row of rows.filter(item => item.errors.length === 0)) {
+                try {
+                    const { userId } = await applyImportRow(row);
+                    row.userId = userId;
+                } catch (error) {
+                    // Ex: email cadastrado por outra requisição entre a validação e a gravação
+                    console.error(`Erro ao importar a linha ${row.line}:`, error);
+                    row.errors.push(error.code === 'ER_DUP_ENTRY' ? 'Email já cadastrado.' : 'Erro interno ao gravar esta linha.');
+                    continue;
+                }
+
+                // A linha já foi gravada: uma falha no convite não desfaz a importação, apenas é relatada
+                if (row.createUser) {
+                    try {
+                        await sendImportInvite(row.userId, row);
+                        row.inviteSent = true;
+                    } catch (error) {
+                        console.error(`Erro ao enviar o convite da linha ${row.line}:`, error);
+                        row.inviteSent = false;
+                        row.warnings.push('Aluno importado, mas o convite não foi enviado. Ele pode definir a senha pela opção "Esqueci minha senha".');
+                    }
+                }
+            }
+        }
+
+        const validRows = rows.filter(row => row.errors.length === 0);
+        res.status(dryRun ? 200 : 201).json({
+            message: dryRun ? 'Prévia da importação (nada foi gravado).' : 'Importação concluída.',
+            dryRun,
+            totals: {
+                rows: rows.length,
+                valid: validRows.length,
+                withErrors: rows.length - validRows.length,
+                usersCreated: validRows.filter(row => row.createUser).length,
+                existingUsers: validRows.filter(row => !row.createUser).length,
+                enrollments: validRows.reduce((sum, row) => sum + row.enroll.length, 0),
+                invitesFailed: validRows.filter(row => row.inviteSent === false).length
+            },
+            rows: rows.map(row => ({
+                line: row.line,
+                email: row.email,
+                status: importRowStatus(row, dryRun),
+                userId: row.userId,
+                createUser: row.createUser,
+                enroll: row.enroll,
+                alreadyEnrolled: row.alreadyEnrolled,
+                errors: row.errors,
+                warnings: row.warnings
+            }))
+        });
+
+    } catch (error) {
+        console.error('Erro ao importar alunos:', error);
+        res.status(500).json({ message: 'Erro interno ao importar alunos.' });
+    }
+}
+
+module.exports = {
+    csvUpload,
+    exportUsers,
+    exportPurchases,
+    exportRefunds,
+    importStudents
+};
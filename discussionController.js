@@ -0,0 +1,463 @@
+// discussionController.js - Discussões por aula: perguntas dos alunos, respostas e moderação pelos instrutores.
+
+const { pool } = require('./database');
+const { getLessonAccess } = require('./courseAccess');
+const { sendEmail } = require('./email');
+
+const DEFAULT_COMMENTS_PAGE_SIZE = 20;
+const MAX_COMMENTS_PAGE_SIZE = 50;
+const MAX_COMMENT_LENGTH = 5000;
+
+// As mesmas rotas atendem alunos (/user/...) e admins (/admin/..., com adminGuard + courseOwnerGuard).
+// Um tópico (parent_id NULL) é uma pergunta; as respostas ficam em um único nível abaixo dele.
+// Comentários removidos continuam na listagem sem o texto, para não quebrar a conversa.
+
+const COMMENT_COLUMNS = `
+    lc.id, lc.parent_id, lc.user_id, lc.admin_id, lc.body, lc.is_pinned, lc.resolved_at, lc.edited_at,
+    lc.deleted_at, lc.created_at, u.name AS user_name, a.username AS admin_username, a.role AS admin_role
+`;
+
+const COMMENT_AUTHOR_JOINS = `
+    LEFT JOIN Users u ON lc.user_id = u.id
+    LEFT JOIN Admins a ON lc.admin_id = a.id
+`;
+
+/**
+ * Valida a paginação (?page=&pageSize=).
+ * @returns {{ error: string } | { page: number, pageSize: number }}
+ */
+function parseCommentsPagination(query) {
+    const page = query.page === undefined ? 1 : Number(query.page);
+    const pageSize = query.pageSize === undefined ? DEFAULT_COMMENTS_PAGE_SIZE : Number(query.pageSize);
+
+    if (!Number.isInteger(page) || page < 1 || !Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_COMMENTS_PAGE_SIZE) {
+        return { error: `Paginação inválida. A página começa em 1 e o tamanho vai até ${MAX_COMMENTS_PAGE_SIZE}.` };
+    }
+    return { page, pageSize };
+}
+
+/**
+ * Valida o texto de um comentário.
+ * @returns {string|null} Mensagem de erro ou null se válido.
+ */
+function validateCommentBody(body) {
+    if (body === undefined || body === null || !String(body).trim()) {
+        return 'O texto do comentário é obrigatório.';
+    }
+    if (String(body).length > MAX_COMMENT_LENGTH) {
+        return `O comentário pode ter no máximo ${MAX_COMMENT_LENGTH} caracteres.`;
+    }
+    return null;
+}
+
+/**
+ * Verifica se o comentário foi escrito por quem está logado.
+ */
+function isOwnComment(req, comment) {
+    return req.userType === 'admin' ? comment.admin_id === req.userId : comment.user_id === req.userId;
+}
+
+/**
+ * Formata um comentário para a resposta (oculta o texto dos removidos).
+ */
+function formatComment(req, comment) {
+    const isDeleted = Boolean(comment.deleted_at);
+    const formatted = {
+        id: comment.id,
+        parentId: comment.parent_id,
+        body: isDeleted ? null : comment.body,
+        isDeleted,
+        author: comment.admin_id
+            ? { type: 'staff', name: comment.admin_username, role: comment.admin_role }
+            : { type: 'user', name: comment.user_name },
+        isOwn: isOwnComment(req, comment),
+        editedAt: comment.edited_at,
+        createdAt: comment.created_at
+    };
+
+    if (comment.parent_id === null) {
+        formatted.isPinned = Boolean(comment.is_pinned);
+        formatted.isResolved = Boolean(comment.resolved_at);
+        formatted.resolvedAt = comment.resolved_at;
+        formatted.replyCount = Number(comment.reply_count || 0);
+        formatted.lastReplyAt = comment.last_reply_at || null;
+    }
+    return formatted;
+}
+
+/**
+ * Garante o acesso à discussão da aula e retorna a aula ({ id, title, course_id }).
+ * Alunos precisam ter acesso ao curso (mesma regra do conteúdo do curso); admins já passaram
+ * pelo adminGuard e pelo courseOwnerGuard. Envia a resposta de erro e retorna null caso contrário.
+ */
+async function ensureDiscussionAccess(req, res) {
+    const { lessonId } = req.params;
+
+    if (req.userType === 'admin') {
+        const [lessons] = await pool.execute(
+            'SELECT l.id, l.title, m.course_id FROM Lessons l JOIN Modules m ON l.module_id = m.id WHERE l.id = ?',
+            [lessonId]
+        );
+        if (lessons.length === 0) {
+            res.status(404).json({ message: 'Aula não encontrada.' });
+            return null;
+        }
+        return lessons[0];
+    }
+
+    const access = await getLessonAccess(req.userId, lessonId);
+    if (!access.lesson) {
+        res.status(404).json({ message: 'Aula não encontrada.' });
+        return null;
+    }
+    if (!access.hasPurchase) {
+        res.status(403).json({ message: 'Acesso negado. Você precisa comprar este curso para participar da discussão.' });
+        return null;
+    }
+    return access.lesson;
+}
+
+/**
+ * Busca um comentário da aula.
+ * @returns {Promise<Object|null>}
+ */
+async function findLessonComment(lessonId, commentId) {
+    const [comments] = await pool.execute(
+        `SELECT ${COMMENT_COLUMNS} FROM LessonComments lc ${COMMENT_AUTHOR_JOINS} WHERE lc.id = ? AND lc.lesson_id = ?`,
+        [commentId, lessonId]
+    );
+    return comments[0] || null;
+}
+
+/**
+ * Avisa o autor do tópico (se for aluno) sobre uma nova resposta de outra pessoa.
+ */
+async function notifyThreadAuthor(req, lesson, thread, replyBody) {
+    if (!thread.user_id || (req.userType === 'user' && thread.user_id === req.userId)) {
+        return;
+    }
+
+    const [rows] = await pool.execute(
+        `SELECT u.email, u.name, u.locale, c.name AS course_name
+         FROM Users u
+         JOIN Courses c ON c.id = ?
+         WHERE u.id = ?`,
+        [lesson.course_id, thread.user_id]
+    );
+    if (rows.length === 0) return;
+
+    const [author] = req.userType === 'admin'
+        ? await pool.execute('SELECT username AS name FROM Admins WHERE id = ?', [req.userId])
+        : await pool.execute('SELECT name FROM Users WHERE id = ?', [req.userId]);
+
+    // O comentário já foi salvo; uma falha no email apenas o coloca na fila de reenvio.
+    await sendEmail('lesson_comment_reply', {
+        to: { email: rows[0].email, name: rows[0].name },
+        locale: rows[0].locale,
+        variables: {
+            userName: rows[0].name,
+            replyAuthorName: author.length > 0 ? author[0].name : '',
+            isStaff: req.userType === 'admin',
+            courseName: rows[0].course_name,
+            lessonTitle: lesson.title,
+            replyBody
+        }
+    });
+}
+
+// ===================================
+// Rotas de Discussão (Alunos e Admins)
+// ===================================
+
+/**
+ * Lista os tópicos da aula, fixados primeiro e depois os mais recentes.
+ * Query: ?page=1&pageSize=20&resolved=true|false
+ */
+async function listLessonThreads(req, res) {
+    const pagination = parseCommentsPagination(req.query);
+    if (pagination.error) {
+        return res.status(400).json({ message: pagination.error });
+    }
+    const { page, pageSize } = pagination;
+
+    const { resolved } = req.query;
+    if (resolved !== undefined && resolved !== 'true' && resolved !== 'false') {
+        return res.status(400).json({ message: "O filtro resolved deve ser 'true' ou 'false'." });
+    }
+
+    try {
+        const lesson = await ensureDiscussionAccess(req, res);
+        if (!lesson) return;
+
+        // Tópicos removidos só aparecem enquanto ainda tiverem respostas visíveis
+        const conditions = [
+            'lc.lesson_id = ?',
+            'lc.parent_id IS NULL',
+            '(lc.deleted_at IS NULL OR EXISTS (SELECT 1 FROM LessonComments r WHERE r.parent_id = lc.id AND r.deleted_at IS NULL))'
+        ];
+        if (resolved !== undefined) {
+            conditions.push(resolved === 'true' ? 'lc.resolved_at IS NOT NULL' : 'lc.resolved_at IS NULL');
+        }
+        const where = conditions.join(' AND ');
+
+        const [[{ total }]] = await pool.execute(`SELECT COUNT(*) AS total FROM LessonComments lc WHERE ${where}`, [lesson.id]);
+
+        // LIMIT/OFFSET já validados como inteiros (o mysql2 não aceita números como parâmetros de LIMIT no execute)
+        const [threads] = await pool.execute(
+            `SELECT ${COMMENT_COLUMNS}, replies.reply_count, replies.last_reply_at
+             FROM LessonComments lc
+             ${COMMENT_AUTHOR_JOINS}
+             LEFT JOIN (
+                 SELECT parent_id, COUNT(*) AS reply_count, MAX(created_at) AS last_reply_at
+                 FROM LessonComments
+                 WHERE lesson_id = ? AND parent_id IS NOT NULL AND deleted_at IS NULL
+                 GROUP BY parent_id
+             ) replies ON replies.parent_id = lc.id
+             WHERE ${where}
+             ORDER BY lc.is_pinned DESC, lc.created_at DESC, lc.id DESC
+             LIMIT ${pageSize} OFFSET ${(page - 1) * pageSize}`,
+            [lesson.id, lesson.id]
+        );
+
+        res.json({
+            threads: threads.map(thread => formatComment(req, thread)),
+            pagination: { page, pageSize, total: Number(total), totalPages: Math.ceil(Number(total) / pageSize) }
+        });
+
+    } catch (error) {
+        console.error('Erro ao listar discussões da aula:', error);
+        res.status(500).json({ message: 'Erro interno ao listar discussões da aula.' });
+    }
+}
+
+/**
+ * Lista as respostas de um tópico, da mais antiga para a mais recente.
+ * Query: ?page=1&pageSize=20
+ */
+async function listThreadReplies(req, res) {
+    const { commentId } = req.params;
+
+    const pagination = parseCommentsPagination(req.query);
+    if (pagination.error) {
+        return res.status(400).json({ message: pagination.error });
+    }
+    const { page, pageSize } = pagination;
+
+    try {
+        const lesson = await ensureDiscussionAccess(req, res);
+        if (!lesson) return;
+
+        const thread = await findLessonComment(lesson.id, commentId);
+        if (!thread || thread.parent_id !== null) {
+            return res.status(404).json({ message: 'Tópico não encontrado.' });
+        }
+
+        const [[{ total }]] = await pool.execute('SELECT COUNT(*) AS total FROM LessonComments WHERE parent_id = ?', [thread.id]);
+        const [replies] = await pool.execute(
+            `SELECT ${COMMENT_COLUMNS}
+             FROM LessonComments lc
+             ${COMMENT_AUTHOR_JOINS}
+             WHERE lc.parent_id = ?
+             ORDER BY lc.created_at ASC, lc.id ASC
+             LIMIT ${pageSize} OFFSET ${(page - 1) * pageSize}`,
+            [thread.id]
+        );
+
+        res.json({
+            thread: formatComment(req, thread),
+            replies: replies.map(reply => formatComment(req, reply)),
+            pagination: { page, pageSize, total: Number(total), totalPages: Math.ceil(Number(total) / pageSize) }
+        });
+
+    } catch (error) {
+        console.error('Erro ao listar respostas do tópico:', error);
+        res.status(500).json({ message: 'Erro interno ao listar respostas do tópico.' });
+    }
+}
+
+/**
+ * Cria um tópico na aula ou responde a um tópico.
+ * Body: { body, parentId? }
+ * O autor do tópico recebe um email quando outra pessoa responde.
+ */
+async function createLessonComment(req, res) {
+    const { body, parentId } = req.body;
+
+    const validationError = validateCommentBody(body);
+    if (validationError) {
+        return res.status(400).json({ message: validationError });
+    }
+
+    try {
+        const lesson = await ensureDiscussionAccess(req, res);
+        if (!lesson) return;
+
+        let thread = null;
+        if (parentId !== undefined && parentId !== null) {
+            thread = await findLessonComment(lesson.id, parentId);
+            if (!thread || thread.parent_id !== null || thread.deleted_at) {
+                return res.status(404).json({ message: 'Tópico não encontrado.' });
+            }
+        }
+
+        const text = String(body).trim();
+        const [result] = await pool.execute(
+            'INSERT INTO LessonComments (lesson_id, parent_id, user_id, admin_id, body) VALUES (?, ?, ?, ?, ?)',
+            [
+                lesson.id,
+                thread ? thread.id : null,
+                req.userType === 'admin' ? null : req.userId,
+                req.userType === 'admin' ? req.userId : null,
+                text
+            ]
+        );
+
+        if (thread) {
+            await notifyThreadAuthor(req, lesson, thread, text);
+        }
+
+        res.status(201).json({
+            message: thread ? 'Resposta publicada com sucesso!' : 'Tópico criado com sucesso!',
+            commentId: result.insertId
+        });
+
+    } catch (error) {
+        console.error('Erro ao publicar comentário:', error);
+        res.status(500).json({ message: 'Erro interno ao publicar comentário.' });
+    }
+}
+
+/**
+ * Edita o texto de um comentário próprio.
+ * Body: { body }
+ */
+async function updateLessonComment(req, res) {
+    const { commentId } = req.params;
+    const { body } = req.body;
+
+    const validationError = validateCommentBody(body);
+    if (validationError) {
+        return res.status(400).json({ message: validationError });
+    }
+
+    try {
+        const lesson = await ensureDiscussionAccess(req, res);
+        if (!lesson) return;
+
+        const comment = await findLessonComment(lesson.id, commentId);
+        if (!comment || comment.deleted_at) {
+            return res.status(404).json({ message: 'Comentário não encontrado.' });
+        }
+        if (!isOwnComment(req, comment)) {
+            return res.status(403).json({ message: 'Você só pode editar os próprios comentários.' });
+        }
+
+        await pool.execute(
+            'UPDATE LessonComments SET body = ?, edited_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [String(body).trim(), comment.id]
+        );
+        res.json({ message: 'Comentário atualizado com sucesso!' });
+
+    } catch (error) {
+        console.error('Erro ao editar comentário:', error);
+        res.status(500).json({ message: 'Erro interno ao editar comentário.' });
+    }
+}
+
+/**
+ * Remove um comentário (remoção lógica). Alunos removem os próprios; admins removem qualquer um (moderação).
+ */
+async function deleteLessonComment(req, res) {
+    const { commentId } = req.params;
+
+    try {
+        const lesson = await ensureDiscussionAccess(req, res);
+        if (!lesson) return;
+
+        const comment = await findLessonComment(lesson.id, commentId);
+        if (!comment || comment.deleted_at) {
+            return res.status(404).json({ message: 'Comentário não encontrado.' });
+        }
+        if (req.userType !== 'admin' && !isOwnComment(req, comment)) {
+            return res.status(403).json({ message: 'Você só pode remover os próprios comentários.' });
+        }
+
+        await pool.execute('UPDATE LessonComments SET deleted_at = CURRENT_TIMESTAMP WHERE id = ?', [comment.id]);
+        res.json({ message: 'Comentário removido com sucesso!' });
+
+    } catch (error) {
+        console.error('Erro ao remover comentário:', error);
+        res.status(500).json({ message: 'Erro interno ao remover comentário.' });
+    }
+}
+
+// ===================================
+// Rotas do Admin (Moderação)
+// ===================================
+
+/**
+ * Atualiza uma marcação de um tópico (fixado ou resolvido).
+ */
+async function setThreadFlag(req, res, flag, value) {
+    const { commentId } = req.params;
+
+    try {
+        const lesson = await ensureDiscussionAccess(req, res);
+        if (!lesson) return;
+
+        const thread = await findLessonComment(lesson.id, commentId);
+        if (!thread || thread.parent_id !== null || thread.deleted_at) {
+            return res.status(404).json({ message: 'Tópico não encontrado.' });
+        }
+
+        if (flag === 'pinned') {
+            await pool.execute('UPDATE LessonComments SET is_pinned = ? WHERE id = ?', [value, thread.id]);
+        } else if (value) {
+            // Mantém a data original se o tópico já estava resolvido
+            await pool.execute(
+                'UPDATE LessonComments SET resolved_at = COALESCE(resolved_at, CURRENT_TIMESTAMP), resolved_by = ? WHERE id = ?',
+                [req.userId, thread.id]
+            );
+        } else {
+            await pool.execute('UPDATE LessonComments SET resolved_at = NULL, resolved_by = NULL WHERE id = ?', [thread.id]);
+        }
+
+        res.json({
+            message: flag === 'pinned'
+                ? (value ? 'Tópico fixado com sucesso.' : 'Tópico desafixado com sucesso.')
+                : (value ? 'Tópico marcado como resolvido.' : 'Tópico reaberto com sucesso.'),
+            commentId: thread.id,
+            [flag === 'pinned' ? 'isPinned' : 'isResolved']: value
+        });
+
+    } catch (error) {
+        console.error('Erro ao atualizar tópico:', error);
+        res.status(500).json({ message: 'Erro interno ao atualizar tópico.' });
+    }
+}
+
+/**
+ * Fixa ou desafixa um tópico no topo da discussão.
+ * Body: { pinned?: boolean } (padrão true)
+ */
+async function pinThread(req, res) {
+    return setThreadFlag(req, res, 'pinned', req.body.pinned === undefined ? true : Boolean(req.body.pinned));
+}
+
+/**
+ * Marca um tópico como resolvido ou o reabre.
+ * Body: { resolved?: boolean } (padrão true)
+ */
+async function resolveThread(req, res) {
+    return setThreadFlag(req, res, 'resolved', req.body.resolved === undefined ? true : Boolean(req.body.resolved));
+}
+
+module.exports = {
+    listLessonThreads,
+    listThreadReplies,
+    createLessonComment,
+    updateLessonComment,
+    deleteLessonComment,
+    pinThread,
+    resolveThread
+};
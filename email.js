@@ -0,0 +1,213 @@
+// email.js - Envio de emails transacionais com transportes intercambiáveis e fila de reenvio.
+
+// Cada transporte implementa a mesma interface:
+//   send({ from, to, replyTo?, subject, html }) -> lança erro se o envio falhar
+// Endereços são objetos { email, name }. O transporte ativo é escolhido em config.email.transport.
+//
+// sendEmail nunca lança erro por falha de envio: o email vai para a fila (EmailQueue) e é
+// reenviado pelo worker com intervalo crescente. Assim, uma operação já gravada no banco
+// (ex: um pedido de reembolso) não falha por causa do email.
+
+const fs = require('fs');
+const path = require('path');
+const { pool } = require('./database');
+const { config } = require('./config');
+const { renderTemplate, normalizeLocale } = require('./emailTemplates');
+
+// ===================================
+// Transporte Outbox (Testes Locais)
+// ===================================
+
+// Grava cada email como um arquivo .html na pasta de saída e loga um resumo no console.
+const outboxTransport = {
+    name: 'outbox',
+
+    async send(message) {
+        const fileName = `${Date.now()}-${message.to.email.replace(/[^a-zA-Z0-9@._-]/g, '_')}.html`;
+        const header = `<!--\nDe: ${message.from.email}\nPara: ${message.to.email}\n` +
+            `${message.replyTo ? `Responder para: ${message.replyTo.email}\n` : ''}Assunto: ${message.subject}\n-->\n`;
+
+        await fs.promises.mkdir(config.email.outboxDir, { recursive: true });
+        await fs.promises.writeFile(path.join(config.email.outboxDir, fileName), header + message.html);
+        console.log(`[Email Outbox] "${message.subject}" para ${message.to.email} (${fileName}).`);
+    }
+};
+
+// Registro dos transportes disponíveis (carregados sob demanda)
+const transports = {
+    brevo: () => require('./brevo'),
+    smtp: () => require('./smtp'),
+    outbox: () => outboxTransport
+};
+
+/**
+ * Retorna um transporte de email pelo nome (padrão: o configurado em EMAIL_TRANSPORT).
+ */
+function getEmailTransport(name = config.email.transport) {
+    const loadTransport = transports[name];
+    if (!loadTransport) {
+        throw new Error(`Transporte de email desconhecido: ${name}.`);
+    }
+    return loadTransport();
+}
+
+/**
+ * Renderiza o template e entrega a mensagem ao transporte.
+ */
+async function deliver(templateName, locale, to, replyTo, variables) {
+    const { subject, html } = renderTemplate(templateName, locale, variables);
+    await getEmailTransport().send({
+        from: config.email.sender,
+        to,
+        replyTo: replyTo || undefined,
+        subject: subject.replace(/[\r\n]+/g, ' '),
+        html
+    });
+}
+
+/**
+ * Intervalo até a próxima tentativa (dobra a cada falha).
+ */
+function retryDelaySeconds(attempts) {
+    return config.email.retryIntervalSeconds * 2 ** Math.max(attempts - 1, 0);
+}
+
+// ===================================
+// Envio
+// ===================================
+
+/**
+ * Envia um email a partir de um template. Em caso de falha, o email é colocado na fila de reenvio.
+ * @param {string} templateName - Nome do template (ver emailTemplates.js).
+ * @param {Object} options
+ * @param {{ email: string, name?: string }} options.to - Destinatário.
+ * @param {{ email: string, name?: string }} [options.replyTo] - Endereço de resposta.
+ * @param {string} [options.locale] - Idioma do email (padrão: pt-BR).
+ * @param {Object} [options.variables] - Variáveis do template.
+ * @param {number} [options.expiresInMinutes] - Descarta o reenvio após este prazo (ex: links que expiram).
+ * @returns {Promise<{ sent: boolean, queued: boolean }>}
+ */
+async function sendEmail(templateName, { to, replyTo = null, locale, variables = {}, expiresInMinutes = null }) {
+    const normalizedLocale = normalizeLocale(locale);
+
+    let sendError;
+    try {
+        await deliver(templateName, normalizedLocale, to, replyTo, variables);
+        console.log(`Email "${templateName}" enviado para ${to.email}.`);
+        return { sent: true, queued: false };
+    } catch (error) {
+        sendError = error;
+        console.error(`Falha ao enviar o email "${templateName}" para ${to.email}; colocando na fila de reenvio:`, error.message);
+    }
+
+    try {
+        await pool.execute(
+            `INSERT INTO EmailQueue (template, locale, to_email, to_name, reply_to_email, reply_to_name, variables,
+                                     attempts, last_error, next_attempt_at, expires_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, 1, ?, DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? SECOND),
+                     IF(? IS NULL, NULL, DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? MINUTE)))`,
+            [
+                templateName,
+                normalizedLocale,
+                to.email,
+                to.name || null,
+                replyTo ? replyTo.email : null,
+                replyTo ? (replyTo.name || null) : null,
+                JSON.stringify(variables),
+                String(sendError.message).slice(0, 255),
+                retryDelaySeconds(1),
+                expiresInMinutes,
+                expiresInMinutes
+            ]
+        );
+        return { sent: false, queued: true };
+    } catch (queueError) {
+        console.error(`Não foi possível colocar o email "${templateName}" na fila:`, queueError);
+        return { sent: false, queued: false };
+    }
+}
+
+// ===================================
+// Fila de Reenvio
+// ===================================
+
+/**
+ * Processa os emails da fila cujo próximo envio já venceu.
+ * Cada email é "reservado" antes do envio, para que duas instâncias não o enviem em dobro.
+ * @returns {Promise<number>} Quantidade de emails enviados.
+ */
+async function processEmailQueue() {
+    const [pending] = await pool.execute(
+        `SELECT * FROM EmailQueue
+         WHERE status = 'PENDENTE' AND next_attempt_at <= CURRENT_TIMESTAMP
+         ORDER BY next_attempt_at ASC LIMIT 20`
+    );
+
+    let sentCount = 0;
+    for (const item of pending) {
+        // Reserva: adia o próximo envio; só quem conseguir a alteração envia o email
+        const [claim] = await pool.execute(
+            `UPDATE EmailQueue SET next_attempt_at = DATE_ADD(CURRENT_TIMESTAMP, INTERVAL 5 MINUTE)
+             WHERE id = ? AND status = 'PENDENTE' AND next_attempt_at <= CURRENT_TIMESTAMP`,
+            [item.id]
+        );
+        if (claim.affectedRows === 0) continue;
+
+        // Links com validade (ex: redefinição de senha) não são reenviados depois de expirar.
+        // As variáveis são apagadas ao finalizar, pois podem conter tokens.
+        if (item.expires_at && new Date(item.expires_at) < new Date()) {
+            await pool.execute(
+                "UPDATE EmailQueue SET status = 'DESCARTADO', variables = NULL, last_error = 'Prazo de reenvio expirado.' WHERE id = ?",
+                [item.id]
+            );
+            continue;
+        }
+
+        const variables = typeof item.variables === 'string' ? JSON.parse(item.variables) : (item.variables || {});
+        const to = { email: item.to_email, name: item.to_name || undefined };
+        const replyTo = item.reply_to_email ? { email: item.reply_to_email, name: item.reply_to_name || undefined } : null;
+        const attempts = item.attempts + 1;
+
+        try {
+            await deliver(item.template, item.locale, to, replyTo, variables);
+            await pool.execute(
+                "UPDATE EmailQueue SET status = 'ENVIADO', attempts = ?, variables = NULL, sent_at = CURRENT_TIMESTAMP WHERE id = ?",
+                [attempts, item.id]
+            );
+            sentCount++;
+            console.log(`Email "${item.template}" da fila (#${item.id}) enviado para ${item.to_email}.`);
+        } catch (error) {
+            const giveUp = attempts >= config.email.maxAttempts;
+            await pool.execute(
+                `UPDATE EmailQueue SET status = ?, attempts = ?, last_error = ?, variables = IF(?, NULL, variables),
+                        next_attempt_at = DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? SECOND)
+                 WHERE id = ?`,
+                [giveUp ? 'FALHOU' : 'PENDENTE', attempts, String(error.message).slice(0, 255), giveUp, retryDelaySeconds(attempts), item.id]
+            );
+            if (giveUp) {
+                console.error(`Email "${item.template}" (#${item.id}) para ${item.to_email} desistido após ${attempts} tentativas.`);
+            }
+        }
+    }
+
+    return sentCount;
+}
+
+/**
+ * Inicia o worker que reenvia os emails da fila periodicamente.
+ */
+function startEmailQueueWorker() {
+    const intervalMs = config.email.retryIntervalSeconds * 1000;
+    const timer = setInterval(() => {
+        processEmailQueue().catch(error => console.error('Erro ao processar a fila de emails:', error));
+    }, intervalMs);
+    timer.unref(); // Não impede o encerramento do processo
+    console.log(`Fila de emails ativa (transporte: ${config.email.transport}, verificação a cada ${config.email.retryIntervalSeconds}s).`);
+}
+
+module.exports = {
+    getEmailTransport,
+    sendEmail,
+    processEmailQueue,
+    startEmailQueueWorker
+};
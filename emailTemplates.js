@@ -0,0 +1,246 @@
+// emailTemplates.js - Templates dos emails transacionais (pt-BR e inglês).
+
+// Cada template tem uma versão por idioma, com:
+//   subject(vars) -> assunto (texto puro, recebe as variáveis originais)
+//   html(vars)    -> corpo HTML (recebe as variáveis JÁ ESCAPADAS; nunca monte HTML com texto do usuário sem escapar)
+// Para criar um email, adicione uma entrada em `templates` e envie com sendEmail(nome, ...) (ver email.js).
+
+const SUPPORTED_LOCALES = ['pt-BR', 'en'];
+const DEFAULT_LOCALE = 'pt-BR';
+
+/**
+ * Escapa os caracteres especiais de HTML.
+ */
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Estrutura comum a todos os emails.
+ */
+function layout(content) {
+    return `
+        <html>
+            <body style="font-family: Arial, sans-serif; color: #333;">
+                ${content}
+            </body>
+        </html>
+    `;
+}
+
+// Bloco de texto livre digitado pelo usuário (mantém as quebras de linha)
+const quoteStyle = 'border: 1px solid #ccc; padding: 10px; white-space: pre-wrap;';
+
+const templates = {
+    email_verification: {
+        'pt-BR': {
+            subject: () => 'Confirme seu email',
+            html: (v) => layout(`
+                <h1>Bem-vindo(a), ${v.userName}!</h1>
+                <p>Para ativar sua conta e poder comprar cursos, confirme seu email:</p>
+                <p><a href="${v.verificationLink}">Confirmar meu email</a></p>
+                <p>O link é válido por ${v.expirationHours} horas.</p>
+            `)
+        },
+        en: {
+            subject: () => 'Confirm your email',
+            html: (v) => layout(`
+                <h1>Welcome, ${v.userName}!</h1>
+                <p>To activate your account and purchase courses, please confirm your email:</p>
+                <p><a href="${v.verificationLink}">Confirm my email</a></p>
+                <p>This link is valid for ${v.expirationHours} hours.</p>
+            `)
+        }
+    },
+
+    account_invite: {
+        'pt-BR': {
+            subject: () => 'Sua conta foi criada: defina sua senha',
+            html: (v) => layout(`
+                <h1>Olá, ${v.userName}!</h1>
+                <p>Uma conta foi criada para você na nossa plataforma de cursos.</p>
+                <p><a href="${v.setPasswordLink}">Clique aqui para definir sua senha e acessar seus cursos</a></p>
+                <p>O link é válido por ${v.expirationHours} horas. Depois disso, use a opção "Esqueci minha senha".</p>
+            `)
+        },
+        en: {
+            subject: () => 'Your account was created: set your password',
+            html: (v) => layout(`
+                <h1>Hello, ${v.userName}!</h1>
+                <p>An account was created for you on our course platform.</p>
+                <p><a href="${v.setPasswordLink}">Click here to set your password and access your courses</a></p>
+                <p>This link is valid for ${v.expirationHours} hours. After that, use the "Forgot my password" option.</p>
+            `)
+        }
+    },
+
+    password_reset: {
+        'pt-BR': {
+            subject: () => 'Redefinição de senha',
+            html: (v) => layout(`
+                <h1>Olá, ${v.userName}</h1>
+                <p>Recebemos um pedido para redefinir a senha da sua conta.</p>
+                <p><a href="${v.resetLink}">Clique aqui para criar uma nova senha</a></p>
+                <p>O link é válido por ${v.expirationMinutes} minutos e só pode ser usado uma vez.</p>
+                <p>Se você não fez este pedido, ignore este email. Sua senha continua a mesma.</p>
+            `)
+        },
+        en: {
+            subject: () => 'Password reset',
+            html: (v) => layout(`
+                <h1>Hello, ${v.userName}</h1>
+                <p>We received a request to reset your account password.</p>
+                <p><a href="${v.resetLink}">Click here to choose a new password</a></p>
+                <p>This link is valid for ${v.expirationMinutes} minutes and can only be used once.</p>
+                <p>If you did not request this, ignore this email. Your password stays the same.</p>
+            `)
+        }
+    },
+
+    refund_request_admin: {
+        'pt-BR': {
+            subject: (v) => `🚨 NOVO PEDIDO DE REEMBOLSO: ${v.courseName}`,
+            html: (v) => layout(`
+                <h1>Novo Pedido de Reembolso Recebido</h1>
+                <p><strong>Usuário:</strong> ${v.userName} (${v.userEmail})</p>
+                <p><strong>Curso:</strong> ${v.courseName}</p>
+                <p><strong>Mensagem do Usuário:</strong></p>
+                <p style="${quoteStyle}">${v.message}</p>
+                <p>Acesse o painel de administração para processar o pedido.</p>
+            `)
+        },
+        en: {
+            subject: (v) => `🚨 NEW REFUND REQUEST: ${v.courseName}`,
+            html: (v) => layout(`
+                <h1>New Refund Request Received</h1>
+                <p><strong>User:</strong> ${v.userName} (${v.userEmail})</p>
+                <p><strong>Course:</strong> ${v.courseName}</p>
+                <p><strong>User message:</strong></p>
+                <p style="${quoteStyle}">${v.message}</p>
+                <p>Open the admin panel to process the request.</p>
+            `)
+        }
+    },
+
+    refund_decision: {
+        'pt-BR': {
+            subject: (v) => `Seu pedido de reembolso foi ${v.approved ? 'APROVADO' : 'REJEITADO'}: ${v.courseName}`,
+            html: (v) => layout(`
+                <h1>Olá, ${v.userName}</h1>
+                <p>Seu pedido de reembolso do curso <strong>${v.courseName}</strong> foi <strong>${v.approved ? 'APROVADO' : 'REJEITADO'}</strong>.</p>
+                ${v.approved ? '<p>O acesso ao curso foi removido da sua conta.</p>' : ''}
+                ${v.reason ? `<p><strong>Motivo:</strong></p><p style="${quoteStyle}">${v.reason}</p>` : ''}
+            `)
+        },
+        en: {
+            subject: (v) => `Your refund request was ${v.approved ? 'APPROVED' : 'REJECTED'}: ${v.courseName}`,
+            html: (v) => layout(`
+                <h1>Hello, ${v.userName}</h1>
+                <p>Your refund request for the course <strong>${v.courseName}</strong> was <strong>${v.approved ? 'APPROVED' : 'REJECTED'}</strong>.</p>
+                ${v.approved ? '<p>Access to the course has been removed from your account.</p>' : ''}
+                ${v.reason ? `<p><strong>Reason:</strong></p><p style="${quoteStyle}">${v.reason}</p>` : ''}
+            `)
+        }
+    },
+
+    lesson_comment_reply: {
+        'pt-BR': {
+            subject: (v) => `Nova resposta na sua pergunta: ${v.lessonTitle}`,
+            html: (v) => layout(`
+                <h1>Olá, ${v.userName}</h1>
+                <p><strong>${v.replyAuthorName}</strong>${v.isStaff ? ' (equipe do curso)' : ''} respondeu à sua pergunta na aula
+                   <strong>${v.lessonTitle}</strong> do curso <strong>${v.courseName}</strong>:</p>
+                <p style="${quoteStyle}">${v.replyBody}</p>
+            `)
+        },
+        en: {
+            subject: (v) => `New reply to your question: ${v.lessonTitle}`,
+            html: (v) => layout(`
+                <h1>Hello, ${v.userName}</h1>
+                <p><strong>${v.replyAuthorName}</strong>${v.isStaff ? ' (course staff)' : ''} replied to your question on the lesson
+                   <strong>${v.lessonTitle}</strong> of the course <strong>${v.courseName}</strong>:</p>
+                <p style="${quoteStyle}">${v.replyBody}</p>
+            `)
+        }
+    },
+
+    course_gift: {
+        'pt-BR': {
+            subject: (v) => `🎁 ${v.purchaserName} te deu um curso de presente: ${v.courseName}`,
+            html: (v) => layout(`
+                <h1>Olá${v.recipientName ? `, ${v.recipientName}` : ''}!</h1>
+                <p><strong>${v.purchaserName}</strong> te deu de presente o curso <strong>${v.courseName}</strong>.</p>
+                ${v.message ? `<p style="${quoteStyle}">${v.message}</p>` : ''}
+                <p>Seu código de resgate: <strong>${v.code}</strong></p>
+                <p><a href="${v.redeemLink}">Clique aqui para resgatar o curso</a> (se ainda não tiver uma conta, crie uma com este email).</p>
+            `)
+        },
+        en: {
+            subject: (v) => `🎁 ${v.purchaserName} gave you a course: ${v.courseName}`,
+            html: (v) => layout(`
+                <h1>Hello${v.recipientName ? `, ${v.recipientName}` : ''}!</h1>
+                <p><strong>${v.purchaserName}</strong> gave you the course <strong>${v.courseName}</strong> as a gift.</p>
+                ${v.message ? `<p style="${quoteStyle}">${v.message}</p>` : ''}
+                <p>Your redemption code: <strong>${v.code}</strong></p>
+                <p><a href="${v.redeemLink}">Click here to redeem the course</a> (if you don't have an account yet, sign up with this email).</p>
+            `)
+        }
+    }
+};
+
+/**
+ * Normaliza um idioma para um dos suportados (ex: 'en-US' -> 'en', 'pt' -> 'pt-BR').
+ */
+function normalizeLocale(locale) {
+    if (!locale) return DEFAULT_LOCALE;
+    const exact = SUPPORTED_LOCALES.find(supported => supported.toLowerCase() === String(locale).toLowerCase());
+    if (exact) return exact;
+    const language = String(locale).slice(0, 2).toLowerCase();
+    return SUPPORTED_LOCALES.find(supported => supported.slice(0, 2).toLowerCase() === language) || DEFAULT_LOCALE;
+}
+
+/**
+ * Verifica se existe um template com o nome informado.
+ */
+function hasTemplate(name) {
+    return Boolean(templates[name]);
+}
+
+/**
+ * Renderiza um template. Strings das variáveis são escapadas antes de entrar no HTML.
+ * @param {string} name - Nome do template.
+ * @param {string} locale - Idioma desejado (cai para pt-BR se não houver versão).
+ * @param {Object} variables - Variáveis do template.
+ * @returns {{ subject: string, html: string }}
+ */
+function renderTemplate(name, locale, variables = {}) {
+    const template = templates[name];
+    if (!template) {
+        throw new Error(`Template de email desconhecido: ${name}.`);
+    }
+    const version = template[normalizeLocale(locale)] || template[DEFAULT_LOCALE];
+
+    const escaped = {};
+    for (const [key, value] of Object.entries(variables)) {
+        escaped[key] = typeof value === 'string' ? escapeHtml(value) : value;
+    }
+
+    return {
+        subject: version.subject(variables),
+        html: version.html(escaped)
+    };
+}
+
+module.exports = {
+    SUPPORTED_LOCALES,
+    DEFAULT_LOCALE,
+    escapeHtml,
+    normalizeLocale,
+    hasTemplate,
+    renderTemplate
+};
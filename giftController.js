@@ -0,0 +1,218 @@
+// giftController.js - Cursos comprados como presente: compra para um email e resgate pelo código.
+
+const crypto = require('crypto');
+const { pool } = require('./database');
+const { config } = require('./config');
+const { getPaymentProvider } = require('./payments');
+const { createItemOrder } = require('./paymentController');
+const { publishedCourseSql } = require('./courseAccess');
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_GIFT_MESSAGE_LENGTH = 1000;
+
+/**
+ * Gera um código de resgate aleatório (ex: 9F3A-0C1B-77D2-E4A0).
+ */
+function generateGiftCode() {
+    return crypto.randomBytes(8).toString('hex').toUpperCase().match(/.{4}/g).join('-');
+}
+
+/**
+ * Normaliza o código digitado (maiúsculas, sem espaços).
+ */
+function normalizeGiftCode(code) {
+    return String(code || '').replace(/\s/g, '').toUpperCase();
+}
+
+// ===================================
+// Rotas do Usuário
+// ===================================
+
+/**
+ * Compra um curso de presente para um email (Body: { courseId, recipientEmail, recipientName?, message? }).
+ * Cria o presente aguardando pagamento e o pedido; após a confirmação, o destinatário recebe o código por email.
+ */
+async function purchaseGift(req, res) {
+    const userId = req.userId;
+    const { courseId, recipientName, message } = req.body;
+    const recipientEmail = String(req.body.recipientEmail || '').trim().toLowerCase();
+
+    if (!courseId || !EMAIL_REGEX.test(recipientEmail)) {
+        return res.status(400).json({ message: 'courseId e um recipientEmail válido são obrigatórios.' });
+    }
+    if (message && String(message).length > MAX_GIFT_MESSAGE_LENGTH) {
+        return res.status(400).json({ message: `A mensagem deve ter no máximo ${MAX_GIFT_MESSAGE_LENGTH} caracteres.` });
+    }
+
+    const provider = getPaymentProvider();
+    if (!provider) {
+        console.error(`Provedor de pagamento '${config.payment.provider}' não está registrado.`);
+        return res.status(500).json({ message: 'Pagamentos indisponíveis no momento.' });
+    }
+
+    try {
+        const [courses] = await pool.execute(
+            `SELECT c.id, c.name, c.price FROM Courses c WHERE c.id = ? AND ${publishedCourseSql('c')}`,
+            [courseId]
+        );
+        if (courses.length === 0) {
+            return res.status(404).json({ message: 'Curso não encontrado.' });
+        }
+        const course = courses[0];
+
+        // Reaproveita o presente ainda não pago para o mesmo curso e destinatário (evita cobranças duplicadas)
+        const [pendingGifts] = await pool.execute(
+            `SELECT id FROM CourseGifts
+             WHERE purchaser_id = ? AND course_id = ? AND recipient_email = ? AND status = 'AGUARDANDO_PAGAMENTO'
+             ORDER BY id DESC LIMIT 1`,
+            [userId, course.id, recipientEmail]
+        );
+
+        let giftId;
+        if (pendingGifts.length > 0) {
+            giftId = pendingGifts[0].id;
+            await pool.execute(
+                'UPDATE CourseGifts SET recipient_name = ?, message = ? WHERE id = ?',
+                [recipientName || null, message || null, giftId]
+            );
+        } else {
+            const [result] = await pool.execute(
+                `INSERT INTO CourseGifts (code, course_id, purchaser_id, recipient_email, recipient_name, message)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [generateGiftCode(), course.id, userId, recipientEmail, recipientName || null, message || null]
+            );
+            giftId = result.insertId;
+        }
+
+        const order = await createItemOrder(provider, userId, {
+            type: 'gift',
+            id: giftId,
+            name: `Presente: ${course.name}`,
+            price: course.price
+        });
+        if (order.error) {
+            return res.status(502).json({ message: order.error });
+        }
+
+        const { reused, ...orderData } = order;
+        res.status(reused ? 200 : 201).json({
+            message: reused
+                ? 'Você já possui um pedido pendente para este presente.'
+                : `Pedido do presente '${course.name}' criado. Após o pagamento, ${recipientEmail} receberá o código de resgate.`,
+            giftId,
+            ...orderData
+        });
+
+    } catch (error) {
+        console.error('Erro ao criar pedido de presente:', error);
+        res.status(500).json({ message: 'Erro interno ao criar pedido de presente.' });
+    }
+}
+
+/**
+ * Lista os presentes comprados pelo usuário. O código só aparece depois do pagamento.
+ */
+async function getUserGifts(req, res) {
+    try {
+        const [gifts] = await pool.execute(
+            `SELECT g.id, g.code, g.course_id, c.name AS course_name, g.recipient_email, g.recipient_name,
+                    g.message, g.status, g.redeemed_at, g.created_at
+             FROM CourseGifts g
+             JOIN Courses c ON g.course_id = c.id
+             WHERE g.purchaser_id = ?
+             ORDER BY g.created_at DESC`,
+            [req.userId]
+        );
+
+        res.json(gifts.map(gift => ({
+            ...gift,
+            code: ['DISPONIVEL', 'RESGATADO'].includes(gift.status) ? gift.code : null
+        })));
+    } catch (error) {
+        console.error('Erro ao listar presentes:', error);
+        res.status(500).json({ message: 'Erro interno ao listar presentes.' });
+    }
+}
+
+/**
+ * Resgata um presente pelo código (Body: { code }) e libera o curso na conta do usuário logado.
+ * O código é o que autoriza o resgate: o destinatário pode usar uma conta com outro email.
+ */
+async function redeemGift(req, res) {
+    const userId = req.userId;
+    const code = normalizeGiftCode(req.body.code);
+    if (!code) {
+        return res.status(400).json({ message: 'Informe o código do presente.' });
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        // Bloqueia o presente para que o mesmo código não seja resgatado duas vezes
+        const [gifts] = await connection.execute(
+            `SELECT g.id, g.course_id, g.status, c.name AS course_name
+             FROM CourseGifts g
+             JOIN Courses c ON g.course_id = c.id
+             WHERE g.code = ? FOR UPDATE`,
+            [code]
+        );
+        if (gifts.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Código de presente inválido.' });
+        }
+        const gift = gifts[0];
+
+        if (gift.status !== 'DISPONIVEL') {
+            await connection.rollback();
+            const reasons = {
+                AGUARDANDO_PAGAMENTO: 'O pagamento deste presente ainda não foi confirmado.',
+                RESGATADO: 'Este presente já foi resgatado.',
+                CANCELADO: 'Este presente foi cancelado.'
+            };
+            return res.status(409).json({ message: reasons[gift.status] });
+        }
+
+        const [existingPurchase] = await connection.execute(
+            'SELECT id FROM Purchases WHERE user_id = ? AND course_id = ?',
+            [userId, gift.course_id]
+        );
+        if (existingPurchase.length > 0) {
+            await connection.rollback();
+            return res.status(409).json({ message: 'Você já possui este curso. O presente pode ser resgatado por outra conta.' });
+        }
+
+        // A compra fica ligada ao pedido pago do presente (o reembolso desse pedido remove o acesso)
+        const [orders] = await connection.execute(
+            "SELECT id, amount FROM Orders WHERE gift_id = ? AND status = 'PAGO' ORDER BY id DESC LIMIT 1",
+            [gift.id]
+        );
+        const order = orders[0] || { id: null, amount: null };
+
+        await connection.execute(
+            'INSERT INTO Purchases (user_id, course_id, order_id, amount_paid) VALUES (?, ?, ?, ?)',
+            [userId, gift.course_id, order.id, order.amount]
+        );
+        await connection.execute(
+            "UPDATE CourseGifts SET status = 'RESGATADO', redeemed_by = ?, redeemed_at = CURRENT_TIMESTAMP WHERE id = ?",
+            [userId, gift.id]
+        );
+
+        await connection.commit();
+        res.json({ message: `Presente resgatado! O curso '${gift.course_name}' já está disponível.`, courseId: gift.course_id });
+
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error('Erro ao resgatar presente:', error);
+        res.status(500).json({ message: 'Erro interno ao resgatar presente.' });
+    } finally {
+        if (connection) connection.release();
+    }
+}
+
+module.exports = {
+    purchaseGift,
+    getUserGifts,
+    redeemGift
+};
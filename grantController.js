@@ -0,0 +1,153 @@
+// grantController.js - Acesso a cursos concedido pelo Admin (bolsas, atendimento), com validade opcional.
+
+const { pool } = require('./database');
+const { listCourseAccess, findCourseAccess } = require('./courseAccess');
+
+/**
+ * Valida a data de validade enviada (vazia/null = sem validade).
+ * @returns {{ error: string } | { expiresAt: Date|null }}
+ */
+function parseGrantExpiration(expiresAt) {
+    if (expiresAt === undefined || expiresAt === null || expiresAt === '') {
+        return { expiresAt: null };
+    }
+    const date = new Date(expiresAt);
+    if (isNaN(date.getTime())) {
+        return { error: 'expiresAt inválido.' };
+    }
+    if (date <= new Date()) {
+        return { error: 'expiresAt deve ser uma data futura.' };
+    }
+    return { expiresAt: date };
+}
+
+/**
+ * Concede (ou atualiza) o acesso de um usuário a um curso (Body: { courseId, expiresAt?, reason? }).
+ * Há no máximo uma concessão ativa por usuário e curso: uma nova concessão substitui validade e motivo.
+ */
+async function grantCourseAccess(req, res) {
+    const { userId } = req.params;
+    const { courseId, reason } = req.body;
+
+    if (!courseId) {
+        return res.status(400).json({ message: 'courseId é obrigatório.' });
+    }
+    const expiration = parseGrantExpiration(req.body.expiresAt);
+    if (expiration.error) {
+        return res.status(400).json({ message: expiration.error });
+    }
+
+    try {
+        const [users] = await pool.execute('SELECT id FROM Users WHERE id = ?', [userId]);
+        if (users.length === 0) {
+            return res.status(404).json({ message: 'Usuário não encontrado.' });
+        }
+        const [courses] = await pool.execute('SELECT id, name FROM Courses WHERE id = ?', [courseId]);
+        if (courses.length === 0) {
+            return res.status(404).json({ message: 'Curso não encontrado.' });
+        }
+
+        const [activeGrants] = await pool.execute(
+            'SELECT id FROM CourseGrants WHERE user_id = ? AND course_id = ? AND revoked_at IS NULL',
+            [userId, courseId]
+        );
+
+        let grantId;
+        if (activeGrants.length > 0) {
+            grantId = activeGrants[0].id;
+            await pool.execute(
+                'UPDATE CourseGrants SET expires_at = ?, reason = ?, granted_by = ? WHERE id = ?',
+                [expiration.expiresAt, reason || null, req.userId, grantId]
+            );
+        } else {
+            const [result] = await pool.execute(
+                'INSERT INTO CourseGrants (user_id, course_id, reason, expires_at, granted_by) VALUES (?, ?, ?, ?, ?)',
+                [userId, courseId, reason || null, expiration.expiresAt, req.userId]
+            );
+            grantId = result.insertId;
+        }
+
+        res.status(activeGrants.length > 0 ? 200 : 201).json({
+            message: activeGrants.length > 0
+                ? `Acesso ao curso '${courses[0].name}' atualizado.`
+                : `Acesso ao curso '${courses[0].name}' concedido.`,
+            grantId,
+            expiresAt: expiration.expiresAt
+        });
+
+    } catch (error) {
+        console.error('Erro ao conceder acesso ao curso:', error);
+        res.status(500).json({ message: 'Erro interno ao conceder acesso ao curso.' });
+    }
+}
+
+/**
+ * Revoga o acesso concedido pelo Admin. Compras, pacotes e assinaturas do usuário não são afetados.
+ */
+async function revokeCourseGrant(req, res) {
+    const { userId, courseId } = req.params;
+
+    try {
+        const [result] = await pool.execute(
+            `UPDATE CourseGrants SET revoked_at = CURRENT_TIMESTAMP, revoked_by = ?
+             WHERE user_id = ? AND course_id = ? AND revoked_at IS NULL`,
+            [req.userId, userId, courseId]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'Nenhum acesso concedido ativo para este usuário e curso.' });
+        }
+
+        // Informa se o usuário continua com acesso por outra origem
+        const remainingAccess = await findCourseAccess(userId, courseId);
+        res.json({
+            message: remainingAccess
+                ? `Acesso concedido revogado. O usuário continua com acesso por: ${remainingAccess.sources.join(', ')}.`
+                : 'Acesso concedido revogado.',
+            remainingSources: remainingAccess ? remainingAccess.sources : []
+        });
+
+    } catch (error) {
+        console.error('Erro ao revogar acesso ao curso:', error);
+        res.status(500).json({ message: 'Erro interno ao revogar acesso ao curso.' });
+    }
+}
+
+/**
+ * Lista os cursos que o usuário acessa (inclusive os vencidos) e o histórico de concessões.
+ */
+async function getUserCourseAccess(req, res) {
+    const { userId } = req.params;
+
+    try {
+        const [users] = await pool.execute('SELECT id, name, email FROM Users WHERE id = ?', [userId]);
+        if (users.length === 0) {
+            return res.status(404).json({ message: 'Usuário não encontrado.' });
+        }
+
+        const accessByCourse = await listCourseAccess(userId, null, { includeExpired: true });
+        const [grants] = await pool.execute(
+            `SELECT g.id, g.course_id, c.name AS course_name, g.reason, g.expires_at, g.created_at,
+                    g.granted_by, g.revoked_at, g.revoked_by
+             FROM CourseGrants g
+             JOIN Courses c ON g.course_id = c.id
+             WHERE g.user_id = ?
+             ORDER BY g.created_at DESC`,
+            [userId]
+        );
+
+        res.json({
+            user: users[0],
+            courses: [...accessByCourse.values()],
+            grants
+        });
+    } catch (error) {
+        console.error('Erro ao listar acessos do usuário:', error);
+        res.status(500).json({ message: 'Erro interno ao listar acessos do usuário.' });
+    }
+}
+
+module.exports = {
+    grantCourseAccess,
+    revokeCourseGrant,
+    getUserCourseAccess
+};
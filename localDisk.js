@@ -0,0 +1,247 @@
+// localDisk.js - Driver de armazenamento em disco local (ver storage.js).
+
+// Arquivos públicos ficam em <rootDir>/public e são servidos em /media/public/...
+// Vídeos privados ficam em <rootDir>/private e só são servidos em /media/private/...
+// com uma URL assinada (HMAC) e com expiração, como as URLs assinadas do Cloudinary.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { config } = require('./config');
+
+const PUBLIC_ROUTE = '/media/public';
+const PRIVATE_ROUTE = '/media/private';
+
+const publicRoot = path.resolve(config.storage.local.rootDir, 'public');
+const privateRoot = path.resolve(config.storage.local.rootDir, 'private');
+
+/**
+ * Chave das URLs assinadas: LOCAL_STORAGE_SECRET ou, na falta dele, HMAC(JWT_SECRET, 'local-storage'),
+ * para que um vazamento da chave das URLs não permita forjar tokens de sessão (e vice-versa).
+ * Sem nenhum dos dois, as URLs assinadas valem apenas enquanto o processo estiver no ar.
+ */
+function resolveSigningSecret() {
+    if (config.storage.local.signingSecret) return config.storage.local.signingSecret;
+    if (config.jwtSecret) return crypto.createHmac('sha256', config.jwtSecret).update('local-storage').digest('hex');
+    return crypto.randomBytes(32).toString('hex');
+}
+
+const signingSecret = resolveSigningSecret();
+
+/**
+ * Resolve um caminho relativo dentro de uma pasta raiz, impedindo acesso fora dela (ex: '../').
+ * @returns {string|null} Caminho absoluto ou null se for inválido.
+ */
+function resolveInside(root, relativePath) {
+    const fullPath = path.resolve(root, relativePath);
+    return fullPath.startsWith(root + path.sep) ? fullPath : null;
+}
+
+/**
+ * Gera um nome de arquivo aleatório (sem extensão).
+ */
+function randomName() {
+    return crypto.randomBytes(12).toString('hex');
+}
+
+/**
+ * Normaliza a extensão de um arquivo (sem ponto, apenas letras e números).
+ */
+function cleanExtension(extension, fallback) {
+    const clean = String(extension || '').replace(/^\./, '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    return clean || fallback;
+}
+
+/**
+ * Grava um stream em disco de forma atômica (arquivo temporário + rename).
+ */
+async function writeStream(readable, fullPath) {
+    await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+    const tempPath = `${fullPath}.tmp`;
+    try {
+        await pipeline(readable, fs.createWriteStream(tempPath));
+        await fs.promises.rename(tempPath, fullPath);
+    } catch (error) {
+        await fs.promises.unlink(tempPath).catch(() => {});
+        throw error;
+    }
+}
+
+/**
+ * Assina o caminho de um vídeo privado com a data de expiração.
+ */
+function signPath(relativePath, expires) {
+    return crypto.createHmac('sha256', signingSecret).update(`${relativePath}:${expires}`).digest('hex');
+}
+
+// ===================================
+// Interface de Armazenamento
+// ===================================
+
+/**
+ * Salva um arquivo público em disco.
+ * @param {string} filePath - Caminho local ou Data URI do arquivo.
+ * @param {string} resourceType - Tipo de recurso ('image' ou 'video').
+ * @param {string} folder - Pasta de destino.
+ * @returns {Promise<string>} URL pública do arquivo.
+ */
+async function uploadFile(filePath, resourceType, folder) {
+    try {
+        let readable;
+        let extension;
+
+        const dataUri = filePath.match(/^data:([^;]+);base64,/);
+        if (dataUri) {
+            readable = Readable.from([Buffer.from(filePath.slice(dataUri[0].length), 'base64')]);
+            extension = dataUri[1].split('/')[1];
+        } else {
+            readable = fs.createReadStream(filePath);
+            extension = path.extname(filePath);
+        }
+
+        const relativePath = `${folder}/${randomName()}.${cleanExtension(extension, resourceType === 'video' ? 'mp4' : 'png')}`;
+        await writeStream(readable, resolveInside(publicRoot, relativePath));
+
+        return `${config.publicUrl}${PUBLIC_ROUTE}/${relativePath}`;
+    } catch (error) {
+        console.error("Erro ao salvar arquivo no disco local:", error.message);
+        throw new Error('Falha ao salvar arquivo no armazenamento local.');
+    }
+}
+
+/**
+ * Remove um arquivo público a partir da sua URL.
+ * URLs de outro armazenamento (ex: Cloudinary) são ignoradas.
+ */
+async function deleteFile(fileUrl, resourceType) {
+    if (!fileUrl) return;
+
+    let pathname;
+    try {
+        pathname = decodeURIComponent(new URL(fileUrl).pathname);
+    } catch (e) {
+        return;
+    }
+    if (!pathname.startsWith(`${PUBLIC_ROUTE}/`)) return;
+
+    const fullPath = resolveInside(publicRoot, pathname.slice(PUBLIC_ROUTE.length + 1));
+    if (!fullPath) return;
+
+    try {
+        await fs.promises.unlink(fullPath);
+    } catch (error) {
+        if (error.code === 'ENOENT') return;
+        console.error("Erro ao remover arquivo do disco local:", error.message);
+        throw new Error('Falha ao remover arquivo do armazenamento local.');
+    }
+}
+
+/**
+ * Salva um vídeo privado lido de um stream.
+ * @param {stream.Readable} readable - Conteúdo do vídeo.
+ * @param {string} folder - Pasta de destino.
+ * @param {string} [fileName] - Nome original (define a extensão; padrão mp4).
+ * @returns {Promise<{ publicId: string, format: string }>}
+ */
+async function uploadPrivateVideoStream(readable, folder, fileName) {
+    const publicId = `${folder}/${randomName()}`;
+    const format = cleanExtension(fileName && path.extname(fileName), 'mp4');
+
+    try {
+        await writeStream(readable, resolveInside(privateRoot, `${publicId}.${format}`));
+        return { publicId, format };
+    } catch (error) {
+        console.error("Erro ao salvar vídeo privado no disco local:", error.message);
+        throw new Error('Falha ao salvar arquivo no armazenamento local.');
+    }
+}
+
+/**
+ * Gera uma URL assinada e temporária para um vídeo privado.
+ * @returns {{ url: string, expiresAt: Date }}
+ */
+function getSignedVideoUrl(publicId, format) {
+    const relativePath = `${publicId}.${format}`;
+    const expires = Math.floor(Date.now() / 1000) + config.storage.signedUrlTtlSeconds;
+
+    return {
+        url: `${config.publicUrl}${PRIVATE_ROUTE}/${relativePath}?expires=${expires}&signature=${signPath(relativePath, expires)}`,
+        expiresAt: new Date(expires * 1000)
+    };
+}
+
+/**
+ * Remove um vídeo privado (qualquer formato salvo com o publicId).
+ */
+async function deletePrivateVideo(publicId) {
+    const basePath = resolveInside(privateRoot, publicId);
+    if (!basePath) return;
+
+    try {
+        const directory = path.dirname(basePath);
+        const files = await fs.promises.readdir(directory).catch(() => []);
+        const prefix = `${path.basename(basePath)}.`;
+        for (const file of files.filter(name => name.startsWith(prefix))) {
+            await fs.promises.unlink(path.join(directory, file));
+        }
+    } catch (error) {
+        console.error("Erro ao remover vídeo privado do disco local:", error.message);
+        throw new Error('Falha ao remover arquivo do armazenamento local.');
+    }
+}
+
+// ===================================
+// Rotas de Mídia (Express)
+// ===================================
+
+/**
+ * Entrega um vídeo privado após validar a assinatura e a expiração da URL.
+ * O res.sendFile suporta requisições Range (necessárias para o player avançar no vídeo).
+ */
+function servePrivateVideo(req, res) {
+    const relativePath = req.params[0];
+    const expires = Number(req.query.expires);
+    const signature = String(req.query.signature || '');
+
+    const expected = Buffer.from(signPath(relativePath, expires), 'hex');
+    const received = Buffer.from(signature, 'hex');
+    if (!expires || expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        return res.status(403).json({ message: 'URL inválida.' });
+    }
+    if (expires < Math.floor(Date.now() / 1000)) {
+        return res.status(403).json({ message: 'URL expirada. Recarregue a aula para obter um novo link.' });
+    }
+
+    const fullPath = resolveInside(privateRoot, relativePath);
+    if (!fullPath) {
+        return res.status(404).json({ message: 'Arquivo não encontrado.' });
+    }
+
+    res.sendFile(fullPath, (error) => {
+        if (error && !res.headersSent) {
+            res.status(404).json({ message: 'Arquivo não encontrado.' });
+        }
+    });
+}
+
+/**
+ * Registra as rotas que servem os arquivos do disco local.
+ * @param {express.Application} app - Aplicação Express.
+ */
+function registerLocalMediaRoutes(app) {
+    app.use(PUBLIC_ROUTE, express.static(publicRoot, { fallthrough: false, index: false }));
+    app.get(new RegExp(`^${PRIVATE_ROUTE}/(.+)$`), servePrivateVideo);
+}
+
+module.exports = {
+    name: 'local',
+    uploadFile,
+    deleteFile,
+    uploadPrivateVideoStream,
+    getSignedVideoUrl,
+    deletePrivateVideo,
+    registerLocalMediaRoutes
+};
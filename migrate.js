@@ -0,0 +1,56 @@
+// migrate.js - Linha de comando das migrations do banco de dados.
+//
+// Uso:
+//   node migrate.js up               Aplica as migrations pendentes (npm run migrate)
+//   node migrate.js down [passos]    Reverte as últimas migrations (padrão: 1) (npm run migrate:rollback)
+//   node migrate.js status           Lista as migrations aplicadas e pendentes (npm run migrate:status)
+//   node migrate.js create <nome>    Cria um novo arquivo de migration em migrations/
+
+const { pool } = require('./database');
+const { migrate, rollback, getMigrationStatus, createMigrationFile } = require('./migrator');
+
+async function main() {
+    const [command = 'up', argument] = process.argv.slice(2);
+
+    switch (command) {
+        case 'up': {
+            await migrate(pool);
+            break;
+        }
+        case 'down': {
+            const steps = argument === undefined ? 1 : parseInt(argument);
+            if (!Number.isInteger(steps) || steps < 1) {
+                throw new Error('Informe um número de passos válido (ex: node migrate.js down 1).');
+            }
+            const reverted = await rollback(pool, steps);
+            console.log(reverted.length > 0
+                ? `${reverted.length} migration(s) revertida(s): ${reverted.map(m => m.version).join(', ')}.`
+                : 'Nenhuma migration aplicada para reverter.');
+            break;
+        }
+        case 'status': {
+            const status = await getMigrationStatus(pool);
+            for (const migration of status) {
+                const state = migration.missingFile
+                    ? 'APLICADA (arquivo ausente)'
+                    : (migration.appliedAt ? `APLICADA em ${new Date(migration.appliedAt).toISOString()}` : 'PENDENTE');
+                console.log(`${String(migration.version).padStart(3, '0')}  ${migration.name.padEnd(40)}  ${state}`);
+            }
+            break;
+        }
+        case 'create': {
+            console.log(`Migration criada: ${createMigrationFile(argument || '')}`);
+            return;
+        }
+        default:
+            throw new Error(`Comando desconhecido: ${command}. Use up, down, status ou create.`);
+    }
+}
+
+main()
+    .then(() => pool.end())
+    .catch(async (error) => {
+        console.error('Erro na migration:', error.message);
+        await pool.end();
+        process.exitCode = 1;
+    });
@@ -0,0 +1,370 @@
+// migrations/001_baseline.js - Schema inicial (todas as tabelas existentes antes do sistema de migrations).
+
+// Bases criadas pelas versões antigas (que rodavam CREATE TABLE IF NOT EXISTS a cada boot) já têm
+// as tabelas: por isso esta migration usa IF NOT EXISTS e completa as colunas que faltarem.
+// As próximas migrations não precisam disso: elas só rodam uma vez, na ordem.
+
+/**
+ * Adiciona uma coluna a uma tabela existente, caso ela ainda não exista.
+ * @returns {Promise<boolean>} true se a coluna foi criada agora.
+ */
+async function addColumnIfMissing(db, table, column, definition) {
+    const [columns] = await db.query(
+        'SELECT COLUMN_NAME FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?',
+        [table, column]
+    );
+    if (columns.length > 0) return false;
+
+    await db.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    return true;
+}
+
+// Ordem de remoção no rollback (inversa à criação, por causa das chaves estrangeiras)
+const TABLES = [
+    'EmailQueue',
+    'VideoUploadParts',
+    'VideoUploads',
+    'RefreshTokens',
+    'Sessions',
+    'EmailVerificationTokens',
+    'PasswordResetTokens',
+    'Certificates',
+    'LessonProgress',
+    'RefundRequests',
+    'Purchases',
+    'PaymentEvents',
+    'Orders',
+    'Lessons',
+    'Modules',
+    'Courses',
+    'Users',
+    'Admins'
+];
+
+/**
+ * Cria as tabelas (ou completa as colunas das bases antigas).
+ * @param {Object} db - Conexão MySQL (mysql2/promise).
+ */
+async function up(db) {
+    // 1. Tabela de Administradores
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS Admins (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            username VARCHAR(50) NOT NULL UNIQUE,
+            password_hash VARCHAR(255) NOT NULL,
+            role ENUM('super_admin', 'instructor', 'support') NOT NULL DEFAULT 'super_admin',
+            is_active BOOLEAN NOT NULL DEFAULT TRUE, -- Admins desativados não conseguem logar
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+
+    // Bases existentes: admins já cadastrados passam a ser super_admin ativos
+    await addColumnIfMissing(db, 'Admins', 'role', "ENUM('super_admin', 'instructor', 'support') NOT NULL DEFAULT 'super_admin'");
+    await addColumnIfMissing(db, 'Admins', 'is_active', 'BOOLEAN NOT NULL DEFAULT TRUE');
+    await addColumnIfMissing(db, 'Admins', 'created_at', 'TIMESTAMP DEFAULT CURRENT_TIMESTAMP');
+
+    // 2. Tabela de Usuários (Clientes)
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS Users (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            name VARCHAR(100) NOT NULL,
+            email VARCHAR(100) NOT NULL UNIQUE,
+            password_hash VARCHAR(255) NOT NULL,
+            email_verified_at TIMESTAMP NULL, -- NULL enquanto o email não for confirmado
+            locale VARCHAR(10) NOT NULL DEFAULT 'pt-BR', -- Idioma dos emails enviados ao usuário
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+
+    // Bases existentes: adiciona a confirmação de email e considera os usuários já cadastrados como verificados
+    const emailVerifiedAdded = await addColumnIfMissing(db, 'Users', 'email_verified_at', 'TIMESTAMP NULL');
+    if (emailVerifiedAdded) {
+        await db.query('UPDATE Users SET email_verified_at = created_at');
+        console.log("Coluna Users.email_verified_at criada; usuários existentes marcados como verificados.");
+    }
+    await addColumnIfMissing(db, 'Users', 'locale', "VARCHAR(10) NOT NULL DEFAULT 'pt-BR'");
+
+    // 3. Tabela de Cursos
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS Courses (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            image_url VARCHAR(255) NOT NULL,
+            description TEXT NOT NULL,
+            price DECIMAL(10, 2) NOT NULL,
+            instructor_id INT, -- Admin (instrutor) responsável pelo curso
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (instructor_id) REFERENCES Admins(id) ON DELETE SET NULL
+        );
+    `);
+    await addColumnIfMissing(db, 'Courses', 'instructor_id', 'INT NULL, ADD FOREIGN KEY (instructor_id) REFERENCES Admins(id) ON DELETE SET NULL');
+
+    // 4. Tabela de Módulos (Associados a um Curso)
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS Modules (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            course_id INT NOT NULL,
+            name VARCHAR(255) NOT NULL,
+            order_index INT NOT NULL,
+            FOREIGN KEY (course_id) REFERENCES Courses(id) ON DELETE CASCADE
+        );
+    `);
+
+    // 5. Tabela de Aulas (Associadas a um Módulo)
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS Lessons (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            module_id INT NOT NULL,
+            title VARCHAR(255) NOT NULL,
+            video_url VARCHAR(255) NOT NULL, -- URL pública (aulas antigas); vazia para vídeos privados
+            video_public_id VARCHAR(255), -- Vídeo privado no Cloudinary (entregue por URL assinada)
+            video_format VARCHAR(10),
+            description_text TEXT,
+            links JSON, -- Links em formato JSON
+            drip_days INT NOT NULL DEFAULT 0, -- Drip content: dias após a compra para liberar o vídeo
+            order_index INT NOT NULL,
+            FOREIGN KEY (module_id) REFERENCES Modules(id) ON DELETE CASCADE
+        );
+    `);
+
+    await addColumnIfMissing(db, 'Lessons', 'video_public_id', 'VARCHAR(255)');
+    await addColumnIfMissing(db, 'Lessons', 'video_format', 'VARCHAR(10)');
+
+    // 6. Tabela de Pedidos de Compra (Checkout com o provedor de pagamento)
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS Orders (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            course_id INT NOT NULL,
+            amount DECIMAL(10, 2) NOT NULL, -- Preço do curso no momento do pedido
+            currency VARCHAR(3) NOT NULL,
+            status ENUM('PENDENTE', 'PAGO', 'FALHOU', 'EXPIRADO', 'REEMBOLSADO') DEFAULT 'PENDENTE',
+            provider VARCHAR(50) NOT NULL,
+            provider_reference VARCHAR(255), -- ID da cobrança no provedor
+            checkout_url VARCHAR(500),
+            expires_at TIMESTAMP NULL,
+            paid_at TIMESTAMP NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            UNIQUE KEY provider_reference_unique (provider, provider_reference),
+            FOREIGN KEY (user_id) REFERENCES Users(id) ON DELETE CASCADE,
+            FOREIGN KEY (course_id) REFERENCES Courses(id) ON DELETE CASCADE
+        );
+    `);
+
+    // 7. Tabela de Eventos de Pagamento (Webhooks recebidos, garante idempotência)
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS PaymentEvents (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            order_id INT NOT NULL,
+            provider VARCHAR(50) NOT NULL,
+            event_id VARCHAR(255) NOT NULL,
+            event_type VARCHAR(50) NOT NULL,
+            payload JSON,
+            received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY provider_event_unique (provider, event_id),
+            FOREIGN KEY (order_id) REFERENCES Orders(id) ON DELETE CASCADE
+        );
+    `);
+
+    // 8. Tabela de Compras (Usuário compra Curso, criada após a confirmação do pagamento)
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS Purchases (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            course_id INT NOT NULL,
+            order_id INT, -- Pedido que originou a compra
+            purchase_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY user_course_unique (user_id, course_id),
+            FOREIGN KEY (user_id) REFERENCES Users(id) ON DELETE CASCADE,
+            FOREIGN KEY (course_id) REFERENCES Courses(id) ON DELETE CASCADE,
+            FOREIGN KEY (order_id) REFERENCES Orders(id) ON DELETE SET NULL
+        );
+    `);
+    await addColumnIfMissing(db, 'Purchases', 'order_id', 'INT NULL AFTER course_id, ADD FOREIGN KEY (order_id) REFERENCES Orders(id) ON DELETE SET NULL');
+
+    // 9. Tabela de Pedidos de Reembolso
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS RefundRequests (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            course_id INT NOT NULL,
+            message TEXT NOT NULL,
+            request_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            status ENUM('PENDENTE', 'APROVADO', 'REJEITADO') DEFAULT 'PENDENTE',
+            decision_reason TEXT, -- Motivo informado pelo Admin ao aprovar/rejeitar
+            decided_by INT, -- Admin que processou o pedido
+            decided_at TIMESTAMP NULL,
+            FOREIGN KEY (user_id) REFERENCES Users(id) ON DELETE CASCADE,
+            FOREIGN KEY (course_id) REFERENCES Courses(id) ON DELETE CASCADE,
+            FOREIGN KEY (decided_by) REFERENCES Admins(id) ON DELETE SET NULL
+        );
+    `);
+    await addColumnIfMissing(db, 'RefundRequests', 'decision_reason', 'TEXT');
+    await addColumnIfMissing(db, 'RefundRequests', 'decided_by', 'INT NULL, ADD FOREIGN KEY (decided_by) REFERENCES Admins(id) ON DELETE SET NULL');
+    await addColumnIfMissing(db, 'RefundRequests', 'decided_at', 'TIMESTAMP NULL');
+
+    // 10. Tabela de Progresso por Aula (Aulas iniciadas/concluídas e posição do vídeo)
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS LessonProgress (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            lesson_id INT NOT NULL,
+            started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            completed_at TIMESTAMP NULL,
+            last_position_seconds INT NOT NULL DEFAULT 0, -- Última posição assistida do vídeo
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            UNIQUE KEY user_lesson_unique (user_id, lesson_id),
+            FOREIGN KEY (user_id) REFERENCES Users(id) ON DELETE CASCADE,
+            FOREIGN KEY (lesson_id) REFERENCES Lessons(id) ON DELETE CASCADE
+        );
+    `);
+
+    // 11. Tabela de Certificados de Conclusão
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS Certificates (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            course_id INT NOT NULL,
+            code VARCHAR(32) NOT NULL UNIQUE, -- Código público de verificação
+            student_name VARCHAR(100) NOT NULL, -- Nome do aluno na data de emissão
+            course_name VARCHAR(255) NOT NULL, -- Nome do curso na data de emissão
+            completed_at TIMESTAMP NOT NULL,
+            issued_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            revoked_at TIMESTAMP NULL,
+            revoked_by INT, -- Admin que revogou
+            revoke_reason TEXT,
+            UNIQUE KEY user_course_certificate_unique (user_id, course_id),
+            FOREIGN KEY (user_id) REFERENCES Users(id) ON DELETE CASCADE,
+            FOREIGN KEY (course_id) REFERENCES Courses(id) ON DELETE CASCADE,
+            FOREIGN KEY (revoked_by) REFERENCES Admins(id) ON DELETE SET NULL
+        );
+    `);
+
+    // 12. Tabela de Tokens de Recuperação de Senha (apenas o hash SHA-256 é armazenado)
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS PasswordResetTokens (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            token_hash CHAR(64) NOT NULL UNIQUE,
+            expires_at TIMESTAMP NOT NULL,
+            used_at TIMESTAMP NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES Users(id) ON DELETE CASCADE
+        );
+    `);
+
+    // 13. Tabela de Tokens de Confirmação de Email (apenas o hash SHA-256 é armazenado)
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS EmailVerificationTokens (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            token_hash CHAR(64) NOT NULL UNIQUE,
+            expires_at TIMESTAMP NOT NULL,
+            used_at TIMESTAMP NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES Users(id) ON DELETE CASCADE
+        );
+    `);
+
+    // 14. Tabela de Sessões (Uma por login de usuário ou admin)
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS Sessions (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            subject_type ENUM('user', 'admin') NOT NULL,
+            subject_id INT NOT NULL, -- ID em Users ou Admins, conforme subject_type
+            user_agent VARCHAR(255),
+            ip_address VARCHAR(45),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            last_used_at TIMESTAMP NULL,
+            expires_at TIMESTAMP NOT NULL,
+            revoked_at TIMESTAMP NULL,
+            revoke_reason VARCHAR(50),
+            INDEX subject_index (subject_type, subject_id)
+        );
+    `);
+
+    // 15. Tabela de Refresh Tokens (Rotacionados a cada uso; apenas o hash é armazenado)
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS RefreshTokens (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            session_id INT NOT NULL,
+            token_hash CHAR(64) NOT NULL UNIQUE,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            used_at TIMESTAMP NULL, -- Preenchido quando o token é trocado por um novo
+            FOREIGN KEY (session_id) REFERENCES Sessions(id) ON DELETE CASCADE
+        );
+    `);
+
+    // 16. Tabela de Uploads de Vídeo em Partes (Uploads retomáveis; as partes ficam em disco até a conclusão)
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS VideoUploads (
+            id CHAR(32) PRIMARY KEY, -- Identificador aleatório enviado ao cliente
+            admin_id INT NOT NULL,
+            lesson_id INT NULL, -- Aula que recebe o vídeo ao concluir (opcional)
+            file_name VARCHAR(255) NOT NULL,
+            mime_type VARCHAR(100) NOT NULL,
+            file_size BIGINT NOT NULL,
+            part_size INT NOT NULL,
+            total_parts INT NOT NULL,
+            status ENUM('EM_ANDAMENTO', 'PROCESSANDO', 'CONCLUIDO', 'FALHOU', 'CANCELADO') NOT NULL DEFAULT 'EM_ANDAMENTO',
+            video_public_id VARCHAR(255) NULL,
+            video_format VARCHAR(20) NULL,
+            error_message VARCHAR(255) NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            completed_at TIMESTAMP NULL,
+            FOREIGN KEY (admin_id) REFERENCES Admins(id) ON DELETE CASCADE,
+            FOREIGN KEY (lesson_id) REFERENCES Lessons(id) ON DELETE SET NULL
+        );
+    `);
+
+    // 17. Tabela de Partes Recebidas (Permite retomar o upload de onde parou)
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS VideoUploadParts (
+            upload_id CHAR(32) NOT NULL,
+            part_number INT NOT NULL,
+            size INT NOT NULL,
+            checksum CHAR(64) NOT NULL, -- SHA-256 do conteúdo da parte
+            received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            PRIMARY KEY (upload_id, part_number),
+            FOREIGN KEY (upload_id) REFERENCES VideoUploads(id) ON DELETE CASCADE
+        );
+    `);
+
+    // 18. Tabela da Fila de Emails (Emails cujo envio falhou e serão reenviados)
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS EmailQueue (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            template VARCHAR(100) NOT NULL,
+            locale VARCHAR(10) NOT NULL,
+            to_email VARCHAR(255) NOT NULL,
+            to_name VARCHAR(255) NULL,
+            reply_to_email VARCHAR(255) NULL,
+            reply_to_name VARCHAR(255) NULL,
+            variables JSON NULL, -- Apagado após o envio (pode conter tokens)
+            status ENUM('PENDENTE', 'ENVIADO', 'FALHOU', 'DESCARTADO') NOT NULL DEFAULT 'PENDENTE',
+            attempts INT NOT NULL DEFAULT 0,
+            last_error VARCHAR(255) NULL,
+            next_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            expires_at TIMESTAMP NULL, -- Depois disso o email não é mais reenviado
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            sent_at TIMESTAMP NULL,
+            INDEX queue_index (status, next_attempt_at)
+        );
+    `);
+}
+
+/**
+ * Remove todas as tabelas. ATENÇÃO: apaga todos os dados.
+ */
+async function down(db) {
+    for (const table of TABLES) {
+        await db.query(`DROP TABLE IF EXISTS ${table}`);
+    }
+}
+
+module.exports = {
+    up,
+    down
+};
@@ -0,0 +1,23 @@
+// migrations/002_course_search_index.js - Índice de busca textual do catálogo (nome e descrição).
+
+/**
+ * Aplica a alteração.
+ * @param {Object} db - Conexão MySQL (mysql2/promise).
+ */
+async function up(db) {
+    await db.query('ALTER TABLE Courses ADD FULLTEXT INDEX course_search_index (name, description)');
+    await db.query('ALTER TABLE Courses ADD INDEX course_price_index (price)');
+}
+
+/**
+ * Desfaz a alteração.
+ */
+async function down(db) {
+    await db.query('ALTER TABLE Courses DROP INDEX course_price_index');
+    await db.query('ALTER TABLE Courses DROP INDEX course_search_index');
+}
+
+module.exports = {
+    up,
+    down
+};
@@ -0,0 +1,85 @@
+// migrations/003_coupons.js - Cupons de desconto e valor efetivamente pago nos pedidos e compras.
+
+/**
+ * Aplica a alteração.
+ * @param {Object} db - Conexão MySQL (mysql2/promise).
+ */
+async function up(db) {
+    await db.query(`
+        CREATE TABLE Coupons (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            code VARCHAR(50) NOT NULL UNIQUE, -- Sempre em maiúsculas
+            description VARCHAR(255),
+            discount_type ENUM('PERCENTUAL', 'FIXO') NOT NULL,
+            discount_value DECIMAL(10, 2) NOT NULL, -- Percentual (0-100) ou valor fixo
+            starts_at TIMESTAMP NULL, -- NULL = válido desde a criação
+            ends_at TIMESTAMP NULL, -- NULL = sem data de término
+            max_uses INT NULL, -- Limite global de usos (NULL = ilimitado)
+            max_uses_per_user INT NULL, -- Limite por usuário (NULL = ilimitado)
+            is_active BOOLEAN NOT NULL DEFAULT TRUE,
+            created_by INT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (created_by) REFERENCES Admins(id) ON DELETE SET NULL
+        );
+    `);
+
+    // Cursos em que o cupom vale (sem linhas = vale para todos os cursos)
+    await db.query(`
+        CREATE TABLE CouponCourses (
+            coupon_id INT NOT NULL,
+            course_id INT NOT NULL,
+            PRIMARY KEY (coupon_id, course_id),
+            FOREIGN KEY (coupon_id) REFERENCES Coupons(id) ON DELETE CASCADE,
+            FOREIGN KEY (course_id) REFERENCES Courses(id) ON DELETE CASCADE
+        );
+    `);
+
+    // Orders.amount passa a ser o valor cobrado (já com desconto); o preço de tabela fica em original_amount
+    await db.query(`
+        ALTER TABLE Orders
+            ADD COLUMN original_amount DECIMAL(10, 2) NULL AFTER course_id,
+            ADD COLUMN discount_amount DECIMAL(10, 2) NOT NULL DEFAULT 0 AFTER amount,
+            ADD COLUMN coupon_id INT NULL AFTER discount_amount,
+            ADD FOREIGN KEY (coupon_id) REFERENCES Coupons(id)
+    `);
+    await db.query('UPDATE Orders SET original_amount = amount');
+
+    await db.query(`
+        ALTER TABLE Purchases
+            ADD COLUMN amount_paid DECIMAL(10, 2) NULL AFTER order_id,
+            ADD COLUMN coupon_id INT NULL AFTER amount_paid,
+            ADD FOREIGN KEY (coupon_id) REFERENCES Coupons(id)
+    `);
+    await db.query('UPDATE Purchases p JOIN Orders o ON p.order_id = o.id SET p.amount_paid = o.amount');
+}
+
+/**
+ * Desfaz a alteração.
+ */
+async function down(db) {
+    await dropForeignKey(db, 'Purchases', 'coupon_id');
+    await db.query('ALTER TABLE Purchases DROP COLUMN coupon_id, DROP COLUMN amount_paid');
+    await dropForeignKey(db, 'Orders', 'coupon_id');
+    await db.query('ALTER TABLE Orders DROP COLUMN coupon_id, DROP COLUMN discount_amount, DROP COLUMN original_amount');
+    await db.query('DROP TABLE CouponCourses');
+    await db.query('DROP TABLE Coupons');
+}
+
+/**
+ * Remove a chave estrangeira (de nome gerado pelo MySQL) de uma coluna.
+ */
+async function dropForeignKey(db, table, column) {
+    const [constraints] = await db.query(
+        `SELECT CONSTRAINT_NAME FROM INFORMATION_SCHEMA.KEY_COLUMN_USAGE
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ? AND REFERENCED_TABLE_NAME IS NOT NULL`,
+        [table, column]
+    );
+    for (const { CONSTRAINT_NAME } of constraints) {
+        await db.query(`ALTER TABLE ${table} DROP FOREIGN KEY ${CONSTRAINT_NAME}`);
+    }
+}
+
+module.exports = {
+    up,
+    down
+};
@@ -0,0 +1,122 @@
+// migrations/004_bundles_and_subscriptions.js - Pacotes de cursos e planos de assinatura.
+
+// Um pedido (Orders) passa a ser de um curso, de um pacote OU de um plano: exatamente uma das
+// colunas course_id, bundle_id e plan_id é preenchida.
+
+/**
+ * Aplica a alteração.
+ * @param {Object} db - Conexão MySQL (mysql2/promise).
+ */
+async function up(db) {
+    // Pacotes: uma compra libera vários cursos
+    await db.query(`
+        CREATE TABLE Bundles (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            description TEXT,
+            price DECIMAL(10, 2) NOT NULL,
+            is_active BOOLEAN NOT NULL DEFAULT TRUE, -- Pacotes inativos não são vendidos (quem já comprou mantém o acesso)
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+
+    await db.query(`
+        CREATE TABLE BundleCourses (
+            bundle_id INT NOT NULL,
+            course_id INT NOT NULL,
+            PRIMARY KEY (bundle_id, course_id),
+            FOREIGN KEY (bundle_id) REFERENCES Bundles(id) ON DELETE CASCADE,
+            FOREIGN KEY (course_id) REFERENCES Courses(id) ON DELETE CASCADE
+        );
+    `);
+
+    // Compra de um pacote. O acesso vale para os cursos que estiverem no pacote (inclusive os adicionados depois).
+    await db.query(`
+        CREATE TABLE BundlePurchases (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            bundle_id INT NOT NULL,
+            order_id INT,
+            amount_paid DECIMAL(10, 2),
+            purchase_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY user_bundle_unique (user_id, bundle_id),
+            FOREIGN KEY (user_id) REFERENCES Users(id) ON DELETE CASCADE,
+            FOREIGN KEY (bundle_id) REFERENCES Bundles(id),
+            FOREIGN KEY (order_id) REFERENCES Orders(id) ON DELETE SET NULL
+        );
+    `);
+
+    // Planos de assinatura: acesso a um conjunto de cursos (ou a todos) enquanto o período estiver pago
+    await db.query(`
+        CREATE TABLE SubscriptionPlans (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            description TEXT,
+            price DECIMAL(10, 2) NOT NULL, -- Preço de cada período
+            interval_months INT NOT NULL DEFAULT 1, -- Duração do período (1 = mensal, 12 = anual)
+            all_courses BOOLEAN NOT NULL DEFAULT FALSE, -- TRUE = acesso a todos os cursos (ignora PlanCourses)
+            is_active BOOLEAN NOT NULL DEFAULT TRUE,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+
+    await db.query(`
+        CREATE TABLE PlanCourses (
+            plan_id INT NOT NULL,
+            course_id INT NOT NULL,
+            PRIMARY KEY (plan_id, course_id),
+            FOREIGN KEY (plan_id) REFERENCES SubscriptionPlans(id) ON DELETE CASCADE,
+            FOREIGN KEY (course_id) REFERENCES Courses(id) ON DELETE CASCADE
+        );
+    `);
+
+    // Uma assinatura por usuário e plano; cada pagamento estende current_period_end
+    await db.query(`
+        CREATE TABLE Subscriptions (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            plan_id INT NOT NULL,
+            started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            current_period_end TIMESTAMP NOT NULL, -- Acesso liberado até esta data
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            UNIQUE KEY user_plan_unique (user_id, plan_id),
+            FOREIGN KEY (user_id) REFERENCES Users(id) ON DELETE CASCADE,
+            FOREIGN KEY (plan_id) REFERENCES SubscriptionPlans(id)
+        );
+    `);
+
+    await db.query(`
+        ALTER TABLE Orders
+            MODIFY COLUMN course_id INT NULL,
+            ADD COLUMN bundle_id INT NULL AFTER course_id,
+            ADD COLUMN plan_id INT NULL AFTER bundle_id,
+            ADD CONSTRAINT orders_bundle_fk FOREIGN KEY (bundle_id) REFERENCES Bundles(id),
+            ADD CONSTRAINT orders_plan_fk FOREIGN KEY (plan_id) REFERENCES SubscriptionPlans(id)
+    `);
+}
+
+/**
+ * Desfaz a alteração. Pedidos de pacotes e assinaturas são removidos.
+ */
+async function down(db) {
+    await db.query('DELETE FROM Orders WHERE course_id IS NULL');
+    await db.query(`
+        ALTER TABLE Orders
+            DROP FOREIGN KEY orders_plan_fk,
+            DROP FOREIGN KEY orders_bundle_fk,
+            DROP COLUMN plan_id,
+            DROP COLUMN bundle_id,
+            MODIFY COLUMN course_id INT NOT NULL
+    `);
+    await db.query('DROP TABLE Subscriptions');
+    await db.query('DROP TABLE PlanCourses');
+    await db.query('DROP TABLE SubscriptionPlans');
+    await db.query('DROP TABLE BundlePurchases');
+    await db.query('DROP TABLE BundleCourses');
+    await db.query('DROP TABLE Bundles');
+}
+
+module.exports = {
+    up,
+    down
+};
@@ -0,0 +1,38 @@
+// migrations/005_drip_modes.js - Modos de liberação do conteúdo (Drip Content) por curso ou módulo.
+
+/**
+ * Aplica a alteração.
+ * @param {Object} db - Conexão MySQL (mysql2/promise).
+ */
+async function up(db) {
+    // Modo padrão do curso (ver DRIP_MODES em courseAccess.js)
+    await db.query(`
+        ALTER TABLE Courses
+            ADD COLUMN drip_mode ENUM('DIAS_APOS_COMPRA', 'DATA_FIXA', 'SEQUENCIAL', 'MODULO') NOT NULL DEFAULT 'DIAS_APOS_COMPRA'
+    `);
+
+    // Um módulo pode usar outro modo (NULL = herda do curso). drip_days e release_date valem para o módulo inteiro.
+    await db.query(`
+        ALTER TABLE Modules
+            ADD COLUMN drip_mode ENUM('DIAS_APOS_COMPRA', 'DATA_FIXA', 'SEQUENCIAL', 'MODULO') NULL,
+            ADD COLUMN drip_days INT NOT NULL DEFAULT 0,
+            ADD COLUMN release_date TIMESTAMP NULL
+    `);
+
+    // Data fixa de liberação da aula (turmas com calendário)
+    await db.query('ALTER TABLE Lessons ADD COLUMN release_date TIMESTAMP NULL');
+}
+
+/**
+ * Desfaz a alteração.
+ */
+async function down(db) {
+    await db.query('ALTER TABLE Lessons DROP COLUMN release_date');
+    await db.query('ALTER TABLE Modules DROP COLUMN drip_mode, DROP COLUMN drip_days, DROP COLUMN release_date');
+    await db.query('ALTER TABLE Courses DROP COLUMN drip_mode');
+}
+
+module.exports = {
+    up,
+    down
+};
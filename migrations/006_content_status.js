@@ -0,0 +1,34 @@
+// migrations/006_content_status.js - Status de publicação dos cursos (rascunho, publicado, agendado, arquivado) e das aulas.
+
+/**
+ * Aplica a alteração.
+ * @param {Object} db - Conexão MySQL (mysql2/promise).
+ */
+async function up(db) {
+    // Os cursos existentes já estavam no catálogo: entram como PUBLICADO. Os novos nascem como RASCUNHO.
+    await db.query(`
+        ALTER TABLE Courses
+            ADD COLUMN status ENUM('RASCUNHO', 'PUBLICADO', 'AGENDADO', 'ARQUIVADO') NOT NULL DEFAULT 'PUBLICADO',
+            ADD COLUMN publish_at TIMESTAMP NULL, -- Data de publicação (agendada ou efetiva)
+            ADD INDEX course_status_index (status, publish_at)
+    `);
+    await db.query("ALTER TABLE Courses ALTER COLUMN status SET DEFAULT 'RASCUNHO'");
+
+    await db.query(`
+        ALTER TABLE Lessons
+            ADD COLUMN status ENUM('RASCUNHO', 'PUBLICADO') NOT NULL DEFAULT 'PUBLICADO'
+    `);
+}
+
+/**
+ * Desfaz a alteração.
+ */
+async function down(db) {
+    await db.query('ALTER TABLE Lessons DROP COLUMN status');
+    await db.query('ALTER TABLE Courses DROP INDEX course_status_index, DROP COLUMN publish_at, DROP COLUMN status');
+}
+
+module.exports = {
+    up,
+    down
+};
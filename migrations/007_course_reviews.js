@@ -0,0 +1,39 @@
+// migrations/007_course_reviews.js - Avaliações (nota e comentário) dos cursos pelos alunos.
+
+/**
+ * Aplica a alteração.
+ * @param {Object} db - Conexão MySQL (mysql2/promise).
+ */
+async function up(db) {
+    await db.query(`
+        CREATE TABLE CourseReviews (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            course_id INT NOT NULL,
+            user_id INT NOT NULL,
+            rating TINYINT NOT NULL, -- 1 a 5
+            comment TEXT,
+            status ENUM('PENDENTE', 'APROVADA', 'OCULTA') NOT NULL DEFAULT 'APROVADA', -- Apenas APROVADA é pública
+            moderated_by INT,
+            moderated_at TIMESTAMP NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            UNIQUE KEY course_user_unique (course_id, user_id), -- Uma avaliação por aluno e curso
+            INDEX course_status_index (course_id, status),
+            FOREIGN KEY (course_id) REFERENCES Courses(id) ON DELETE CASCADE,
+            FOREIGN KEY (user_id) REFERENCES Users(id) ON DELETE CASCADE,
+            FOREIGN KEY (moderated_by) REFERENCES Admins(id) ON DELETE SET NULL
+        );
+    `);
+}
+
+/**
+ * Desfaz a alteração.
+ */
+async function down(db) {
+    await db.query('DROP TABLE CourseReviews');
+}
+
+module.exports = {
+    up,
+    down
+};
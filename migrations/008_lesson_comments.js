@@ -0,0 +1,44 @@
+// migrations/008_lesson_comments.js - Discussões por aula (perguntas dos alunos e respostas).
+
+/**
+ * Aplica a alteração.
+ * @param {Object} db - Conexão MySQL (mysql2/promise).
+ */
+async function up(db) {
+    // parent_id NULL = tópico (pergunta); preenchido = resposta ao tópico (um nível).
+    // O autor é um aluno (user_id) ou um admin/instrutor (admin_id).
+    await db.query(`
+        CREATE TABLE LessonComments (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            lesson_id INT NOT NULL,
+            parent_id INT NULL,
+            user_id INT NULL,
+            admin_id INT NULL,
+            body TEXT NOT NULL,
+            is_pinned BOOLEAN NOT NULL DEFAULT FALSE, -- Apenas tópicos
+            resolved_at TIMESTAMP NULL, -- Apenas tópicos: pergunta marcada como resolvida
+            resolved_by INT NULL,
+            edited_at TIMESTAMP NULL,
+            deleted_at TIMESTAMP NULL, -- Remoção lógica: o texto deixa de ser exibido, as respostas continuam
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX lesson_thread_index (lesson_id, parent_id, is_pinned, created_at),
+            FOREIGN KEY (lesson_id) REFERENCES Lessons(id) ON DELETE CASCADE,
+            FOREIGN KEY (parent_id) REFERENCES LessonComments(id) ON DELETE CASCADE,
+            FOREIGN KEY (user_id) REFERENCES Users(id) ON DELETE CASCADE,
+            FOREIGN KEY (admin_id) REFERENCES Admins(id) ON DELETE SET NULL,
+            FOREIGN KEY (resolved_by) REFERENCES Admins(id) ON DELETE SET NULL
+        );
+    `);
+}
+
+/**
+ * Desfaz a alteração.
+ */
+async function down(db) {
+    await db.query('DROP TABLE LessonComments');
+}
+
+module.exports = {
+    up,
+    down
+};
@@ -0,0 +1,95 @@
+// migrations/009_quizzes.js - Questionários avaliativos por módulo ou aula, com tentativas e nota.
+
+/**
+ * Aplica a alteração.
+ * @param {Object} db - Conexão MySQL (mysql2/promise).
+ */
+async function up(db) {
+    // Um questionário pertence a um módulo OU a uma aula.
+    // required_to_advance: os módulos seguintes só são liberados após a aprovação (ver courseAccess.js).
+    await db.query(`
+        CREATE TABLE Quizzes (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            module_id INT NULL,
+            lesson_id INT NULL,
+            title VARCHAR(255) NOT NULL,
+            description TEXT NULL,
+            pass_score INT NOT NULL DEFAULT 70, -- Nota mínima para aprovação (0 a 100)
+            max_attempts INT NULL, -- NULL = tentativas ilimitadas
+            required_to_advance BOOLEAN NOT NULL DEFAULT FALSE,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (module_id) REFERENCES Modules(id) ON DELETE CASCADE,
+            FOREIGN KEY (lesson_id) REFERENCES Lessons(id) ON DELETE CASCADE
+        );
+    `);
+
+    await db.query(`
+        CREATE TABLE QuizQuestions (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            quiz_id INT NOT NULL,
+            type ENUM('MULTIPLA_ESCOLHA', 'VERDADEIRO_FALSO') NOT NULL,
+            prompt TEXT NOT NULL,
+            points INT NOT NULL DEFAULT 1,
+            order_index INT NOT NULL,
+            FOREIGN KEY (quiz_id) REFERENCES Quizzes(id) ON DELETE CASCADE
+        );
+    `);
+
+    // Questões de verdadeiro/falso também têm duas alternativas ('Verdadeiro' e 'Falso')
+    await db.query(`
+        CREATE TABLE QuizOptions (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            question_id INT NOT NULL,
+            text VARCHAR(500) NOT NULL,
+            is_correct BOOLEAN NOT NULL DEFAULT FALSE,
+            order_index INT NOT NULL,
+            FOREIGN KEY (question_id) REFERENCES QuizQuestions(id) ON DELETE CASCADE
+        );
+    `);
+
+    await db.query(`
+        CREATE TABLE QuizAttempts (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            quiz_id INT NOT NULL,
+            user_id INT NOT NULL,
+            score INT NOT NULL, -- 0 a 100
+            points_earned INT NOT NULL,
+            points_total INT NOT NULL,
+            passed BOOLEAN NOT NULL,
+            submitted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX quiz_user_index (quiz_id, user_id),
+            FOREIGN KEY (quiz_id) REFERENCES Quizzes(id) ON DELETE CASCADE,
+            FOREIGN KEY (user_id) REFERENCES Users(id) ON DELETE CASCADE
+        );
+    `);
+
+    // Resposta escolhida em cada questão (option_id NULL = não respondida)
+    await db.query(`
+        CREATE TABLE QuizAttemptAnswers (
+            attempt_id INT NOT NULL,
+            question_id INT NOT NULL,
+            option_id INT NULL,
+            is_correct BOOLEAN NOT NULL,
+            PRIMARY KEY (attempt_id, question_id),
+            FOREIGN KEY (attempt_id) REFERENCES QuizAttempts(id) ON DELETE CASCADE,
+            FOREIGN KEY (question_id) REFERENCES QuizQuestions(id) ON DELETE CASCADE,
+            FOREIGN KEY (option_id) REFERENCES QuizOptions(id) ON DELETE CASCADE
+        );
+    `);
+}
+
+/**
+ * Desfaz a alteração.
+ */
+async function down(db) {
+    await db.query('DROP TABLE QuizAttemptAnswers');
+    await db.query('DROP TABLE QuizAttempts');
+    await db.query('DROP TABLE QuizOptions');
+    await db.query('DROP TABLE QuizQuestions');
+    await db.query('DROP TABLE Quizzes');
+}
+
+module.exports = {
+    up,
+    down
+};
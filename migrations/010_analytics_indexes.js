@@ -0,0 +1,25 @@
+// migrations/010_analytics_indexes.js - Índices dos relatórios do Admin (vendas por período e cadastros).
+
+/**
+ * Aplica a alteração.
+ * @param {Object} db - Conexão MySQL (mysql2/promise).
+ */
+async function up(db) {
+    await db.query('ALTER TABLE Orders ADD INDEX order_paid_index (status, paid_at)');
+    await db.query('ALTER TABLE Users ADD INDEX user_created_index (created_at)');
+    await db.query('ALTER TABLE BundlePurchases ADD INDEX bundle_purchase_date_index (purchase_date)');
+}
+
+/**
+ * Desfaz a alteração.
+ */
+async function down(db) {
+    await db.query('ALTER TABLE BundlePurchases DROP INDEX bundle_purchase_date_index');
+    await db.query('ALTER TABLE Users DROP INDEX user_created_index');
+    await db.query('ALTER TABLE Orders DROP INDEX order_paid_index');
+}
+
+module.exports = {
+    up,
+    down
+};
@@ -0,0 +1,70 @@
+// migrations/011_grants_and_gifts.js - Acesso liberado pelo Admin (com validade opcional) e cursos comprados como presente.
+
+/**
+ * Aplica a alteração.
+ * @param {Object} db - Conexão MySQL (mysql2/promise).
+ */
+async function up(db) {
+    // Acesso concedido manualmente (bolsas, atendimento). Um registro não revogado por usuário e curso;
+    // expires_at NULL = sem validade.
+    await db.query(`
+        CREATE TABLE CourseGrants (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            course_id INT NOT NULL,
+            reason VARCHAR(255) NULL,
+            expires_at TIMESTAMP NULL,
+            granted_by INT NULL,
+            revoked_at TIMESTAMP NULL,
+            revoked_by INT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX user_course_grant_index (user_id, course_id),
+            FOREIGN KEY (user_id) REFERENCES Users(id) ON DELETE CASCADE,
+            FOREIGN KEY (course_id) REFERENCES Courses(id) ON DELETE CASCADE,
+            FOREIGN KEY (granted_by) REFERENCES Admins(id) ON DELETE SET NULL,
+            FOREIGN KEY (revoked_by) REFERENCES Admins(id) ON DELETE SET NULL
+        );
+    `);
+
+    // Presentes: o comprador paga o pedido e o destinatário resgata o curso com o código
+    await db.query(`
+        CREATE TABLE CourseGifts (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            code VARCHAR(32) NOT NULL UNIQUE,
+            course_id INT NOT NULL,
+            purchaser_id INT NOT NULL,
+            recipient_email VARCHAR(100) NOT NULL,
+            recipient_name VARCHAR(100) NULL,
+            message TEXT NULL,
+            status ENUM('AGUARDANDO_PAGAMENTO', 'DISPONIVEL', 'RESGATADO', 'CANCELADO') NOT NULL DEFAULT 'AGUARDANDO_PAGAMENTO',
+            redeemed_by INT NULL,
+            redeemed_at TIMESTAMP NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (course_id) REFERENCES Courses(id) ON DELETE CASCADE,
+            FOREIGN KEY (purchaser_id) REFERENCES Users(id) ON DELETE CASCADE,
+            FOREIGN KEY (redeemed_by) REFERENCES Users(id) ON DELETE SET NULL
+        );
+    `);
+
+    // Um pedido também pode ser de um presente (gift_id), além de curso, pacote ou plano
+    await db.query(`
+        ALTER TABLE Orders
+            ADD COLUMN gift_id INT NULL AFTER plan_id,
+            ADD CONSTRAINT orders_gift_fk FOREIGN KEY (gift_id) REFERENCES CourseGifts(id)
+    `);
+}
+
+/**
+ * Desfaz a alteração. Pedidos de presentes são removidos.
+ */
+async function down(db) {
+    await db.query('DELETE FROM Orders WHERE gift_id IS NOT NULL');
+    await db.query('ALTER TABLE Orders DROP FOREIGN KEY orders_gift_fk, DROP COLUMN gift_id');
+    await db.query('DROP TABLE CourseGifts');
+    await db.query('DROP TABLE CourseGrants');
+}
+
+module.exports = {
+    up,
+    down
+};
@@ -0,0 +1,29 @@
+// migrations/012_gift_orders_cascade.js - Pedidos de presente removidos junto com o curso (orders_gift_fk com ON DELETE CASCADE).
+
+// Sem a cascata, excluir um curso com pedido de presente falhava: CourseGifts é removido com o curso,
+// mas o pedido continuava apontando para o presente. Agora o pedido é removido, como os pedidos de curso (Orders.course_id).
+
+/**
+ * Aplica a alteração.
+ * @param {Object} db - Conexão MySQL (mysql2/promise).
+ */
+async function up(db) {
+    await db.query('ALTER TABLE Orders DROP FOREIGN KEY orders_gift_fk');
+    await db.query(`
+        ALTER TABLE Orders
+            ADD CONSTRAINT orders_gift_fk FOREIGN KEY (gift_id) REFERENCES CourseGifts(id) ON DELETE CASCADE
+    `);
+}
+
+/**
+ * Desfaz a alteração.
+ */
+async function down(db) {
+    await db.query('ALTER TABLE Orders DROP FOREIGN KEY orders_gift_fk');
+    await db.query('ALTER TABLE Orders ADD CONSTRAINT orders_gift_fk FOREIGN KEY (gift_id) REFERENCES CourseGifts(id)');
+}
+
+module.exports = {
+    up,
+    down
+};
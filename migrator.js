@@ -0,0 +1,208 @@
+// migrator.js - Migrations versionadas do banco de dados (aplicar, reverter e consultar o status).
+
+// Cada migration é um arquivo em migrations/ no formato NNN_descricao.js que exporta:
+//   up(db)   -> aplica a alteração
+//   down(db) -> desfaz a alteração
+// `db` é uma conexão mysql2/promise. As versões aplicadas ficam na tabela SchemaMigrations.
+//
+// Um lock nomeado do MySQL (GET_LOCK) garante que apenas uma instância aplique migrations por vez:
+// se dois servidores sobem juntos, o segundo espera o primeiro terminar e não encontra nada pendente.
+//
+// ATENÇÃO: no MySQL, comandos DDL (CREATE/ALTER/DROP) fazem commit implícito, então uma migration
+// que falha no meio não é desfeita automaticamente. Prefira migrations pequenas.
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const LOCK_NAME = 'cursos_online_schema_migrations';
+const LOCK_TIMEOUT_SECONDS = 60;
+
+/**
+ * Lista os arquivos de migration em ordem de versão.
+ * @returns {Array<{ version: number, name: string, file: string }>}
+ */
+function loadMigrationFiles() {
+    const migrations = fs.readdirSync(MIGRATIONS_DIR)
+        .map(file => {
+            const match = file.match(/^(\d+)_(.+)\.js$/);
+            return match ? { version: Number(match[1]), name: match[2], file: path.join(MIGRATIONS_DIR, file) } : null;
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.version - b.version);
+
+    for (let i = 1; i < migrations.length; i++) {
+        if (migrations[i].version === migrations[i - 1].version) {
+            throw new Error(`Duas migrations com a mesma versão (${migrations[i].version}).`);
+        }
+    }
+    return migrations;
+}
+
+/**
+ * Cria a tabela de controle de versões, se ainda não existir.
+ */
+async function ensureSchemaTable(db) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS SchemaMigrations (
+            version INT PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+}
+
+/**
+ * Versões já aplicadas, em ordem crescente.
+ */
+async function getAppliedVersions(db) {
+    const [rows] = await db.query('SELECT version, name, applied_at FROM SchemaMigrations ORDER BY version ASC');
+    return rows;
+}
+
+/**
+ * Executa `task` com uma conexão exclusiva e o lock de migrations.
+ */
+async function withMigrationLock(pool, task) {
+    const connection = await pool.getConnection();
+    try {
+        const [[{ acquired }]] = await connection.query('SELECT GET_LOCK(?, ?) AS acquired', [LOCK_NAME, LOCK_TIMEOUT_SECONDS]);
+        if (acquired !== 1) {
+            throw new Error(`Não foi possível obter o lock de migrations em ${LOCK_TIMEOUT_SECONDS}s (outra instância está migrando?).`);
+        }
+
+        try {
+            await ensureSchemaTable(connection);
+            return await task(connection);
+        } finally {
+            await connection.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]);
+        }
+    } finally {
+        connection.release();
+    }
+}
+
+/**
+ * Aplica todas as migrations pendentes, em ordem.
+ * @param {Object} pool - Pool mysql2/promise.
+ * @returns {Promise<Array<{ version: number, name: string }>>} Migrations aplicadas agora.
+ */
+async function migrate(pool) {
+    return withMigrationLock(pool, async (db) => {
+        const applied = new Set((await getAppliedVersions(db)).map(row => row.version));
+        const pending = loadMigrationFiles().filter(migration => !applied.has(migration.version));
+
+        for (const migration of pending) {
+            console.log(`Aplicando migration ${migration.version} (${migration.name})...`);
+            await require(migration.file).up(db);
+            await db.query('INSERT INTO SchemaMigrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+        }
+
+        if (pending.length === 0) {
+            console.log("Schema do Banco de Dados atualizado (nenhuma migration pendente).");
+        } else {
+            console.log(`${pending.length} migration(s) aplicada(s) com sucesso.`);
+        }
+        return pending.map(({ version, name }) => ({ version, name }));
+    });
+}
+
+/**
+ * Reverte as últimas migrations aplicadas.
+ * @param {Object} pool - Pool mysql2/promise.
+ * @param {number} [steps=1] - Quantidade de migrations a reverter.
+ * @returns {Promise<Array<{ version: number, name: string }>>} Migrations revertidas.
+ */
+async function rollback(pool, steps = 1) {
+    return withMigrationLock(pool, async (db) => {
+        const files = new Map(loadMigrationFiles().map(migration => [migration.version, migration]));
+        const toRevert = (await getAppliedVersions(db)).reverse().slice(0, steps);
+
+        for (const row of toRevert) {
+            const migration = files.get(row.version);
+            if (!migration) {
+                throw new Error(`Arquivo da migration ${row.version} (${row.name}) não encontrado; não é possível revertê-la.`);
+            }
+
+            console.log(`Revertendo migration ${row.version} (${row.name})...`);
+            await require(migration.file).down(db);
+            await db.query('DELETE FROM SchemaMigrations WHERE version = ?', [row.version]);
+        }
+
+        return toRevert.map(({ version, name }) => ({ version, name }));
+    });
+}
+
+/**
+ * Situação de cada migration (aplicada ou pendente).
+ * @param {Object} pool - Pool mysql2/promise.
+ * @returns {Promise<Array<{ version: number, name: string, appliedAt: Date|null, missingFile: boolean }>>}
+ */
+async function getMigrationStatus(pool) {
+    return withMigrationLock(pool, async (db) => {
+        const applied = new Map((await getAppliedVersions(db)).map(row => [row.version, row]));
+        const files = loadMigrationFiles();
+
+        const status = files.map(migration => ({
+            version: migration.version,
+            name: migration.name,
+            appliedAt: applied.has(migration.version) ? applied.get(migration.version).applied_at : null,
+            missingFile: false
+        }));
+
+        // Versões aplicadas cujo arquivo não existe mais (ex: banco à frente do código)
+        for (const row of applied.values()) {
+            if (!files.some(migration => migration.version === row.version)) {
+                status.push({ version: row.version, name: row.name, appliedAt: row.applied_at, missingFile: true });
+            }
+        }
+
+        return status.sort((a, b) => a.version - b.version);
+    });
+}
+
+/**
+ * Cria um novo arquivo de migration vazio com a próxima versão.
+ * @param {string} description - Descrição curta (ex: 'add_course_status').
+ * @returns {string} Caminho do arquivo criado.
+ */
+function createMigrationFile(description) {
+    const slug = String(description).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+    if (!slug) {
+        throw new Error('Informe uma descrição para a migration.');
+    }
+
+    const migrations = loadMigrationFiles();
+    const nextVersion = migrations.length > 0 ? migrations[migrations.length - 1].version + 1 : 1;
+    const fileName = `${String(nextVersion).padStart(3, '0')}_${slug}.js`;
+    const filePath = path.join(MIGRATIONS_DIR, fileName);
+
+    fs.writeFileSync(filePath, `// migrations/${fileName}
+
+/**
+ * Aplica a alteração.
+ * @param {Object} db - Conexão MySQL (mysql2/promise).
+ */
+async function up(db) {
+}
+
+/**
+ * Desfaz a alteração.
+ */
+async function down(db) {
+}
+
+module.exports = {
+    up,
+    down
+};
+`);
+    return filePath;
+}
+
+module.exports = {
+    migrate,
+    rollback,
+    getMigrationStatus,
+    createMigrationFile
+};
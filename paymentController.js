@@ -0,0 +1,428 @@
+// paymentController.js - Pedidos do usuário, webhooks de pagamento e checkout fake.
+
+const { pool } = require('./database');
+const { config } = require('./config');
+const { sendEmail } = require('./email');
+const { PAYMENT_EVENT_TYPES, getPaymentProvider } = require('./payments');
+
+// Itens que podem ser comprados por createItemOrder (cursos avulsos têm fluxo próprio, com cupons: ver purchaseCourse)
+const ORDER_ITEM_COLUMNS = {
+    bundle: 'bundle_id',
+    plan: 'plan_id',
+    gift: 'gift_id'
+};
+
+// ===================================
+// Processamento de Eventos de Pagamento
+// ===================================
+
+/**
+ * Libera o acesso comprado por um pedido pago: o curso, o pacote, mais um período da assinatura
+ * ou o código do presente (o destinatário resgata o curso depois, ver giftController.js).
+ */
+async function grantOrderAccess(connection, order) {
+    if (order.gift_id) {
+        await connection.execute(
+            "UPDATE CourseGifts SET status = 'DISPONIVEL' WHERE id = ? AND status = 'AGUARDANDO_PAGAMENTO'",
+            [order.gift_id]
+        );
+    } else if (order.bundle_id) {
+        // INSERT IGNORE: o usuário pode já ter o pacote por outro pedido
+        await connection.execute(
+            'INSERT IGNORE INTO BundlePurchases (user_id, bundle_id, order_id, amount_paid) VALUES (?, ?, ?, ?)',
+            [order.user_id, order.bundle_id, order.id, order.amount]
+        );
+    } else if (order.plan_id) {
+        // Renovação antes do vencimento soma o período ao final do atual; depois do vencimento, conta a partir de agora
+        await connection.execute(
+            `INSERT INTO Subscriptions (user_id, plan_id, current_period_end)
+             SELECT ?, sp.id, DATE_ADD(CURRENT_TIMESTAMP, INTERVAL sp.interval_months MONTH) FROM SubscriptionPlans sp WHERE sp.id = ?
+             ON DUPLICATE KEY UPDATE current_period_end =
+                 DATE_ADD(GREATEST(Subscriptions.current_period_end, CURRENT_TIMESTAMP), INTERVAL sp.interval_months MONTH)`,
+            [order.user_id, order.plan_id]
+        );
+    } else {
+        // INSERT IGNORE: o usuário pode já ter acesso por outro pedido
+        await connection.execute(
+            'INSERT IGNORE INTO Purchases (user_id, course_id, order_id, amount_paid, coupon_id) VALUES (?, ?, ?, ?, ?)',
+            [order.user_id, order.course_id, order.id, order.amount, order.coupon_id]
+        );
+    }
+}
+
+/**
+ * Remove o acesso liberado por um pedido reembolsado. Na assinatura, o período pago pelo pedido é descontado.
+ */
+async function revokeOrderAccess(connection, order) {
+    if (order.gift_id) {
+        // Cancela o código e, se já foi resgatado, remove o curso do destinatário
+        await connection.execute("UPDATE CourseGifts SET status = 'CANCELADO' WHERE id = ?", [order.gift_id]);
+        await connection.execute('DELETE FROM Purchases WHERE order_id = ?', [order.id]);
+    } else if (order.bundle_id) {
+        await connection.execute('DELETE FROM BundlePurchases WHERE order_id = ?', [order.id]);
+    } else if (order.plan_id) {
+        await connection.execute(
+            `UPDATE Subscriptions s JOIN SubscriptionPlans sp ON sp.id = s.plan_id
+             SET s.current_period_end = DATE_SUB(s.current_period_end, INTERVAL sp.interval_months MONTH)
+             WHERE s.user_id = ? AND s.plan_id = ?`,
+            [order.user_id, order.plan_id]
+        );
+    } else {
+        await connection.execute('DELETE FROM Purchases WHERE order_id = ?', [order.id]);
+    }
+}
+
+/**
+ * Envia ao destinatário o email com o código do presente (após a confirmação do pagamento).
+ */
+async function notifyGiftRecipient(giftId) {
+    const [gifts] = await pool.execute(
+        `SELECT g.code, g.recipient_email, g.recipient_name, g.message, c.name AS course_name,
+                u.name AS purchaser_name, u.locale AS purchaser_locale
+         FROM CourseGifts g
+         JOIN Courses c ON g.course_id = c.id
+         JOIN Users u ON g.purchaser_id = u.id
+         WHERE g.id = ? AND g.status = 'DISPONIVEL'`,
+        [giftId]
+    );
+    if (gifts.length === 0) return;
+
+    const gift = gifts[0];
+    // O destinatário pode não ter conta: usa o idioma de quem comprou
+    await sendEmail('course_gift', {
+        to: { email: gift.recipient_email, name: gift.recipient_name || gift.recipient_email },
+        locale: gift.purchaser_locale,
+        variables: {
+            recipientName: gift.recipient_name || '',
+            purchaserName: gift.purchaser_name,
+            courseName: gift.course_name,
+            message: gift.message || null,
+            code: gift.code,
+            redeemLink: `${config.gifts.redeemUrl}?code=${encodeURIComponent(gift.code)}`
+        }
+    });
+}
+
+/**
+ * Aplica um evento de pagamento (já validado pelo provedor) ao pedido correspondente.
+ * Eventos repetidos são ignorados graças ao registro em PaymentEvents.
+ * @param {string} providerName - Nome do provedor que enviou o evento.
+ * @param {{ eventId: string, type: string, reference: string, amount: number }} event - Evento normalizado.
+ * @returns {Promise<{ status: number, message: string }>} Resultado para a resposta HTTP.
+ */
+async function applyPaymentEvent(providerName, event) {
+    if (!event.eventId || !event.reference || !PAYMENT_EVENT_TYPES.includes(event.type)) {
+        return { status: 400, message: 'Evento de pagamento inválido.' };
+    }
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [orders] = await connection.execute(
+            `SELECT id, user_id, course_id, bundle_id, plan_id, gift_id, amount, coupon_id, status
+             FROM Orders WHERE provider = ? AND provider_reference = ? FOR UPDATE`,
+            [providerName, event.reference]
+        );
+        if (orders.length === 0) {
+            await connection.rollback();
+            return { status: 404, message: 'Pedido não encontrado para esta cobrança.' };
+        }
+        const order = orders[0];
+
+        try {
+            await connection.execute(
+                'INSERT INTO PaymentEvents (order_id, provider, event_id, event_type, payload) VALUES (?, ?, ?, ?, ?)',
+                [order.id, providerName, event.eventId, event.type, JSON.stringify(event)]
+            );
+        } catch (error) {
+            if (error.code === 'ER_DUP_ENTRY') {
+                await connection.rollback();
+                return { status: 200, message: 'Evento já processado.' };
+            }
+            throw error;
+        }
+
+        let message = `Evento ${event.type} registrado sem alteração no pedido (${order.status}).`;
+        let giftToNotify = null;
+
+        switch (event.type) {
+            case 'payment.succeeded':
+                // Um pagamento confirmado é aceito mesmo se o pedido já tiver falhado ou expirado.
+                if (['PENDENTE', 'FALHOU', 'EXPIRADO'].includes(order.status)) {
+                    if (event.amount !== undefined && Math.abs(Number(event.amount) - Number(order.amount)) >= 0.01) {
+                        await connection.rollback();
+                        console.error(`Valor pago (${event.amount}) difere do pedido #${order.id} (${order.amount}).`);
+                        return { status: 400, message: 'Valor pago não confere com o pedido.' };
+                    }
+                    await connection.execute(
+                        `UPDATE Orders SET status = 'PAGO', paid_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                        [order.id]
+                    );
+                    await grantOrderAccess(connection, order);
+                    giftToNotify = order.gift_id;
+                    message = `Pagamento do pedido #${order.id} confirmado e compra registrada.`;
+                }
+                break;
+
+            case 'payment.failed':
+                if (order.status === 'PENDENTE') {
+                    await connection.execute(`UPDATE Orders SET status = 'FALHOU' WHERE id = ?`, [order.id]);
+                    message = `Pagamento do pedido #${order.id} falhou.`;
+                }
+                break;
+
+            case 'payment.expired':
+                if (order.status === 'PENDENTE') {
+                    await connection.execute(`UPDATE Orders SET status = 'EXPIRADO' WHERE id = ?`, [order.id]);
+                    message = `Pedido #${order.id} expirado.`;
+                }
+                break;
+
+            case 'payment.refunded':
+                if (order.status === 'PAGO') {
+                    await connection.execute(`UPDATE Orders SET status = 'REEMBOLSADO' WHERE id = ?`, [order.id]);
+                    await revokeOrderAccess(connection, order);
+                    message = `Pedido #${order.id} reembolsado e acesso revogado.`;
+                }
+                break;
+        }
+
+        await connection.commit();
+        console.log(`[Pagamento ${providerName}] ${message}`);
+
+        // O pagamento já foi registrado; uma falha no email apenas o coloca na fila de reenvio.
+        if (giftToNotify) {
+            await notifyGiftRecipient(giftToNotify);
+        }
+        return { status: 200, message };
+
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+}
+
+/**
+ * Webhook do provedor de pagamento. A assinatura é validada pelo provedor
+ * sobre o corpo bruto da requisição (req.rawBody).
+ */
+async function handlePaymentWebhook(req, res) {
+    const provider = getPaymentProvider(req.params.provider);
+    if (!provider) {
+        return res.status(404).json({ message: 'Provedor de pagamento desconhecido.' });
+    }
+
+    let event;
+    try {
+        event = provider.parseWebhook(req.rawBody, req.headers);
+    } catch (error) {
+        console.warn(`Webhook rejeitado (${provider.name}):`, error.message);
+        return res.status(400).json({ message: 'Webhook inválido.' });
+    }
+
+    try {
+        const result = await applyPaymentEvent(provider.name, event);
+        res.status(result.status).json({ message: result.message });
+    } catch (error) {
+        console.error('Erro ao processar webhook de pagamento:', error);
+        res.status(500).json({ message: 'Erro interno ao processar webhook.' });
+    }
+}
+
+/**
+ * Checkout do provedor fake: simula o resultado do pagamento e dispara o mesmo
+ * fluxo de webhook assinado que um provedor real usaria.
+ * Body: { outcome: 'paid' | 'failed' | 'expired' | 'refunded' }
+ */
+async function simulateFakeCheckout(req, res) {
+    const { reference } = req.params;
+    const { outcome = 'paid' } = req.body;
+
+    const outcomeToEvent = {
+        paid: 'payment.succeeded',
+        failed: 'payment.failed',
+        expired: 'payment.expired',
+        refunded: 'payment.refunded'
+    };
+
+    if (!outcomeToEvent[outcome]) {
+        return res.status(400).json({ message: `Resultado inválido. Use: ${Object.keys(outcomeToEvent).join(', ')}.` });
+    }
+
+    const provider = getPaymentProvider('fake');
+
+    try {
+        const [orders] = await pool.execute(
+            'SELECT amount FROM Orders WHERE provider = ? AND provider_reference = ?',
+            [provider.name, reference]
+        );
+        if (orders.length === 0) {
+            return res.status(404).json({ message: 'Cobrança não encontrada.' });
+        }
+
+        const { rawBody, headers } = provider.buildSignedEvent(reference, outcomeToEvent[outcome], Number(orders[0].amount));
+        const event = provider.parseWebhook(rawBody, headers);
+        const result = await applyPaymentEvent(provider.name, event);
+
+        res.status(result.status).json({ message: result.message });
+    } catch (error) {
+        console.error('Erro no checkout fake:', error);
+        res.status(500).json({ message: 'Erro interno no checkout fake.' });
+    }
+}
+
+// ===================================
+// Pedidos de Pacotes e Assinaturas
+// ===================================
+
+/**
+ * Cria (ou reaproveita) o pedido PENDENTE de um pacote, plano ou presente e a cobrança no provedor de pagamento.
+ * O acesso é liberado quando o webhook confirmar o pagamento (ver grantOrderAccess).
+ * @param {Object} provider - Provedor de pagamento ativo.
+ * @param {number} userId - Comprador.
+ * @param {{ type: 'bundle'|'plan'|'gift', id: number, name: string, price: number }} item - Item comprado.
+ * @returns {Promise<{ error: string } | { reused: boolean, orderId: number, amount: number, currency: string, checkoutUrl: string, expiresAt: Date }>}
+ */
+async function createItemOrder(provider, userId, item) {
+    const column = ORDER_ITEM_COLUMNS[item.type];
+
+    // Expira pedidos pendentes vencidos deste usuário para o item
+    await pool.execute(
+        `UPDATE Orders SET status = 'EXPIRADO'
+         WHERE user_id = ? AND ${column} = ? AND status = 'PENDENTE' AND expires_at < CURRENT_TIMESTAMP`,
+        [userId, item.id]
+    );
+
+    // Reaproveita um pedido pendente válido com o mesmo preço (evita cobranças duplicadas)
+    const [pendingOrders] = await pool.execute(
+        `SELECT id, amount, currency, checkout_url, expires_at FROM Orders
+         WHERE user_id = ? AND ${column} = ? AND status = 'PENDENTE' AND provider = ? AND amount = ?
+         ORDER BY id DESC LIMIT 1`,
+        [userId, item.id, provider.name, item.price]
+    );
+    if (pendingOrders.length > 0) {
+        const order = pendingOrders[0];
+        return {
+            reused: true,
+            orderId: order.id,
+            amount: Number(order.amount),
+            currency: order.currency,
+            checkoutUrl: order.checkout_url,
+            expiresAt: order.expires_at
+        };
+    }
+
+    const [result] = await pool.execute(
+        `INSERT INTO Orders (user_id, ${column}, original_amount, amount, currency, provider, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?, DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? MINUTE))`,
+        [userId, item.id, item.price, item.price, config.payment.currency, provider.name, config.payment.orderExpirationMinutes]
+    );
+    const orderId = result.insertId;
+
+    let charge;
+    try {
+        charge = await provider.createCharge({
+            id: orderId,
+            userId,
+            courseId: null,
+            courseName: item.name,
+            amount: Number(item.price),
+            currency: config.payment.currency
+        });
+    } catch (chargeError) {
+        console.error('Erro ao criar cobrança no provedor de pagamento:', chargeError.message);
+        await pool.execute(`UPDATE Orders SET status = 'FALHOU' WHERE id = ?`, [orderId]);
+        return { error: 'Falha ao iniciar o pagamento. Tente novamente.' };
+    }
+
+    await pool.execute(
+        'UPDATE Orders SET provider_reference = ?, checkout_url = ? WHERE id = ?',
+        [charge.reference, charge.checkoutUrl, orderId]
+    );
+    const [orderRows] = await pool.execute('SELECT expires_at FROM Orders WHERE id = ?', [orderId]);
+
+    return {
+        reused: false,
+        orderId,
+        amount: Number(item.price),
+        currency: config.payment.currency,
+        checkoutUrl: charge.checkoutUrl,
+        expiresAt: orderRows[0].expires_at
+    };
+}
+
+// ===================================
+// Pedidos do Usuário
+// ===================================
+
+/**
+ * Lista os pedidos de compra do usuário logado.
+ */
+async function getUserOrders(req, res) {
+    const userId = req.userId;
+
+    try {
+        const [orders] = await pool.execute(
+            `SELECT o.id, o.course_id, o.bundle_id, o.plan_id, o.gift_id, c.name AS course_name,
+                    COALESCE(c.name, b.name, sp.name, gc.name) AS item_name,
+                    o.original_amount, o.discount_amount, o.amount, o.currency, o.status,
+                    o.checkout_url, o.expires_at, o.paid_at, o.created_at
+             FROM Orders o
+             LEFT JOIN Courses c ON o.course_id = c.id
+             LEFT JOIN Bundles b ON o.bundle_id = b.id
+             LEFT JOIN SubscriptionPlans sp ON o.plan_id = sp.id
+             LEFT JOIN CourseGifts g ON o.gift_id = g.id
+             LEFT JOIN Courses gc ON g.course_id = gc.id
+             WHERE o.user_id = ?
+             ORDER BY o.created_at DESC`,
+            [userId]
+        );
+        res.json(orders);
+    } catch (error) {
+        console.error('Erro ao listar pedidos:', error);
+        res.status(500).json({ message: 'Erro interno ao listar pedidos.' });
+    }
+}
+
+/**
+ * Detalhe de um pedido do usuário logado (usado para acompanhar a confirmação do pagamento).
+ */
+async function getUserOrder(req, res) {
+    const userId = req.userId;
+    const { orderId } = req.params;
+
+    try {
+        const [orders] = await pool.execute(
+            `SELECT o.id, o.course_id, o.bundle_id, o.plan_id, o.gift_id, c.name AS course_name,
+                    COALESCE(c.name, b.name, sp.name, gc.name) AS item_name,
+                    o.original_amount, o.discount_amount, o.amount, o.currency, o.status,
+                    o.checkout_url, o.expires_at, o.paid_at, o.created_at
+             FROM Orders o
+             LEFT JOIN Courses c ON o.course_id = c.id
+             LEFT JOIN Bundles b ON o.bundle_id = b.id
+             LEFT JOIN SubscriptionPlans sp ON o.plan_id = sp.id
+             LEFT JOIN CourseGifts g ON o.gift_id = g.id
+             LEFT JOIN Courses gc ON g.course_id = gc.id
+             WHERE o.id = ? AND o.user_id = ?`,
+            [orderId, userId]
+        );
+        if (orders.length === 0) {
+            return res.status(404).json({ message: 'Pedido não encontrado.' });
+        }
+        res.json(orders[0]);
+    } catch (error) {
+        console.error('Erro ao buscar pedido:', error);
+        res.status(500).json({ message: 'Erro interno ao buscar pedido.' });
+    }
+}
+
+module.exports = {
+    createItemOrder,
+    handlePaymentWebhook,
+    simulateFakeCheckout,
+    getUserOrders,
+    getUserOrder
+};
@@ -0,0 +1,103 @@
+// payments.js - Abstração dos provedores de pagamento (checkout, webhooks e estornos).
+
+// Cada provedor implementa a mesma interface:
+//   createCharge(order)               -> { reference, checkoutUrl }
+//                                        order: { id, userId, courseId, courseName, amount, currency }
+//                                        (em pacotes e assinaturas, courseId é null e courseName traz o nome do item)
+//   parseWebhook(rawBody, headers)    -> { eventId, type, reference, amount } (lança erro se a assinatura for inválida)
+//   refundCharge(reference, amount)   -> estorna uma cobrança já paga
+// Os tipos de evento normalizados são: 'payment.succeeded', 'payment.failed',
+// 'payment.expired' e 'payment.refunded'.
+//
+// Para integrar Stripe, Mercado Pago/PIX etc., crie um objeto com a mesma interface
+// (convertendo os eventos do provedor para os tipos acima) e registre-o em `providers`.
+
+const crypto = require('crypto');
+const { config } = require('./config');
+
+const PAYMENT_EVENT_TYPES = ['payment.succeeded', 'payment.failed', 'payment.expired', 'payment.refunded'];
+
+// ===================================
+// Provedor Fake (Testes Locais)
+// ===================================
+
+// Sem segredo configurado, o provedor fake usa um segredo aleatório por processo.
+const fakeWebhookSecret = config.payment.webhookSecret || crypto.randomBytes(32).toString('hex');
+const FAKE_SIGNATURE_HEADER = 'x-fake-signature';
+
+function signFakePayload(rawBody) {
+    return crypto.createHmac('sha256', fakeWebhookSecret).update(rawBody).digest('hex');
+}
+
+const fakeProvider = {
+    name: 'fake',
+
+    async createCharge(order) {
+        const reference = `fake_${crypto.randomBytes(12).toString('hex')}`;
+        return {
+            reference,
+            checkoutUrl: `${config.publicUrl}/payments/fake/checkout/${reference}`
+        };
+    },
+
+    parseWebhook(rawBody, headers) {
+        const signature = headers[FAKE_SIGNATURE_HEADER];
+        if (!rawBody || !signature) {
+            throw new Error('Assinatura do webhook ausente.');
+        }
+
+        const expected = Buffer.from(signFakePayload(rawBody), 'hex');
+        const received = Buffer.from(String(signature), 'hex');
+        if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+            throw new Error('Assinatura do webhook inválida.');
+        }
+
+        const event = JSON.parse(rawBody.toString());
+        return {
+            eventId: event.id,
+            type: event.type,
+            reference: event.reference,
+            amount: event.amount
+        };
+    },
+
+    async refundCharge(reference, amount) {
+        console.log(`[Pagamento Fake] Estorno de ${amount} para a cobrança ${reference}.`);
+    },
+
+    /**
+     * Gera um webhook assinado, como o provedor real enviaria (usado pela página de checkout fake).
+     * @param {string} reference - Referência da cobrança.
+     * @param {string} type - Tipo normalizado do evento.
+     * @param {number} amount - Valor pago.
+     * @returns {{ rawBody: Buffer, headers: Object }}
+     */
+    buildSignedEvent(reference, type, amount) {
+        const rawBody = Buffer.from(JSON.stringify({
+            id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+            type,
+            reference,
+            amount
+        }));
+        return { rawBody, headers: { [FAKE_SIGNATURE_HEADER]: signFakePayload(rawBody) } };
+    }
+};
+
+// Registro dos provedores disponíveis
+const providers = {
+    fake: fakeProvider
+};
+
+/**
+ * Retorna um provedor de pagamento pelo nome (padrão: o configurado em PAYMENT_PROVIDER).
+ * @param {string} [name] - Nome do provedor.
+ * @returns {Object|null} Provedor ou null se não existir.
+ */
+function getPaymentProvider(name = config.payment.provider) {
+    return providers[name] || null;
+}
+
+module.exports = {
+    PAYMENT_EVENT_TYPES,
+    getPaymentProvider
+};
@@ -0,0 +1,145 @@
+// progressController.js - Progresso do usuário nas aulas (iniciada, concluída e posição do vídeo).
+
+const { pool } = require('./database');
+const { getLessonAccess } = require('./courseAccess');
+
+/**
+ * Calcula o percentual de conclusão (0 a 100).
+ */
+function calculateProgressPercentage(completedLessons, totalLessons) {
+    return totalLessons > 0 ? Math.round((completedLessons / totalLessons) * 100) : 0;
+}
+
+/**
+ * Retorna o progresso do usuário em um curso (aulas publicadas concluídas / total de aulas publicadas).
+ * @returns {Promise<{ totalLessons: number, completedLessons: number, progressPercentage: number }>}
+ */
+async function getCourseProgress(userId, courseId) {
+    const [rows] = await pool.execute(
+        `SELECT COUNT(l.id) AS total_lessons, COUNT(lp.completed_at) AS completed_lessons
+         FROM Lessons l
+         JOIN Modules m ON l.module_id = m.id
+         LEFT JOIN LessonProgress lp ON lp.lesson_id = l.id AND lp.user_id = ?
+         WHERE m.course_id = ? AND l.status = 'PUBLICADO'`,
+        [userId, courseId]
+    );
+
+    const totalLessons = Number(rows[0].total_lessons);
+    const completedLessons = Number(rows[0].completed_lessons);
+    return { totalLessons, completedLessons, progressPercentage: calculateProgressPercentage(completedLessons, totalLessons) };
+}
+
+/**
+ * Garante que o usuário comprou o curso da aula e que ela já foi liberada (Drip Content).
+ * Envia a resposta de erro e retorna null caso contrário.
+ */
+async function ensureLessonAccess(req, res) {
+    const access = await getLessonAccess(req.userId, req.params.lessonId);
+
+    if (!access.lesson) {
+        res.status(404).json({ message: 'Aula não encontrada.' });
+        return null;
+    }
+    if (!access.hasPurchase) {
+        res.status(403).json({ message: 'Acesso negado. Você precisa comprar este curso para ver o conteúdo.' });
+        return null;
+    }
+    if (!access.isReleased) {
+        let message = 'Conclua a aula anterior para liberar esta aula.';
+        if (access.requiredQuizId) {
+            message = 'Seja aprovado no questionário do módulo anterior para liberar esta aula.';
+        } else if (access.releaseDate) {
+            message = `Esta aula será liberada em ${access.releaseDate.toISOString().split('T')[0]}.`;
+        }
+        res.status(403).json({ message, requiredQuizId: access.requiredQuizId });
+        return null;
+    }
+    return access.lesson;
+}
+
+// ===================================
+// Rotas de Progresso (Logado)
+// ===================================
+
+/**
+ * Marca uma aula como iniciada.
+ */
+async function markLessonStarted(req, res) {
+    try {
+        const lesson = await ensureLessonAccess(req, res);
+        if (!lesson) return;
+
+        await pool.execute(
+            `INSERT INTO LessonProgress (user_id, lesson_id) VALUES (?, ?)
+             ON DUPLICATE KEY UPDATE updated_at = CURRENT_TIMESTAMP`,
+            [req.userId, lesson.id]
+        );
+
+        res.json({ message: 'Aula marcada como iniciada.', lessonId: lesson.id });
+
+    } catch (error) {
+        console.error('Erro ao marcar aula como iniciada:', error);
+        res.status(500).json({ message: 'Erro interno ao registrar progresso.' });
+    }
+}
+
+/**
+ * Marca uma aula como concluída e retorna o progresso atualizado do curso.
+ */
+async function markLessonCompleted(req, res) {
+    try {
+        const lesson = await ensureLessonAccess(req, res);
+        if (!lesson) return;
+
+        await pool.execute(
+            `INSERT INTO LessonProgress (user_id, lesson_id, completed_at) VALUES (?, ?, CURRENT_TIMESTAMP)
+             ON DUPLICATE KEY UPDATE completed_at = COALESCE(completed_at, CURRENT_TIMESTAMP)`,
+            [req.userId, lesson.id]
+        );
+
+        const progress = await getCourseProgress(req.userId, lesson.course_id);
+
+        res.json({ message: 'Aula marcada como concluída.', lessonId: lesson.id, courseId: lesson.course_id, ...progress });
+
+    } catch (error) {
+        console.error('Erro ao marcar aula como concluída:', error);
+        res.status(500).json({ message: 'Erro interno ao registrar progresso.' });
+    }
+}
+
+/**
+ * Salva a última posição assistida do vídeo (em segundos).
+ * Body: { positionSeconds: 125 }
+ */
+async function saveLessonPosition(req, res) {
+    const positionSeconds = parseInt(req.body.positionSeconds);
+
+    if (isNaN(positionSeconds) || positionSeconds < 0) {
+        return res.status(400).json({ message: 'A posição do vídeo (positionSeconds) deve ser um número inteiro não negativo.' });
+    }
+
+    try {
+        const lesson = await ensureLessonAccess(req, res);
+        if (!lesson) return;
+
+        await pool.execute(
+            `INSERT INTO LessonProgress (user_id, lesson_id, last_position_seconds) VALUES (?, ?, ?)
+             ON DUPLICATE KEY UPDATE last_position_seconds = VALUES(last_position_seconds)`,
+            [req.userId, lesson.id, positionSeconds]
+        );
+
+        res.json({ message: 'Posição do vídeo salva.', lessonId: lesson.id, positionSeconds });
+
+    } catch (error) {
+        console.error('Erro ao salvar posição do vídeo:', error);
+        res.status(500).json({ message: 'Erro interno ao registrar progresso.' });
+    }
+}
+
+module.exports = {
+    calculateProgressPercentage,
+    getCourseProgress,
+    markLessonStarted,
+    markLessonCompleted,
+    saveLessonPosition
+};
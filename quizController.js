@@ -0,0 +1,606 @@
+// quizController.js - Questionários avaliativos: montagem pelo Admin, tentativas e correção no servidor.
+
+const { pool } = require('./database');
+const { findCourseAccess, getCourseReleaseSchedule } = require('./courseAccess');
+
+const QUESTION_TYPES = ['MULTIPLA_ESCOLHA', 'VERDADEIRO_FALSO'];
+const TRUE_FALSE_OPTIONS = ['Verdadeiro', 'Falso'];
+
+// As alternativas corretas nunca são enviadas ao aluno antes do envio das respostas.
+// Depois do envio, o gabarito só é revelado quando o aluno é aprovado ou esgota as tentativas.
+
+/**
+ * Valida os campos de um questionário enviados pelo Admin.
+ * @param {Object} body - Corpo da requisição.
+ * @param {boolean} partial - true na edição (campos ausentes são ignorados).
+ * @returns {string|null} Mensagem de erro ou null se válido.
+ */
+function validateQuizFields({ moduleId, lessonId, title, passScore, maxAttempts, questions }, partial) {
+    if (!partial) {
+        if (!title || questions === undefined) {
+            return 'Título e questões são obrigatórios.';
+        }
+        if (Boolean(moduleId) === Boolean(lessonId)) {
+            return 'Informe o módulo (moduleId) ou a aula (lessonId) do questionário, apenas um deles.';
+        }
+    }
+    if (title !== undefined && !String(title).trim()) {
+        return 'O título do questionário não pode ficar vazio.';
+    }
+    if (passScore !== undefined && (!Number.isInteger(Number(passScore)) || Number(passScore) < 0 || Number(passScore) > 100)) {
+        return 'A nota mínima deve ser um número inteiro de 0 a 100.';
+    }
+    if (maxAttempts !== undefined && maxAttempts !== null && (!Number.isInteger(Number(maxAttempts)) || Number(maxAttempts) < 1)) {
+        return 'O limite de tentativas deve ser um número inteiro maior que zero (ou null para ilimitado).';
+    }
+    if (questions !== undefined) {
+        return validateQuestions(questions);
+    }
+    return null;
+}
+
+/**
+ * Valida a lista de questões.
+ * Múltipla escolha: { type, prompt, points?, options: [{ text, isCorrect }] } com uma única alternativa correta.
+ * Verdadeiro/falso: { type, prompt, points?, correctAnswer: true|false }.
+ * @returns {string|null} Mensagem de erro ou null se válido.
+ */
+function validateQuestions(questions) {
+    if (!Array.isArray(questions) || questions.length === 0) {
+        return 'O questionário deve ter pelo menos uma questão.';
+    }
+
+    for (const [index, question] of questions.entries()) {
+        const position = index + 1;
+        if (!question || !QUESTION_TYPES.includes(question.type)) {
+            return `Questão ${position}: tipo inválido. Use: ${QUESTION_TYPES.join(', ')}.`;
+        }
+        if (!question.prompt || !String(question.prompt).trim()) {
+            return `Questão ${position}: o enunciado é obrigatório.`;
+        }
+        if (question.points !== undefined && (!Number.isInteger(Number(question.points)) || Number(question.points) < 1)) {
+            return `Questão ${position}: a pontuação deve ser um número inteiro maior que zero.`;
+        }
+
+        if (question.type === 'VERDADEIRO_FALSO') {
+            if (typeof question.correctAnswer !== 'boolean') {
+                return `Questão ${position}: informe a resposta correta (correctAnswer: true ou false).`;
+            }
+            continue;
+        }
+
+        const { options } = question;
+        if (!Array.isArray(options) || options.length < 2) {
+            return `Questão ${position}: informe pelo menos duas alternativas.`;
+        }
+        if (options.some(option => !option || !option.text || !String(option.text).trim())) {
+            return `Questão ${position}: todas as alternativas precisam de texto.`;
+        }
+        if (options.filter(option => option.isCorrect === true).length !== 1) {
+            return `Questão ${position}: marque exatamente uma alternativa correta.`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Substitui as questões (e alternativas) de um questionário.
+ */
+async function setQuizQuestions(connection, quizId, questions) {
+    await connection.execute('DELETE FROM QuizQuestions WHERE quiz_id = ?', [quizId]);
+
+    for (const [index, question] of questions.entries()) {
+        const [result] = await connection.execute(
+            'INSERT INTO QuizQuestions (quiz_id, type, prompt, points, order_index) VALUES (?, ?, ?, ?, ?)',
+            [quizId, question.type, String(question.prompt).trim(), question.points !== undefined ? Number(question.points) : 1, index + 1]
+        );
+
+        const options = question.type === 'VERDADEIRO_FALSO'
+            ? TRUE_FALSE_OPTIONS.map((text, optionIndex) => ({ text, isCorrect: question.correctAnswer === (optionIndex === 0) }))
+            : question.options;
+
+        for (const [optionIndex, option] of options.entries()) {
+            await connection.execute(
+                'INSERT INTO QuizOptions (question_id, text, is_correct, order_index) VALUES (?, ?, ?, ?)',
+                [result.insertId, String(option.text).trim(), option.isCorrect === true, optionIndex + 1]
+            );
+        }
+    }
+}
+
+/**
+ * Busca as questões de um questionário com as alternativas.
+ * @param {number} quizId - ID do questionário.
+ * @param {boolean} includeAnswers - Inclui o gabarito (isCorrect). Apenas para admins ou após a correção.
+ * @returns {Promise<Array<{ id, type, prompt, points, options: Array }>>}
+ */
+async function getQuizQuestions(quizId, includeAnswers) {
+    const [rows] = await pool.execute(
+        `SELECT q.id AS question_id, q.type, q.prompt, q.points, o.id AS option_id, o.text, o.is_correct
+         FROM QuizQuestions q
+         JOIN QuizOptions o ON o.question_id = q.id
+         WHERE q.quiz_id = ?
+         ORDER BY q.order_index ASC, q.id ASC, o.order_index ASC, o.id ASC`,
+        [quizId]
+    );
+
+    const questions = [];
+    for (const row of rows) {
+        let question = questions[questions.length - 1];
+        if (!question || question.id !== row.question_id) {
+            question = { id: row.question_id, type: row.type, prompt: row.prompt, points: row.points, options: [] };
+            questions.push(question);
+        }
+        const option = { id: row.option_id, text: row.text };
+        if (includeAnswers) option.isCorrect = Boolean(row.is_correct);
+        question.options.push(option);
+    }
+    return questions;
+}
+
+/**
+ * Busca um questionário com o curso ao qual pertence.
+ * @returns {Promise<Object|null>}
+ */
+async function findQuiz(quizId) {
+    const [quizzes] = await pool.execute(
+        `SELECT q.id, q.module_id, q.lesson_id, q.title, q.description, q.pass_score, q.max_attempts, q.required_to_advance,
+                q.created_at, m.course_id, ql.status AS lesson_status
+         FROM Quizzes q
+         LEFT JOIN Lessons ql ON q.lesson_id = ql.id
+         JOIN Modules m ON m.id = COALESCE(q.module_id, ql.module_id)
+         WHERE q.id = ?`,
+        [quizId]
+    );
+    return quizzes[0] || null;
+}
+
+/**
+ * Resumo das tentativas do aluno em um questionário.
+ * @returns {Promise<{ attemptsUsed: number, attemptsLeft: number|null, bestScore: number|null, passed: boolean }>}
+ */
+async function getAttemptSummary(executor, quiz, userId) {
+    const [[summary]] = await executor.execute(
+        `SELECT COUNT(*) AS attempts_used, MAX(score) AS best_score, COALESCE(MAX(passed), 0) AS passed
+         FROM QuizAttempts WHERE quiz_id = ? AND user_id = ?`,
+        [quiz.id, userId]
+    );
+
+    const attemptsUsed = Number(summary.attempts_used);
+    return {
+        attemptsUsed,
+        attemptsLeft: quiz.max_attempts !== null ? Math.max(quiz.max_attempts - attemptsUsed, 0) : null,
+        bestScore: summary.best_score !== null ? Number(summary.best_score) : null,
+        passed: Boolean(Number(summary.passed))
+    };
+}
+
+/**
+ * Lista os questionários de um curso com o resultado do aluno, agrupados por módulo e por aula.
+ * Usado no conteúdo do curso (sem as questões).
+ * @returns {Promise<{ byModule: Object<number, Array>, byLesson: Object<number, Array> }>}
+ */
+async function getCourseQuizzes(userId, courseId) {
+    const [rows] = await pool.execute(
+        `SELECT q.id, q.module_id, q.lesson_id, q.title, q.pass_score, q.max_attempts, q.required_to_advance,
+                COUNT(qa.id) AS attempts_used, MAX(qa.score) AS best_score, COALESCE(MAX(qa.passed), 0) AS passed
+         FROM Quizzes q
+         LEFT JOIN Lessons ql ON q.lesson_id = ql.id
+         JOIN Modules m ON m.id = COALESCE(q.module_id, ql.module_id)
+         LEFT JOIN QuizAttempts qa ON qa.quiz_id = q.id AND qa.user_id = ?
+         WHERE m.course_id = ? AND (ql.id IS NULL OR ql.status = 'PUBLICADO')
+         GROUP BY q.id
+         ORDER BY q.id ASC`,
+        [userId, courseId]
+    );
+
+    const byModule = {};
+    const byLesson = {};
+    for (const row of rows) {
+        const attemptsUsed = Number(row.attempts_used);
+        const quiz = {
+            id: row.id,
+            title: row.title,
+            passScore: row.pass_score,
+            maxAttempts: row.max_attempts,
+            requiredToAdvance: Boolean(row.required_to_advance),
+            attemptsUsed,
+            attemptsLeft: row.max_attempts !== null ? Math.max(row.max_attempts - attemptsUsed, 0) : null,
+            bestScore: row.best_score !== null ? Number(row.best_score) : null,
+            passed: Boolean(Number(row.passed))
+        };
+        const group = row.lesson_id ? byLesson : byModule;
+        const key = row.lesson_id || row.module_id;
+        (group[key] = group[key] || []).push(quiz);
+    }
+    return { byModule, byLesson };
+}
+
+/**
+ * Garante que o aluno pode fazer o questionário: tem acesso ao curso e o conteúdo já foi liberado
+ * (a aula do questionário ou, para questionários de módulo, a primeira aula do módulo).
+ * Envia a resposta de erro e retorna o questionário ou null.
+ */
+async function ensureQuizAccess(req, res) {
+    const quiz = await findQuiz(req.params.quizId);
+    if (!quiz || (quiz.lesson_id && quiz.lesson_status !== 'PUBLICADO')) {
+        res.status(404).json({ message: 'Questionário não encontrado.' });
+        return null;
+    }
+
+    const access = await findCourseAccess(req.userId, quiz.course_id);
+    if (!access) {
+        res.status(403).json({ message: 'Acesso negado. Você precisa comprar este curso para ver o conteúdo.' });
+        return null;
+    }
+
+    let lessonId = quiz.lesson_id;
+    if (!lessonId) {
+        const [lessons] = await pool.execute(
+            "SELECT id FROM Lessons WHERE module_id = ? AND status = 'PUBLICADO' ORDER BY order_index ASC, id ASC LIMIT 1",
+            [quiz.module_id]
+        );
+        lessonId = lessons.length > 0 ? lessons[0].id : null;
+    }
+
+    if (lessonId) {
+        const schedule = await getCourseReleaseSchedule(req.userId, quiz.course_id, access.startedAt);
+        const release = schedule.get(lessonId);
+        if (release && !release.isReleased) {
+            res.status(403).json({ message: 'Este questionário ainda não foi liberado.', requiredQuizId: release.requiredQuizId });
+            return null;
+        }
+    }
+    return quiz;
+}
+
+/**
+ * Formata um questionário para a resposta.
+ */
+function formatQuiz(quiz) {
+    return {
+        id: quiz.id,
+        moduleId: quiz.module_id,
+        lessonId: quiz.lesson_id,
+        title: quiz.title,
+        description: quiz.description,
+        passScore: quiz.pass_score,
+        maxAttempts: quiz.max_attempts,
+        requiredToAdvance: Boolean(quiz.required_to_advance)
+    };
+}
+
+// ===================================
+// Rotas de Usuário (Logado)
+// ===================================
+
+/**
+ * Retorna o questionário com as questões (sem o gabarito) e o resumo das tentativas do aluno.
+ */
+async function getQuiz(req, res) {
+    try {
+        const quiz = await ensureQuizAccess(req, res);
+        if (!quiz) return;
+
+        const questions = await getQuizQuestions(quiz.id, false);
+        const summary = await getAttemptSummary(pool, quiz, req.userId);
+
+        res.json({ ...formatQuiz(quiz), questions, ...summary });
+    } catch (error) {
+        console.error('Erro ao buscar questionário:', error);
+        res.status(500).json({ message: 'Erro interno ao buscar questionário.' });
+    }
+}
+
+/**
+ * Envia as respostas de uma tentativa. A correção é feita no servidor.
+ * Body: { answers: [{ questionId, optionId }] } (questões sem resposta contam como erradas)
+ */
+async function submitQuizAttempt(req, res) {
+    const userId = req.userId;
+    const { answers } = req.body;
+
+    if (!Array.isArray(answers)) {
+        return res.status(400).json({ message: 'Envie as respostas no formato answers: [{ questionId, optionId }].' });
+    }
+
+    const selectedByQuestion = new Map();
+    for (const answer of answers) {
+        if (!answer || !Number.isInteger(Number(answer.questionId)) || !Number.isInteger(Number(answer.optionId))) {
+            return res.status(400).json({ message: 'Cada resposta deve ter questionId e optionId numéricos.' });
+        }
+        if (selectedByQuestion.has(Number(answer.questionId))) {
+            return res.status(400).json({ message: 'Envie apenas uma resposta por questão.' });
+        }
+        selectedByQuestion.set(Number(answer.questionId), Number(answer.optionId));
+    }
+
+    let connection;
+    try {
+        const quiz = await ensureQuizAccess(req, res);
+        if (!quiz) return;
+
+        const questions = await getQuizQuestions(quiz.id, true);
+        for (const [questionId, optionId] of selectedByQuestion) {
+            const question = questions.find(item => item.id === questionId);
+            if (!question) {
+                return res.status(400).json({ message: 'Uma das questões respondidas não pertence a este questionário.' });
+            }
+            if (!question.options.some(option => option.id === optionId)) {
+                return res.status(400).json({ message: 'Uma das alternativas escolhidas não pertence à questão.' });
+            }
+        }
+
+        // Correção
+        let pointsEarned = 0;
+        let pointsTotal = 0;
+        const results = questions.map(question => {
+            const optionId = selectedByQuestion.has(question.id) ? selectedByQuestion.get(question.id) : null;
+            const correctOption = question.options.find(option => option.isCorrect);
+            const isCorrect = Boolean(correctOption) && correctOption.id === optionId;
+            pointsTotal += question.points;
+            if (isCorrect) pointsEarned += question.points;
+            return { questionId: question.id, optionId, isCorrect, correctOptionId: correctOption ? correctOption.id : null };
+        });
+
+        const score = pointsTotal > 0 ? Math.round((pointsEarned / pointsTotal) * 100) : 0;
+        const passed = score >= quiz.pass_score;
+
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        // Trava o questionário para que tentativas simultâneas não ultrapassem o limite
+        await connection.execute('SELECT id FROM Quizzes WHERE id = ? FOR UPDATE', [quiz.id]);
+        const before = await getAttemptSummary(connection, quiz, userId);
+        if (before.attemptsLeft === 0) {
+            await connection.rollback();
+            return res.status(409).json({ message: 'Você já usou todas as tentativas deste questionário.' });
+        }
+
+        const [result] = await connection.execute(
+            'INSERT INTO QuizAttempts (quiz_id, user_id, score, points_earned, points_total, passed) VALUES (?, ?, ?, ?, ?, ?)',
+            [quiz.id, userId, score, pointsEarned, pointsTotal, passed]
+        );
+        for (const answer of results) {
+            await connection.execute(
+                'INSERT INTO QuizAttemptAnswers (attempt_id, question_id, option_id, is_correct) VALUES (?, ?, ?, ?)',
+                [result.insertId, answer.questionId, answer.optionId, answer.isCorrect]
+            );
+        }
+
+        const summary = await getAttemptSummary(connection, quiz, userId);
+        await connection.commit();
+
+        // O gabarito só é revelado após a aprovação ou quando não há mais tentativas
+        const revealAnswers = summary.passed || summary.attemptsLeft === 0;
+        res.status(201).json({
+            message: passed ? 'Parabéns! Você foi aprovado no questionário.' : 'Você não atingiu a nota mínima nesta tentativa.',
+            attemptId: result.insertId,
+            score,
+            passScore: quiz.pass_score,
+            passed,
+            pointsEarned,
+            pointsTotal,
+            results: results.map(({ correctOptionId, ...answer }) => (revealAnswers ? { ...answer, correctOptionId } : answer)),
+            ...summary
+        });
+
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error('Erro ao enviar tentativa do questionário:', error);
+        res.status(500).json({ message: 'Erro interno ao enviar tentativa do questionário.' });
+    } finally {
+        if (connection) connection.release();
+    }
+}
+
+/**
+ * Histórico de tentativas do aluno em um questionário, com a melhor nota.
+ */
+async function getQuizAttempts(req, res) {
+    try {
+        const quiz = await ensureQuizAccess(req, res);
+        if (!quiz) return;
+
+        const [attempts] = await pool.execute(
+            `SELECT id, score, points_earned, points_total, passed, submitted_at
+             FROM QuizAttempts WHERE quiz_id = ? AND user_id = ?
+             ORDER BY submitted_at DESC, id DESC`,
+            [quiz.id, req.userId]
+        );
+        const summary = await getAttemptSummary(pool, quiz, req.userId);
+
+        res.json({
+            quiz: formatQuiz(quiz),
+            ...summary,
+            attempts: attempts.map(attempt => ({ ...attempt, passed: Boolean(attempt.passed) }))
+        });
+    } catch (error) {
+        console.error('Erro ao listar tentativas do questionário:', error);
+        res.status(500).json({ message: 'Erro interno ao listar tentativas do questionário.' });
+    }
+}
+
+// ===================================
+// Rotas do Admin
+// ===================================
+
+/**
+ * Lista os questionários de um curso, com a quantidade de tentativas e a taxa de aprovação.
+ */
+async function listCourseQuizzes(req, res) {
+    const { courseId } = req.params;
+
+    try {
+        const [quizzes] = await pool.execute(
+            `SELECT q.*, (SELECT COUNT(*) FROM QuizQuestions qq WHERE qq.quiz_id = q.id) AS question_count,
+                    (SELECT COUNT(*) FROM QuizAttempts qa WHERE qa.quiz_id = q.id) AS attempt_count,
+                    (SELECT COUNT(DISTINCT qa.user_id) FROM QuizAttempts qa WHERE qa.quiz_id = q.id AND qa.passed = TRUE) AS passed_users
+             FROM Quizzes q
+             LEFT JOIN Lessons ql ON q.lesson_id = ql.id
+             JOIN Modules m ON m.id = COALESCE(q.module_id, ql.module_id)
+             WHERE m.course_id = ?
+             ORDER BY m.order_index ASC, q.id ASC`,
+            [courseId]
+        );
+        res.json(quizzes);
+    } catch (error) {
+        console.error('Erro ao listar questionários:', error);
+        res.status(500).json({ message: 'Erro interno ao listar questionários.' });
+    }
+}
+
+/**
+ * Detalhe de um questionário com as questões e o gabarito.
+ */
+async function getAdminQuiz(req, res) {
+    try {
+        const quiz = await findQuiz(req.params.quizId);
+        if (!quiz) {
+            return res.status(404).json({ message: 'Questionário não encontrado.' });
+        }
+
+        const questions = await getQuizQuestions(quiz.id, true);
+        res.json({ ...formatQuiz(quiz), courseId: quiz.course_id, questions });
+    } catch (error) {
+        console.error('Erro ao buscar questionário:', error);
+        res.status(500).json({ message: 'Erro interno ao buscar questionário.' });
+    }
+}
+
+/**
+ * Cria um questionário em um módulo ou aula.
+ * Body: { moduleId | lessonId, title, description?, passScore? (padrão 70), maxAttempts?, requiredToAdvance?, questions: [...] }
+ */
+async function createQuiz(req, res) {
+    const { moduleId, lessonId, title, description, passScore, maxAttempts, requiredToAdvance, questions } = req.body;
+
+    const validationError = validateQuizFields(req.body, false);
+    if (validationError) {
+        return res.status(400).json({ message: validationError });
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const [result] = await connection.execute(
+            `INSERT INTO Quizzes (module_id, lesson_id, title, description, pass_score, max_attempts, required_to_advance)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [
+                moduleId || null,
+                lessonId || null,
+                String(title).trim(),
+                description || null,
+                passScore !== undefined ? Number(passScore) : 70,
+                maxAttempts !== undefined && maxAttempts !== null ? Number(maxAttempts) : null,
+                Boolean(requiredToAdvance)
+            ]
+        );
+        await setQuizQuestions(connection, result.insertId, questions);
+
+        await connection.commit();
+        res.status(201).json({ message: 'Questionário criado com sucesso!', quizId: result.insertId });
+
+    } catch (error) {
+        if (connection) await connection.rollback();
+        if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+            return res.status(404).json({ message: moduleId ? 'Módulo não encontrado.' : 'Aula não encontrada.' });
+        }
+        console.error('Erro ao criar questionário:', error);
+        res.status(500).json({ message: 'Erro interno ao criar questionário.' });
+    } finally {
+        if (connection) connection.release();
+    }
+}
+
+/**
+ * Atualiza um questionário (campos parciais).
+ * As questões só podem ser substituídas enquanto ninguém fez o questionário (o histórico das tentativas depende delas).
+ */
+async function updateQuiz(req, res) {
+    const { quizId } = req.params;
+    const { title, description, passScore, maxAttempts, requiredToAdvance, questions } = req.body;
+
+    const validationError = validateQuizFields(req.body, true);
+    if (validationError) {
+        return res.status(400).json({ message: validationError });
+    }
+
+    const updates = [];
+    const params = [];
+    if (title !== undefined) { updates.push('title = ?'); params.push(String(title).trim()); }
+    if (description !== undefined) { updates.push('description = ?'); params.push(description || null); }
+    if (passScore !== undefined) { updates.push('pass_score = ?'); params.push(Number(passScore)); }
+    if (maxAttempts !== undefined) { updates.push('max_attempts = ?'); params.push(maxAttempts !== null ? Number(maxAttempts) : null); }
+    if (requiredToAdvance !== undefined) { updates.push('required_to_advance = ?'); params.push(Boolean(requiredToAdvance)); }
+
+    if (updates.length === 0 && questions === undefined) {
+        return res.status(400).json({ message: 'Informe ao menos um campo para atualizar.' });
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const [quizzes] = await connection.execute('SELECT id FROM Quizzes WHERE id = ? FOR UPDATE', [quizId]);
+        if (quizzes.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Questionário não encontrado.' });
+        }
+
+        if (questions !== undefined) {
+            const [[{ attempts }]] = await connection.execute('SELECT COUNT(*) AS attempts FROM QuizAttempts WHERE quiz_id = ?', [quizId]);
+            if (attempts > 0) {
+                await connection.rollback();
+                return res.status(409).json({ message: 'Este questionário já tem tentativas. Crie um novo questionário para alterar as questões.' });
+            }
+            await setQuizQuestions(connection, quizId, questions);
+        }
+        if (updates.length > 0) {
+            await connection.execute(`UPDATE Quizzes SET ${updates.join(', ')} WHERE id = ?`, [...params, quizId]);
+        }
+
+        await connection.commit();
+        res.json({ message: 'Questionário atualizado com sucesso!' });
+
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error('Erro ao atualizar questionário:', error);
+        res.status(500).json({ message: 'Erro interno ao atualizar questionário.' });
+    } finally {
+        if (connection) connection.release();
+    }
+}
+
+/**
+ * Remove um questionário com todas as tentativas.
+ */
+async function deleteQuiz(req, res) {
+    const { quizId } = req.params;
+
+    try {
+        const [result] = await pool.execute('DELETE FROM Quizzes WHERE id = ?', [quizId]);
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'Questionário não encontrado.' });
+        }
+        res.json({ message: 'Questionário removido com sucesso!' });
+    } catch (error) {
+        console.error('Erro ao remover questionário:', error);
+        res.status(500).json({ message: 'Erro interno ao remover questionário.' });
+    }
+}
+
+module.exports = {
+    getCourseQuizzes,
+    getQuiz,
+    submitQuizAttempt,
+    getQuizAttempts,
+    listCourseQuizzes,
+    getAdminQuiz,
+    createQuiz,
+    updateQuiz,
+    deleteQuiz
+};
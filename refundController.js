@@ -0,0 +1,203 @@
+// refundController.js - Processamento dos pedidos de reembolso pelo Admin.
+
+const { pool } = require('./database');
+const { sendEmail } = require('./email');
+const { getPaymentProvider } = require('./payments');
+
+const REFUND_STATUSES = ['PENDENTE', 'APROVADO', 'REJEITADO'];
+
+// Colunas retornadas nas listagens e no detalhe de um pedido
+const REFUND_SELECT = `
+    SELECT r.id, r.user_id, u.name AS user_name, u.email AS user_email,
+           r.course_id, c.name AS course_name, r.message, r.request_date,
+           r.status, r.decision_reason, r.decided_by, a.username AS decided_by_username, r.decided_at
+    FROM RefundRequests r
+    JOIN Users u ON r.user_id = u.id
+    JOIN Courses c ON r.course_id = c.id
+    LEFT JOIN Admins a ON r.decided_by = a.id
+`;
+
+// ===================================
+// Consulta de Pedidos
+// ===================================
+
+/**
+ * Lista os pedidos de reembolso, com filtros opcionais por status, curso e usuário.
+ * Query: ?status=PENDENTE&courseId=1&userId=2
+ */
+async function listRefundRequests(req, res) {
+    const { status, courseId, userId } = req.query;
+
+    if (status && !REFUND_STATUSES.includes(status)) {
+        return res.status(400).json({ message: `Status inválido. Use: ${REFUND_STATUSES.join(', ')}.` });
+    }
+
+    const conditions = [];
+    const params = [];
+
+    if (status) {
+        conditions.push('r.status = ?');
+        params.push(status);
+    }
+    if (courseId) {
+        conditions.push('r.course_id = ?');
+        params.push(courseId);
+    }
+    if (userId) {
+        conditions.push('r.user_id = ?');
+        params.push(userId);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    try {
+        const [requests] = await pool.execute(`${REFUND_SELECT} ${where} ORDER BY r.request_date DESC`, params);
+        res.json(requests);
+    } catch (error) {
+        console.error('Erro ao listar pedidos de reembolso:', error);
+        res.status(500).json({ message: 'Erro interno ao listar pedidos de reembolso.' });
+    }
+}
+
+/**
+ * Detalhe de um pedido de reembolso.
+ */
+async function getRefundRequest(req, res) {
+    const { refundId } = req.params;
+
+    try {
+        const [requests] = await pool.execute(`${REFUND_SELECT} WHERE r.id = ?`, [refundId]);
+        if (requests.length === 0) {
+            return res.status(404).json({ message: 'Pedido de reembolso não encontrado.' });
+        }
+        res.json(requests[0]);
+    } catch (error) {
+        console.error('Erro ao buscar pedido de reembolso:', error);
+        res.status(500).json({ message: 'Erro interno ao buscar pedido de reembolso.' });
+    }
+}
+
+// ===================================
+// Decisão do Admin
+// ===================================
+
+/**
+ * Registra a decisão do Admin sobre um pedido PENDENTE.
+ * Ao aprovar, a compra correspondente é removida na mesma transação,
+ * bloqueando o acesso ao conteúdo do curso.
+ */
+async function decideRefundRequest(req, res, approved) {
+    const { refundId } = req.params;
+    const { reason } = req.body;
+    const adminId = req.userId;
+
+    if (!approved && !reason) {
+        return res.status(400).json({ message: 'O motivo é obrigatório para rejeitar um reembolso.' });
+    }
+
+    const newStatus = approved ? 'APROVADO' : 'REJEITADO';
+    let connection;
+    let refund;
+    let paidOrder = null;
+
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        // FOR UPDATE evita que dois admins processem o mesmo pedido ao mesmo tempo
+        const [rows] = await connection.execute(
+            `SELECT r.id, r.user_id, r.course_id, r.status, u.name AS user_name, u.email AS user_email, u.locale AS user_locale,
+                    c.name AS course_name
+             FROM RefundRequests r
+             JOIN Users u ON r.user_id = u.id
+             JOIN Courses c ON r.course_id = c.id
+             WHERE r.id = ? FOR UPDATE`,
+            [refundId]
+        );
+
+        if (rows.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Pedido de reembolso não encontrado.' });
+        }
+
+        refund = rows[0];
+
+        if (refund.status !== 'PENDENTE') {
+            await connection.rollback();
+            return res.status(409).json({ message: `Este pedido já foi processado (${refund.status}).` });
+        }
+
+        await connection.execute(
+            'UPDATE RefundRequests SET status = ?, decision_reason = ?, decided_by = ?, decided_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [newStatus, reason || null, adminId, refundId]
+        );
+
+        if (approved) {
+            // Pedido pago que originou a compra (compras antigas podem não ter pedido)
+            const [orders] = await connection.execute(
+                `SELECT o.id, o.provider, o.provider_reference, o.amount
+                 FROM Purchases p JOIN Orders o ON p.order_id = o.id
+                 WHERE p.user_id = ? AND p.course_id = ? AND o.status = 'PAGO'`,
+                [refund.user_id, refund.course_id]
+            );
+            if (orders.length > 0) {
+                paidOrder = orders[0];
+                await connection.execute(`UPDATE Orders SET status = 'REEMBOLSADO' WHERE id = ?`, [paidOrder.id]);
+            }
+
+            // Revoga o acesso: sem a compra, getCourseContent nega o conteúdo
+            await connection.execute(
+                'DELETE FROM Purchases WHERE user_id = ? AND course_id = ?',
+                [refund.user_id, refund.course_id]
+            );
+        }
+
+        await connection.commit();
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error('Erro ao processar pedido de reembolso:', error);
+        return res.status(500).json({ message: 'Erro interno ao processar pedido de reembolso.' });
+    } finally {
+        if (connection) connection.release();
+    }
+
+    // Estorna a cobrança no provedor de pagamento (pedidos gratuitos, com cupom de 100%, não têm cobrança)
+    if (paidOrder && Number(paidOrder.amount) > 0) {
+        try {
+            const provider = getPaymentProvider(paidOrder.provider);
+            await provider.refundCharge(paidOrder.provider_reference, Number(paidOrder.amount));
+        } catch (refundError) {
+            console.error(`Reembolso aprovado, mas o estorno do pedido #${paidOrder.id} falhou no provedor:`, refundError.message);
+        }
+    }
+
+    // A decisão já foi registrada; uma falha no email apenas o coloca na fila de reenvio.
+    await sendEmail('refund_decision', {
+        to: { email: refund.user_email, name: refund.user_name },
+        locale: refund.user_locale,
+        variables: { userName: refund.user_name, courseName: refund.course_name, approved, reason: reason || null }
+    });
+
+    res.json({ message: `Pedido de reembolso ${newStatus.toLowerCase()} com sucesso.`, refundId: Number(refundId), status: newStatus });
+}
+
+/**
+ * Aprova um pedido de reembolso (motivo opcional).
+ */
+async function approveRefundRequest(req, res) {
+    return decideRefundRequest(req, res, true);
+}
+
+/**
+ * Rejeita um pedido de reembolso (motivo obrigatório).
+ */
+async function rejectRefundRequest(req, res) {
+    return decideRefundRequest(req, res, false);
+}
+
+module.exports = {
+    listRefundRequests,
+    getRefundRequest,
+    approveRefundRequest,
+    rejectRefundRequest
+};
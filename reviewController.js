@@ -0,0 +1,273 @@
+// reviewController.js - Avaliações dos cursos: nota e comentário dos alunos, listagem pública e moderação.
+
+const { pool } = require('./database');
+const { config } = require('./config');
+const { findCourseAccess } = require('./courseAccess');
+
+const REVIEW_STATUSES = ['PENDENTE', 'APROVADA', 'OCULTA'];
+const DEFAULT_REVIEWS_PAGE_SIZE = 10;
+const MAX_REVIEWS_PAGE_SIZE = 50;
+
+// Média e quantidade de avaliações aprovadas por curso (para usar em LEFT JOIN ... ON ratings.course_id = c.id)
+const RATINGS_BY_COURSE_SQL = `
+    SELECT course_id, ROUND(AVG(rating), 1) AS average_rating, COUNT(*) AS rating_count
+    FROM CourseReviews
+    WHERE status = 'APROVADA'
+    GROUP BY course_id
+`;
+
+/**
+ * Converte as colunas de média/quantidade em números (o AVG do MySQL chega como string).
+ */
+function formatRating(averageRating, ratingCount) {
+    return {
+        averageRating: averageRating !== null && averageRating !== undefined ? Number(averageRating) : null,
+        ratingCount: Number(ratingCount || 0)
+    };
+}
+
+/**
+ * Lista as avaliações aprovadas de um curso, paginadas, com a média e a distribuição das notas.
+ * @param {number|string} courseId - ID do curso.
+ * @param {number} page - Página (a partir de 1).
+ * @param {number} pageSize - Itens por página (já validado).
+ * @returns {Promise<{ averageRating: number|null, ratingCount: number, distribution: Object, reviews: Array, pagination: Object }>}
+ */
+async function getCourseReviews(courseId, page, pageSize) {
+    const [distributionRows] = await pool.execute(
+        "SELECT rating, COUNT(*) AS total FROM CourseReviews WHERE course_id = ? AND status = 'APROVADA' GROUP BY rating",
+        [courseId]
+    );
+
+    const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    let ratingCount = 0;
+    let ratingSum = 0;
+    for (const row of distributionRows) {
+        distribution[row.rating] = Number(row.total);
+        ratingCount += Number(row.total);
+        ratingSum += row.rating * Number(row.total);
+    }
+
+    // LIMIT/OFFSET já validados como inteiros (o mysql2 não aceita números como parâmetros de LIMIT no execute)
+    const [reviews] = await pool.execute(
+        `SELECT r.id, r.rating, r.comment, u.name AS user_name, r.created_at, r.updated_at
+         FROM CourseReviews r
+         JOIN Users u ON r.user_id = u.id
+         WHERE r.course_id = ? AND r.status = 'APROVADA'
+         ORDER BY r.created_at DESC, r.id DESC
+         LIMIT ${pageSize} OFFSET ${(page - 1) * pageSize}`,
+        [courseId]
+    );
+
+    return {
+        averageRating: ratingCount > 0 ? Math.round((ratingSum / ratingCount) * 10) / 10 : null,
+        ratingCount,
+        distribution,
+        reviews,
+        pagination: { page, pageSize, total: ratingCount, totalPages: Math.ceil(ratingCount / pageSize) }
+    };
+}
+
+/**
+ * Valida a paginação das avaliações (?reviewsPage=&reviewsPageSize=).
+ * @returns {{ error: string } | { page: number, pageSize: number }}
+ */
+function parseReviewsPagination(query) {
+    const page = query.reviewsPage === undefined ? 1 : Number(query.reviewsPage);
+    const pageSize = query.reviewsPageSize === undefined ? DEFAULT_REVIEWS_PAGE_SIZE : Number(query.reviewsPageSize);
+
+    if (!Number.isInteger(page) || page < 1 || !Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_REVIEWS_PAGE_SIZE) {
+        return { error: `Paginação das avaliações inválida. A página começa em 1 e o tamanho vai até ${MAX_REVIEWS_PAGE_SIZE}.` };
+    }
+    return { page, pageSize };
+}
+
+// ===================================
+// Rotas de Usuário (Logado)
+// ===================================
+
+/**
+ * Avaliação do usuário logado para um curso (em qualquer status), ou null.
+ */
+async function getMyReview(req, res) {
+    const userId = req.userId;
+    const { courseId } = req.params;
+
+    try {
+        const [reviews] = await pool.execute(
+            'SELECT id, rating, comment, status, created_at, updated_at FROM CourseReviews WHERE course_id = ? AND user_id = ?',
+            [courseId, userId]
+        );
+        res.json(reviews[0] || null);
+    } catch (error) {
+        console.error('Erro ao buscar avaliação:', error);
+        res.status(500).json({ message: 'Erro interno ao buscar avaliação.' });
+    }
+}
+
+/**
+ * Cria ou edita a avaliação do usuário para um curso comprado (avulso ou em pacote).
+ * Body: { rating: 1-5, comment? }
+ * Com moderação prévia (REVIEWS_REQUIRE_APPROVAL), a avaliação volta para PENDENTE a cada edição.
+ * Avaliações ocultadas pelo admin continuam ocultas após a edição.
+ */
+async function saveReview(req, res) {
+    const userId = req.userId;
+    const { courseId } = req.params;
+    const { rating, comment } = req.body;
+
+    if (!Number.isInteger(Number(rating)) || Number(rating) < 1 || Number(rating) > 5) {
+        return res.status(400).json({ message: 'A nota deve ser um número inteiro de 1 a 5.' });
+    }
+    if (comment !== undefined && comment !== null && String(comment).length > 2000) {
+        return res.status(400).json({ message: 'O comentário pode ter no máximo 2000 caracteres.' });
+    }
+
+    try {
+        // Apenas compradores avaliam (o acesso só por assinatura não conta)
+        const access = await findCourseAccess(userId, courseId);
+        if (!access || !access.sources.some(source => source === 'purchase' || source === 'bundle')) {
+            return res.status(403).json({ message: 'Apenas alunos que compraram o curso podem avaliá-lo.' });
+        }
+
+        const initialStatus = config.reviews.requireApproval ? 'PENDENTE' : 'APROVADA';
+        const [result] = await pool.execute(
+            `INSERT INTO CourseReviews (course_id, user_id, rating, comment, status)
+             VALUES (?, ?, ?, ?, ?)
+             ON DUPLICATE KEY UPDATE rating = VALUES(rating), comment = VALUES(comment),
+                                     status = IF(status = 'OCULTA', 'OCULTA', VALUES(status))`,
+            [courseId, userId, Number(rating), comment ? String(comment).trim() : null, initialStatus]
+        );
+
+        // affectedRows: 1 = criada, 2 = atualizada (0 = nada mudou)
+        const created = result.affectedRows === 1;
+        res.status(created ? 201 : 200).json({
+            message: created ? 'Avaliação enviada com sucesso!' : 'Avaliação atualizada com sucesso!',
+            pendingApproval: initialStatus === 'PENDENTE'
+        });
+
+    } catch (error) {
+        console.error('Erro ao salvar avaliação:', error);
+        res.status(500).json({ message: 'Erro interno ao salvar avaliação.' });
+    }
+}
+
+/**
+ * Remove a avaliação do usuário para um curso.
+ */
+async function deleteMyReview(req, res) {
+    const userId = req.userId;
+    const { courseId } = req.params;
+
+    try {
+        const [result] = await pool.execute('DELETE FROM CourseReviews WHERE course_id = ? AND user_id = ?', [courseId, userId]);
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'Avaliação não encontrada.' });
+        }
+        res.json({ message: 'Avaliação removida com sucesso!' });
+    } catch (error) {
+        console.error('Erro ao remover avaliação:', error);
+        res.status(500).json({ message: 'Erro interno ao remover avaliação.' });
+    }
+}
+
+// ===================================
+// Rotas do Admin (Moderação)
+// ===================================
+
+/**
+ * Lista as avaliações para moderação, com filtros opcionais.
+ * Query: ?status=PENDENTE&courseId=1&userId=2
+ */
+async function listReviews(req, res) {
+    const { status, courseId, userId } = req.query;
+
+    if (status && !REVIEW_STATUSES.includes(status)) {
+        return res.status(400).json({ message: `Status inválido. Use: ${REVIEW_STATUSES.join(', ')}.` });
+    }
+
+    const conditions = [];
+    const params = [];
+
+    if (status) {
+        conditions.push('r.status = ?');
+        params.push(status);
+    }
+    if (courseId) {
+        conditions.push('r.course_id = ?');
+        params.push(courseId);
+    }
+    if (userId) {
+        conditions.push('r.user_id = ?');
+        params.push(userId);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    try {
+        const [reviews] = await pool.execute(
+            `SELECT r.id, r.course_id, c.name AS course_name, r.user_id, u.name AS user_name, u.email AS user_email,
+                    r.rating, r.comment, r.status, r.moderated_by, a.username AS moderated_by_username, r.moderated_at,
+                    r.created_at, r.updated_at
+             FROM CourseReviews r
+             JOIN Courses c ON r.course_id = c.id
+             JOIN Users u ON r.user_id = u.id
+             LEFT JOIN Admins a ON r.moderated_by = a.id
+             ${where}
+             ORDER BY r.updated_at DESC`,
+            params
+        );
+        res.json(reviews);
+    } catch (error) {
+        console.error('Erro ao listar avaliações:', error);
+        res.status(500).json({ message: 'Erro interno ao listar avaliações.' });
+    }
+}
+
+/**
+ * Define o status de moderação de uma avaliação.
+ */
+async function moderateReview(req, res, newStatus) {
+    const { reviewId } = req.params;
+
+    try {
+        const [result] = await pool.execute(
+            'UPDATE CourseReviews SET status = ?, moderated_by = ?, moderated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [newStatus, req.userId, reviewId]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'Avaliação não encontrada.' });
+        }
+        res.json({ message: `Avaliação ${newStatus === 'APROVADA' ? 'aprovada' : 'ocultada'} com sucesso.`, reviewId: Number(reviewId), status: newStatus });
+    } catch (error) {
+        console.error('Erro ao moderar avaliação:', error);
+        res.status(500).json({ message: 'Erro interno ao moderar avaliação.' });
+    }
+}
+
+/**
+ * Aprova uma avaliação (passa a ser pública e entra na média).
+ */
+async function approveReview(req, res) {
+    return moderateReview(req, res, 'APROVADA');
+}
+
+/**
+ * Oculta uma avaliação (sai da listagem pública e da média).
+ */
+async function hideReview(req, res) {
+    return moderateReview(req, res, 'OCULTA');
+}
+
+module.exports = {
+    RATINGS_BY_COURSE_SQL,
+    formatRating,
+    getCourseReviews,
+    parseReviewsPagination,
+    getMyReview,
+    saveReview,
+    deleteMyReview,
+    listReviews,
+    approveReview,
+    hideReview
+};
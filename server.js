@@ -4,9 +4,41 @@ const express = require('express');
 const cors = require('cors');
 const { config, logEnvironmentVariables } = require('./config');
 const { initializeDatabase } = require('./database');
-const { authMiddleware, adminGuard, registerUser, loginUser, loginAdmin } = require('./authController');
-const { uploadCourseImage, uploadVideo, createCourse, createModule, createLesson } = require('./adminController');
+const { getStorageDriver } = require('./storage');
+const { startEmailQueueWorker } = require('./email');
+const {
+    authMiddleware, adminGuard, courseOwnerGuard, requireVerifiedEmail,
+    registerUser, loginUser, verifyEmail, resendEmailVerification, forgotPassword, resetPassword, loginAdmin,
+    refreshSession, logout, logoutAllDevices, revokeSubjectSessions
+} = require('./authController');
+const {
+    uploadCourseImage, uploadVideo,
+    listAdminCourses, previewCourse,
+    createCourse, updateCourse, deleteCourse,
+    createModule, updateModule, deleteModule, reorderModules,
+    createLesson, updateLesson, deleteLesson, previewLesson, reorderLessons
+} = require('./adminController');
 const { getPublicCourses, getPublicCourseDetail, purchaseCourse, getPurchasedCourses, getCourseContent, requestRefund } = require('./userController');
+const { listRefundRequests, getRefundRequest, approveRefundRequest, rejectRefundRequest } = require('./refundController');
+const { getMyReview, saveReview, deleteMyReview, listReviews, approveReview, hideReview } = require('./reviewController');
+const {
+    listLessonThreads, listThreadReplies, createLessonComment, updateLessonComment, deleteLessonComment, pinThread, resolveThread
+} = require('./discussionController');
+const {
+    getQuiz, submitQuizAttempt, getQuizAttempts, listCourseQuizzes, getAdminQuiz, createQuiz, updateQuiz, deleteQuiz
+} = require('./quizController');
+const { getSalesReport, getCoursesReport, getTopCoursesReport, getSignupsReport } = require('./analyticsController');
+const { csvUpload, exportUsers, exportPurchases, exportRefunds, importStudents } = require('./csvController');
+const { purchaseGift, getUserGifts, redeemGift } = require('./giftController');
+const { grantCourseAccess, revokeCourseGrant, getUserCourseAccess } = require('./grantController');
+const { listAdmins, createAdmin, updateAdmin, deleteAdmin, setAdminPassword, changeOwnPassword } = require('./adminAccountController');
+const { markLessonStarted, markLessonCompleted, saveLessonPosition } = require('./progressController');
+const { issueCertificate, getUserCertificates, downloadCertificate, verifyCertificate, listCertificates, revokeCertificate } = require('./certificateController');
+const { handlePaymentWebhook, simulateFakeCheckout, getUserOrders, getUserOrder } = require('./paymentController');
+const { initVideoUpload, uploadVideoPart, getVideoUpload, completeVideoUpload, abortVideoUpload } = require('./uploadController');
+const { previewCoupon, listCoupons, createCoupon, updateCoupon, deleteCoupon } = require('./couponController');
+const { getPublicBundles, purchaseBundle, listBundles, createBundle, updateBundle, deleteBundle } = require('./bundleController');
+const { getPublicPlans, subscribeToPlan, getUserSubscriptions, listPlans, createPlan, updatePlan, deletePlan } = require('./subscriptionController');
 
 const app = express();
 const PORT = config.port;
@@ -20,18 +52,35 @@ async function startServer() {
         // 1. Log das Variáveis de Ambiente
         logEnvironmentVariables();
 
+        // O checkout simulado do provedor fake marca qualquer pedido como pago: nunca em produção
+        if (config.payment.provider === 'fake' && process.env.NODE_ENV === 'production') {
+            throw new Error("PAYMENT_PROVIDER 'fake' não pode ser usado com NODE_ENV=production.");
+        }
+
         // 2. Inicialização do Banco de Dados (Criação de Tabelas e Admin)
         await initializeDatabase();
 
+        // Reenvio dos emails que falharam (fila EmailQueue)
+        startEmailQueueWorker();
+
         // 3. Middlewares Globais
         // CORS LIBERADO PARA TODOS OS DOMÍNIOS, conforme solicitado
         app.use(cors({
             origin: '*', // Permite todas as origens
-            methods: ['GET', 'POST', 'PUT', 'DELETE'],
-            allowedHeaders: ['Content-Type', 'Authorization'],
+            methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+            allowedHeaders: ['Content-Type', 'Authorization', 'X-Part-Checksum'],
         }));
         
-        app.use(express.json()); // Permite o parsing de JSON no corpo da requisição
+        // Permite o parsing de JSON no corpo da requisição.
+        // O corpo bruto é mantido em req.rawBody para validar a assinatura dos webhooks de pagamento.
+        app.use(express.json({
+            verify: (req, res, buf) => { req.rawBody = buf; }
+        }));
+
+        // Arquivos de mídia servidos pelo próprio servidor (apenas com o armazenamento em disco local)
+        if (config.storage.driver === 'local') {
+            getStorageDriver().registerLocalMediaRoutes(app);
+        }
 
         // ===================================
         // Rotas de Autenticação
@@ -43,36 +92,197 @@ async function startServer() {
         // Usuário (Cliente)
         app.post('/auth/register', registerUser);
         app.post('/auth/login', loginUser);
+        app.get('/auth/verify-email', verifyEmail); // Link de confirmação (?token=)
+        app.post('/auth/resend-verification', resendEmailVerification); // Body: { email }
+        app.post('/auth/forgot-password', forgotPassword); // Envia o link de redefinição por email
+        app.post('/auth/reset-password', resetPassword); // Body: { token, password }
+
+        // Sessões (Usuário e Admin)
+        app.post('/auth/refresh', refreshSession); // Body: { refreshToken } -> novo par de tokens
+        app.post('/auth/logout', authMiddleware, logout); // Encerra a sessão atual
+        app.post('/auth/logout-all', authMiddleware, logoutAllDevices); // Encerra todas as sessões
 
         // ===================================
         // Rotas Públicas (Visualização de Cursos)
         // ===================================
 
-        app.get('/courses', getPublicCourses); // Lista todos os cursos
-        app.get('/courses/:courseId', getPublicCourseDetail); // Detalhe de um curso
+        app.get('/courses', getPublicCourses); // Catálogo (?q=&minPrice=&maxPrice=&sort=&page=&pageSize=)
+        app.get('/courses/:courseId', getPublicCourseDetail); // Detalhe de um curso, com avaliações (?reviewsPage=&reviewsPageSize=)
+        app.get('/certificates/:code', verifyCertificate); // Verificação pública de certificado
+        app.get('/coupons/:code/preview', previewCoupon); // Preço com o cupom aplicado (?courseId=)
+        app.get('/bundles', getPublicBundles); // Pacotes de cursos à venda
+        app.get('/plans', getPublicPlans); // Planos de assinatura
 
         // ===================================
         // Rotas de Usuário (Requer Login)
         // ===================================
         
         // Aplica o middleware de autenticação em todas as rotas de usuário
-        app.post('/user/purchase', authMiddleware, purchaseCourse); // Simula a compra
+        app.post('/user/purchase', authMiddleware, requireVerifiedEmail, purchaseCourse); // Cria o pedido e inicia o pagamento (Body: { courseId, couponCode? })
+        app.post('/user/bundles/:bundleId/purchase', authMiddleware, requireVerifiedEmail, purchaseBundle); // Compra de pacote
+        app.post('/user/subscriptions', authMiddleware, requireVerifiedEmail, subscribeToPlan); // Assina ou renova um plano (Body: { planId })
+        app.get('/user/subscriptions', authMiddleware, getUserSubscriptions);
+        app.post('/user/gifts', authMiddleware, requireVerifiedEmail, purchaseGift); // Curso de presente (Body: { courseId, recipientEmail, recipientName?, message? })
+        app.get('/user/gifts', authMiddleware, getUserGifts); // Presentes comprados
+        app.post('/user/gifts/redeem', authMiddleware, requireVerifiedEmail, redeemGift); // Resgate (Body: { code })
+        app.get('/user/orders', authMiddleware, getUserOrders); // Histórico de pedidos
+        app.get('/user/orders/:orderId', authMiddleware, getUserOrder); // Status de um pedido
         app.get('/user/dashboard', authMiddleware, getPurchasedCourses); // Painel de cursos comprados
         app.get('/user/course/:courseId/content', authMiddleware, getCourseContent); // Conteúdo do curso (com Drip Content)
-        app.post('/user/refund', authMiddleware, requestRefund); // Solicitação de reembolso (7 dias)
+        app.get('/user/course/:courseId/review', authMiddleware, getMyReview); // Avaliação do próprio usuário
+        app.put('/user/course/:courseId/review', authMiddleware, saveReview); // Cria ou edita (Body: { rating, comment? })
+        app.delete('/user/course/:courseId/review', authMiddleware, deleteMyReview);
+        app.post('/user/refund', authMiddleware, requireVerifiedEmail, requestRefund); // Solicitação de reembolso (7 dias)
+
+        // Progresso nas aulas
+        app.post('/user/lesson/:lessonId/start', authMiddleware, markLessonStarted);
+        app.post('/user/lesson/:lessonId/complete', authMiddleware, markLessonCompleted);
+        app.put('/user/lesson/:lessonId/position', authMiddleware, saveLessonPosition); // Body: { positionSeconds }
+
+        // Questionários (o gabarito só é enviado após a correção)
+        app.get('/user/quizzes/:quizId', authMiddleware, getQuiz); // Questões e resumo das tentativas
+        app.post('/user/quizzes/:quizId/attempts', authMiddleware, submitQuizAttempt); // Body: { answers: [{ questionId, optionId }] }
+        app.get('/user/quizzes/:quizId/attempts', authMiddleware, getQuizAttempts); // Histórico e melhor nota
+
+        // Discussão da aula (apenas quem tem acesso ao curso)
+        app.get('/user/lesson/:lessonId/comments', authMiddleware, listLessonThreads); // Tópicos (?page=&pageSize=&resolved=)
+        app.get('/user/lesson/:lessonId/comments/:commentId/replies', authMiddleware, listThreadReplies); // Respostas (?page=&pageSize=)
+        app.post('/user/lesson/:lessonId/comments', authMiddleware, createLessonComment); // Body: { body, parentId? }
+        app.patch('/user/lesson/:lessonId/comments/:commentId', authMiddleware, updateLessonComment); // Body: { body }
+        app.delete('/user/lesson/:lessonId/comments/:commentId', authMiddleware, deleteLessonComment);
+
+        // Certificados de conclusão
+        app.post('/user/course/:courseId/certificate', authMiddleware, issueCertificate); // Emite (todas as aulas concluídas)
+        app.get('/user/certificates', authMiddleware, getUserCertificates);
+        app.get('/user/certificates/:code/pdf', authMiddleware, downloadCertificate);
+
+        // ===================================
+        // Rotas de Pagamento
+        // ===================================
+
+        // Webhook assinado do provedor (confirma, falha, expira ou reembolsa o pedido)
+        app.post('/payments/webhook/:provider', handlePaymentWebhook);
+
+        // Checkout simulado, disponível apenas com o provedor fake (testes locais)
+        if (config.payment.provider === 'fake') {
+            app.post('/payments/fake/checkout/:reference', simulateFakeCheckout);
+        }
 
         // ===================================
         // Rotas do Admin (Requer Login + Guard)
         // ===================================
+        // adminGuard(permissão) verifica o papel do admin (super_admin, instructor, support);
+        // courseOwnerGuard restringe instrutores aos próprios cursos.
+
+        // Contas de administrador (apenas super_admin)
+        app.get('/admin/admins', authMiddleware, adminGuard('admins:manage'), listAdmins);
+        app.post('/admin/admins', authMiddleware, adminGuard('admins:manage'), createAdmin); // Body: { username, password, role }
+        app.patch('/admin/admins/:adminId', authMiddleware, adminGuard('admins:manage'), updateAdmin); // Body: { role?, isActive? }
+        app.delete('/admin/admins/:adminId', authMiddleware, adminGuard('admins:manage'), deleteAdmin);
+        app.put('/admin/admins/:adminId/password', authMiddleware, adminGuard('admins:manage'), setAdminPassword);
+        // Troca da própria senha (qualquer admin)
+        app.put('/admin/me/password', authMiddleware, adminGuard(), changeOwnPassword);
         
+        // Listagem de Cursos em todos os status (?status=) e prévia completa (inclui rascunhos)
+        app.get('/admin/courses', authMiddleware, adminGuard('courses:manage'), listAdminCourses);
+        app.get('/admin/course/:courseId/preview', authMiddleware, adminGuard('courses:manage'), courseOwnerGuard, previewCourse);
         // Criação de Curso (Requer upload de imagem)
-        app.post('/admin/course', authMiddleware, adminGuard, uploadCourseImage, createCourse);
+        app.post('/admin/course', authMiddleware, adminGuard('courses:manage'), uploadCourseImage, createCourse);
+        // Atualização parcial (imagem opcional) e remoção de Curso
+        app.patch('/admin/course/:courseId', authMiddleware, adminGuard('courses:manage'), uploadCourseImage, courseOwnerGuard, updateCourse);
+        app.delete('/admin/course/:courseId', authMiddleware, adminGuard('courses:manage'), courseOwnerGuard, deleteCourse);
+        // Reordenação dos módulos do curso (Body: { moduleIds: [...] })
+        app.put('/admin/course/:courseId/modules/order', authMiddleware, adminGuard('courses:manage'), courseOwnerGuard, reorderModules);
         
         // Criação de Módulo
-        app.post('/admin/module', authMiddleware, adminGuard, createModule);
+        app.post('/admin/module', authMiddleware, adminGuard('courses:manage'), courseOwnerGuard, createModule);
+        app.patch('/admin/module/:moduleId', authMiddleware, adminGuard('courses:manage'), courseOwnerGuard, updateModule);
+        app.delete('/admin/module/:moduleId', authMiddleware, adminGuard('courses:manage'), courseOwnerGuard, deleteModule);
+        // Reordenação das aulas do módulo (Body: { lessonIds: [...] })
+        app.put('/admin/module/:moduleId/lessons/order', authMiddleware, adminGuard('courses:manage'), courseOwnerGuard, reorderLessons);
         
         // Criação de Aula (Requer upload de vídeo opcional)
-        app.post('/admin/lesson', authMiddleware, adminGuard, uploadVideo, createLesson);
+        app.post('/admin/lesson', authMiddleware, adminGuard('courses:manage'), uploadVideo, courseOwnerGuard, createLesson);
+        // Atualização parcial (vídeo opcional) e remoção de Aula
+        app.patch('/admin/lesson/:lessonId', authMiddleware, adminGuard('courses:manage'), uploadVideo, courseOwnerGuard, updateLesson);
+        app.delete('/admin/lesson/:lessonId', authMiddleware, adminGuard('courses:manage'), courseOwnerGuard, deleteLesson);
+        // Prévia da aula com URL assinada do vídeo
+        app.get('/admin/lesson/:lessonId/preview', authMiddleware, adminGuard('courses:manage'), courseOwnerGuard, previewLesson);
+
+        // Questionários de módulo ou aula (Body: { moduleId | lessonId, title, passScore?, maxAttempts?, requiredToAdvance?, questions })
+        app.get('/admin/course/:courseId/quizzes', authMiddleware, adminGuard('courses:manage'), courseOwnerGuard, listCourseQuizzes);
+        app.get('/admin/quizzes/:quizId', authMiddleware, adminGuard('courses:manage'), courseOwnerGuard, getAdminQuiz);
+        app.post('/admin/quizzes', authMiddleware, adminGuard('courses:manage'), courseOwnerGuard, createQuiz);
+        app.patch('/admin/quizzes/:quizId', authMiddleware, adminGuard('courses:manage'), courseOwnerGuard, updateQuiz);
+        app.delete('/admin/quizzes/:quizId', authMiddleware, adminGuard('courses:manage'), courseOwnerGuard, deleteQuiz);
+
+        // Discussão da aula: respostas da equipe, moderação, tópicos fixados e resolvidos
+        app.get('/admin/lesson/:lessonId/comments', authMiddleware, adminGuard('courses:manage'), courseOwnerGuard, listLessonThreads);
+        app.get('/admin/lesson/:lessonId/comments/:commentId/replies', authMiddleware, adminGuard('courses:manage'), courseOwnerGuard, listThreadReplies);
+        app.post('/admin/lesson/:lessonId/comments', authMiddleware, adminGuard('courses:manage'), courseOwnerGuard, createLessonComment); // Body: { body, parentId? }
+        app.patch('/admin/lesson/:lessonId/comments/:commentId', authMiddleware, adminGuard('courses:manage'), courseOwnerGuard, updateLessonComment);
+        app.delete('/admin/lesson/:lessonId/comments/:commentId', authMiddleware, adminGuard('courses:manage'), courseOwnerGuard, deleteLessonComment);
+        app.post('/admin/lesson/:lessonId/comments/:commentId/pin', authMiddleware, adminGuard('courses:manage'), courseOwnerGuard, pinThread); // Body: { pinned? }
+        app.post('/admin/lesson/:lessonId/comments/:commentId/resolve', authMiddleware, adminGuard('courses:manage'), courseOwnerGuard, resolveThread); // Body: { resolved? }
+
+        // Upload de vídeo em partes (retomável). As partes são enviadas como application/octet-stream.
+        app.post('/admin/uploads', authMiddleware, adminGuard('courses:manage'), courseOwnerGuard, initVideoUpload); // Body: { fileName, fileSize, mimeType, lessonId? }
+        app.put('/admin/uploads/:uploadId/parts/:partNumber', authMiddleware, adminGuard('courses:manage'), uploadVideoPart);
+        app.get('/admin/uploads/:uploadId', authMiddleware, adminGuard('courses:manage'), getVideoUpload); // Status e partes recebidas
+        app.post('/admin/uploads/:uploadId/complete', authMiddleware, adminGuard('courses:manage'), courseOwnerGuard, completeVideoUpload); // Body: { lessonId? }
+        app.delete('/admin/uploads/:uploadId', authMiddleware, adminGuard('courses:manage'), abortVideoUpload);
+
+        // Pedidos de Reembolso (Listagem com filtros ?status=&courseId=&userId=, detalhe e decisão)
+        app.get('/admin/refunds', authMiddleware, adminGuard('refunds:manage'), listRefundRequests);
+        app.get('/admin/refunds/:refundId', authMiddleware, adminGuard('refunds:manage'), getRefundRequest);
+        app.post('/admin/refunds/:refundId/approve', authMiddleware, adminGuard('refunds:manage'), approveRefundRequest); // Revoga a compra
+        app.post('/admin/refunds/:refundId/reject', authMiddleware, adminGuard('refunds:manage'), rejectRefundRequest);
+
+        // Cupons de Desconto (cupons já usados não podem ser removidos, apenas desativados)
+        app.get('/admin/coupons', authMiddleware, adminGuard('coupons:manage'), listCoupons);
+        app.post('/admin/coupons', authMiddleware, adminGuard('coupons:manage'), createCoupon);
+        app.patch('/admin/coupons/:couponId', authMiddleware, adminGuard('coupons:manage'), updateCoupon);
+        app.delete('/admin/coupons/:couponId', authMiddleware, adminGuard('coupons:manage'), deleteCoupon);
+
+        // Pacotes de Cursos e Planos de Assinatura (já vendidos não podem ser removidos, apenas desativados)
+        app.get('/admin/bundles', authMiddleware, adminGuard('bundles:manage'), listBundles);
+        app.post('/admin/bundles', authMiddleware, adminGuard('bundles:manage'), createBundle);
+        app.patch('/admin/bundles/:bundleId', authMiddleware, adminGuard('bundles:manage'), updateBundle);
+        app.delete('/admin/bundles/:bundleId', authMiddleware, adminGuard('bundles:manage'), deleteBundle);
+        app.get('/admin/plans', authMiddleware, adminGuard('plans:manage'), listPlans);
+        app.post('/admin/plans', authMiddleware, adminGuard('plans:manage'), createPlan);
+        app.patch('/admin/plans/:planId', authMiddleware, adminGuard('plans:manage'), updatePlan);
+        app.delete('/admin/plans/:planId', authMiddleware, adminGuard('plans:manage'), deletePlan);
+
+        // Moderação de Avaliações (Listagem com filtros ?status=&courseId=&userId=)
+        app.get('/admin/reviews', authMiddleware, adminGuard('reviews:manage'), listReviews);
+        app.post('/admin/reviews/:reviewId/approve', authMiddleware, adminGuard('reviews:manage'), approveReview);
+        app.post('/admin/reviews/:reviewId/hide', authMiddleware, adminGuard('reviews:manage'), hideReview);
+
+        // Relatórios (filtros comuns: ?from=AAAA-MM-DD&to=AAAA-MM-DD&courseId=; vendas e cadastros aceitam ?groupBy=day|week|month)
+        app.get('/admin/analytics/sales', authMiddleware, adminGuard('analytics:view'), getSalesReport);
+        app.get('/admin/analytics/courses', authMiddleware, adminGuard('analytics:view'), getCoursesReport);
+        app.get('/admin/analytics/top-courses', authMiddleware, adminGuard('analytics:view'), getTopCoursesReport); // ?limit=10
+        app.get('/admin/analytics/signups', authMiddleware, adminGuard('analytics:view'), getSignupsReport);
+
+        // Exportações em CSV (stream; filtros ?from=AAAA-MM-DD&to=AAAA-MM-DD e os específicos de cada uma)
+        app.get('/admin/exports/users.csv', authMiddleware, adminGuard('exports:manage'), exportUsers); // ?verified=
+        app.get('/admin/exports/purchases.csv', authMiddleware, adminGuard('exports:manage'), exportPurchases); // ?courseId=&userId=
+        app.get('/admin/exports/refunds.csv', authMiddleware, adminGuard('exports:manage'), exportRefunds); // ?status=&courseId=
+        // Importação de alunos e matrículas (multipart, campo 'file'; ?dryRun=true apenas valida)
+        app.post('/admin/imports/students', authMiddleware, adminGuard('imports:manage'), csvUpload, importStudents);
+
+        // Acesso concedido pelo Admin (Body: { courseId, expiresAt?, reason? }) e cursos acessíveis do usuário
+        app.get('/admin/users/:userId/access', authMiddleware, adminGuard('enrollments:manage'), getUserCourseAccess);
+        app.post('/admin/users/:userId/grants', authMiddleware, adminGuard('enrollments:manage'), grantCourseAccess);
+        app.delete('/admin/users/:userId/grants/:courseId', authMiddleware, adminGuard('enrollments:manage'), revokeCourseGrant);
+
+        // Sessões: encerra todas as sessões de um usuário ou admin (Body: { subjectType, subjectId })
+        app.post('/admin/sessions/revoke', authMiddleware, adminGuard('sessions:manage'), revokeSubjectSessions);
+
+        // Certificados (Listagem ?userId=&courseId= e revogação)
+        app.get('/admin/certificates', authMiddleware, adminGuard('certificates:manage'), listCertificates);
+        app.post('/admin/certificates/:code/revoke', authMiddleware, adminGuard('certificates:manage'), revokeCertificate);
 
         // Rota de teste
         app.get('/', (req, res) => {
@@ -0,0 +1,154 @@
+// sessions.js - Sessões no servidor: access tokens curtos e refresh tokens rotativos.
+
+// Cada login cria uma Sessão. O access token (JWT) carrega o ID da sessão (sid),
+// e o authMiddleware rejeita tokens cuja sessão foi revogada ou expirou.
+// O refresh token é trocado a cada uso (rotação); se um refresh token já usado
+// for apresentado novamente, consideramos que ele vazou e a sessão inteira é revogada.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { pool } = require('./database');
+const { config } = require('./config');
+
+/**
+ * Gera o hash SHA-256 de um token (apenas o hash é salvo no banco).
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Assina o access token (JWT de curta duração) de uma sessão.
+ */
+function signAccessToken(subjectType, subjectId, sessionId) {
+    return jwt.sign(
+        { id: subjectId, type: subjectType, sid: sessionId },
+        config.jwtSecret,
+        { expiresIn: config.auth.accessTokenExpiresIn }
+    );
+}
+
+/**
+ * Cria uma nova sessão após o login.
+ * @param {string} subjectType - 'user' ou 'admin'.
+ * @param {number} subjectId - ID do usuário ou admin.
+ * @param {Object} req - Requisição (IP e User-Agent são registrados para auditoria).
+ * @returns {Promise<{ accessToken: string, refreshToken: string, sessionId: number }>}
+ */
+async function createSession(subjectType, subjectId, req) {
+    const refreshDays = subjectType === 'admin' ? config.auth.adminRefreshTokenDays : config.auth.refreshTokenDays;
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+
+    const [result] = await pool.execute(
+        `INSERT INTO Sessions (subject_type, subject_id, user_agent, ip_address, expires_at)
+         VALUES (?, ?, ?, ?, DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? DAY))`,
+        [subjectType, subjectId, (req.headers['user-agent'] || '').slice(0, 255), req.ip || null, refreshDays]
+    );
+    const sessionId = result.insertId;
+
+    await pool.execute(
+        'INSERT INTO RefreshTokens (session_id, token_hash) VALUES (?, ?)',
+        [sessionId, hashToken(refreshToken)]
+    );
+
+    return { accessToken: signAccessToken(subjectType, subjectId, sessionId), refreshToken, sessionId };
+}
+
+/**
+ * Troca um refresh token por um novo par de tokens (rotação).
+ * @param {string} refreshToken - Refresh token apresentado pelo cliente.
+ * @returns {Promise<{ accessToken: string, refreshToken: string, subjectType: string, subjectId: number } | { error: string }>}
+ */
+async function rotateRefreshToken(refreshToken) {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [tokens] = await connection.execute(
+            `SELECT rt.id, rt.used_at, s.id AS session_id, s.subject_type, s.subject_id,
+                    s.revoked_at, s.expires_at < CURRENT_TIMESTAMP AS is_expired
+             FROM RefreshTokens rt
+             JOIN Sessions s ON rt.session_id = s.id
+             WHERE rt.token_hash = ?
+             FOR UPDATE`,
+            [hashToken(refreshToken)]
+        );
+
+        if (tokens.length === 0) {
+            await connection.rollback();
+            return { error: 'Refresh token inválido.' };
+        }
+
+        const token = tokens[0];
+
+        if (token.revoked_at || token.is_expired) {
+            await connection.rollback();
+            return { error: 'Sessão encerrada. Faça login novamente.' };
+        }
+
+        // Reuso de um token já rotacionado: revoga a sessão inteira
+        if (token.used_at) {
+            await connection.execute(
+                `UPDATE Sessions SET revoked_at = CURRENT_TIMESTAMP, revoke_reason = 'REUSO_REFRESH_TOKEN' WHERE id = ?`,
+                [token.session_id]
+            );
+            await connection.commit();
+            console.warn(`Reuso de refresh token detectado na sessão #${token.session_id} (${token.subject_type} #${token.subject_id}). Sessão revogada.`);
+            return { error: 'Sessão encerrada por segurança. Faça login novamente.' };
+        }
+
+        const newRefreshToken = crypto.randomBytes(48).toString('hex');
+
+        await connection.execute('UPDATE RefreshTokens SET used_at = CURRENT_TIMESTAMP WHERE id = ?', [token.id]);
+        await connection.execute(
+            'INSERT INTO RefreshTokens (session_id, token_hash) VALUES (?, ?)',
+            [token.session_id, hashToken(newRefreshToken)]
+        );
+        await connection.execute('UPDATE Sessions SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?', [token.session_id]);
+
+        await connection.commit();
+
+        return {
+            accessToken: signAccessToken(token.subject_type, token.subject_id, token.session_id),
+            refreshToken: newRefreshToken,
+            subjectType: token.subject_type,
+            subjectId: token.subject_id
+        };
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+}
+
+/**
+ * Revoga uma sessão (logout).
+ */
+async function revokeSession(sessionId, reason = 'LOGOUT') {
+    await pool.execute(
+        'UPDATE Sessions SET revoked_at = CURRENT_TIMESTAMP, revoke_reason = ? WHERE id = ? AND revoked_at IS NULL',
+        [reason, sessionId]
+    );
+}
+
+/**
+ * Revoga todas as sessões ativas de um usuário ou admin.
+ * @returns {Promise<number>} Quantidade de sessões revogadas.
+ */
+async function revokeAllSessions(subjectType, subjectId, reason = 'LOGOUT_TODOS') {
+    const [result] = await pool.execute(
+        `UPDATE Sessions SET revoked_at = CURRENT_TIMESTAMP, revoke_reason = ?
+         WHERE subject_type = ? AND subject_id = ? AND revoked_at IS NULL`,
+        [reason, subjectType, subjectId]
+    );
+    return result.affectedRows;
+}
+
+module.exports = {
+    hashToken,
+    createSession,
+    rotateRefreshToken,
+    revokeSession,
+    revokeAllSessions
+};
@@ -0,0 +1,42 @@
+// smtp.js - Transporte de email via SMTP (usando Nodemailer; ver email.js).
+
+const nodemailer = require('nodemailer');
+const { config } = require('./config');
+
+const transporter = nodemailer.createTransport({
+    host: config.email.smtp.host,
+    port: config.email.smtp.port,
+    secure: config.email.smtp.secure, // true para a porta 465 (TLS direto)
+    auth: config.email.smtp.user ? { user: config.email.smtp.user, pass: config.email.smtp.password } : undefined,
+});
+
+/**
+ * Formata um endereço { email, name } no padrão "Nome <email>".
+ */
+function formatAddress(address) {
+    return address.name ? { name: address.name, address: address.email } : address.email;
+}
+
+/**
+ * Envia um email já renderizado.
+ * @param {{ from: Object, to: Object, replyTo?: Object, subject: string, html: string }} message
+ */
+async function send(message) {
+    try {
+        await transporter.sendMail({
+            from: formatAddress(message.from),
+            to: formatAddress(message.to),
+            replyTo: message.replyTo ? formatAddress(message.replyTo) : undefined,
+            subject: message.subject,
+            html: message.html,
+        });
+    } catch (error) {
+        console.error("Erro ao enviar email via SMTP:", error.message);
+        throw new Error('Falha no serviço de envio de email.');
+    }
+}
+
+module.exports = {
+    name: 'smtp',
+    send
+};
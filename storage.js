@@ -0,0 +1,99 @@
+// storage.js - Abstração do armazenamento de mídia (imagens dos cursos e vídeos das aulas).
+
+// Cada driver implementa a mesma interface:
+//   uploadFile(filePath, resourceType, folder)            -> URL pública do arquivo (filePath pode ser um Data URI)
+//   deleteFile(fileUrl, resourceType)                     -> remove um arquivo público pela URL
+//   uploadPrivateVideoStream(readable, folder, fileName?) -> { publicId, format } de um vídeo privado
+//   getSignedVideoUrl(publicId, format)                   -> { url, expiresAt } temporária para reprodução
+//   deletePrivateVideo(publicId)                          -> remove um vídeo privado
+// O driver ativo é escolhido em config.storage.driver (STORAGE_DRIVER).
+//
+// ATENÇÃO: trocar de driver não migra os arquivos já enviados. Aulas e capas antigas continuam
+// apontando para o armazenamento em que foram salvas.
+
+const fs = require('fs');
+const { config } = require('./config');
+
+// Registro dos drivers disponíveis (carregados sob demanda)
+const drivers = {
+    cloudinary: () => require('./cloudinary'),
+    local: () => require('./localDisk')
+};
+
+/**
+ * Retorna um driver de armazenamento pelo nome (padrão: o configurado em STORAGE_DRIVER).
+ * @param {string} [name] - Nome do driver.
+ * @returns {Object} Driver de armazenamento.
+ */
+function getStorageDriver(name = config.storage.driver) {
+    const loadDriver = drivers[name];
+    if (!loadDriver) {
+        throw new Error(`Driver de armazenamento desconhecido: ${name}.`);
+    }
+    return loadDriver();
+}
+
+/**
+ * Faz o upload de um arquivo público (ex: capa de curso).
+ * @param {string} filePath - Caminho local ou Data URI do arquivo.
+ * @param {string} resourceType - Tipo de recurso ('image' ou 'video').
+ * @param {string} folder - Pasta de destino.
+ * @returns {Promise<string>} URL pública do arquivo.
+ */
+async function uploadFile(filePath, resourceType, folder) {
+    return getStorageDriver().uploadFile(filePath, resourceType, folder);
+}
+
+/**
+ * Remove um arquivo público a partir da sua URL.
+ */
+async function deleteFile(fileUrl, resourceType) {
+    return getStorageDriver().deleteFile(fileUrl, resourceType);
+}
+
+/**
+ * Envia um vídeo privado lido de um stream.
+ * @param {stream.Readable} readable - Conteúdo do vídeo.
+ * @param {string} folder - Pasta de destino.
+ * @param {string} [fileName] - Nome original (usado para inferir a extensão quando o driver precisa).
+ * @returns {Promise<{ publicId: string, format: string }>}
+ */
+async function uploadPrivateVideoStream(readable, folder, fileName) {
+    return getStorageDriver().uploadPrivateVideoStream(readable, folder, fileName);
+}
+
+/**
+ * Envia um vídeo privado salvo em disco.
+ * @param {string} filePath - Caminho local do arquivo.
+ * @param {string} folder - Pasta de destino.
+ * @param {string} [fileName] - Nome original do arquivo.
+ * @returns {Promise<{ publicId: string, format: string }>}
+ */
+async function uploadPrivateVideo(filePath, folder, fileName) {
+    return uploadPrivateVideoStream(fs.createReadStream(filePath), folder, fileName || filePath);
+}
+
+/**
+ * Gera uma URL assinada e temporária para reproduzir um vídeo privado.
+ * @returns {{ url: string, expiresAt: Date }}
+ */
+function getSignedVideoUrl(publicId, format) {
+    return getStorageDriver().getSignedVideoUrl(publicId, format);
+}
+
+/**
+ * Remove um vídeo privado a partir do seu identificador.
+ */
+async function deletePrivateVideo(publicId) {
+    return getStorageDriver().deletePrivateVideo(publicId);
+}
+
+module.exports = {
+    getStorageDriver,
+    uploadFile,
+    deleteFile,
+    uploadPrivateVideo,
+    uploadPrivateVideoStream,
+    getSignedVideoUrl,
+    deletePrivateVideo
+};
@@ -0,0 +1,330 @@
+// subscriptionController.js - Planos de assinatura: vitrine pública, assinatura/renovação e gestão pelo Admin.
+
+// Os provedores de pagamento fazem cobranças avulsas: cada período é pago por um pedido próprio.
+// O primeiro pagamento cria a assinatura; os seguintes estendem current_period_end (ver grantOrderAccess).
+
+const { pool } = require('./database');
+const { config } = require('./config');
+const { getPaymentProvider } = require('./payments');
+const { createItemOrder } = require('./paymentController');
+const { publishedCourseSql } = require('./courseAccess');
+
+/**
+ * Valida os campos de um plano enviados pelo Admin.
+ * @param {Object} body - Corpo da requisição.
+ * @param {boolean} partial - true na edição (campos ausentes são ignorados).
+ * @returns {string|null} Mensagem de erro ou null se válido.
+ */
+function validatePlanFields({ name, price, intervalMonths, allCourses, courseIds }, partial) {
+    if (!partial && (!name || price === undefined)) {
+        return 'Nome e preço são obrigatórios.';
+    }
+    if (!partial && !allCourses && (!Array.isArray(courseIds) || courseIds.length === 0)) {
+        return 'Informe os cursos do plano ou marque allCourses.';
+    }
+    if (name !== undefined && !String(name).trim()) {
+        return 'O nome do plano não pode ficar vazio.';
+    }
+    if (price !== undefined && (isNaN(Number(price)) || Number(price) <= 0)) {
+        return 'O preço deve ser maior que zero.';
+    }
+    if (intervalMonths !== undefined && (!Number.isInteger(Number(intervalMonths)) || Number(intervalMonths) < 1 || Number(intervalMonths) > 12)) {
+        return 'A duração do período deve ser de 1 a 12 meses.';
+    }
+    if (courseIds !== undefined && !Array.isArray(courseIds)) {
+        return 'courseIds deve ser uma lista.';
+    }
+    return null;
+}
+
+/**
+ * Substitui os cursos de um plano.
+ */
+async function setPlanCourses(connection, planId, courseIds) {
+    await connection.execute('DELETE FROM PlanCourses WHERE plan_id = ?', [planId]);
+    for (const courseId of new Set(courseIds.map(Number))) {
+        await connection.execute('INSERT INTO PlanCourses (plan_id, course_id) VALUES (?, ?)', [planId, courseId]);
+    }
+}
+
+/**
+ * Busca os cursos de vários planos, agrupados por plano (planos com allCourses não têm lista).
+ * @param {Array<number>} planIds - IDs dos planos.
+ * @param {boolean} [publishedOnly=false] - Apenas cursos publicados (vitrine pública).
+ * @returns {Promise<Object<number, Array>>} { planId: [{ id, name, image_url, status }] }
+ */
+async function getCoursesByPlan(planIds, publishedOnly = false) {
+    const coursesByPlan = {};
+    if (planIds.length === 0) return coursesByPlan;
+
+    const [rows] = await pool.execute(
+        `SELECT pc.plan_id, c.id, c.name, c.image_url, c.status
+         FROM PlanCourses pc JOIN Courses c ON pc.course_id = c.id
+         WHERE pc.plan_id IN (${planIds.map(() => '?').join(', ')})
+         ${publishedOnly ? `AND ${publishedCourseSql('c')}` : ''}
+         ORDER BY c.name ASC`,
+        planIds
+    );
+    for (const { plan_id, ...course } of rows) {
+        (coursesByPlan[plan_id] = coursesByPlan[plan_id] || []).push(course);
+    }
+    return coursesByPlan;
+}
+
+// ===================================
+// Rotas Públicas
+// ===================================
+
+/**
+ * Lista os planos de assinatura à venda.
+ */
+async function getPublicPlans(req, res) {
+    try {
+        const [plans] = await pool.execute(
+            'SELECT id, name, description, price, interval_months, all_courses FROM SubscriptionPlans WHERE is_active = TRUE ORDER BY price ASC'
+        );
+        const coursesByPlan = await getCoursesByPlan(plans.map(plan => plan.id), true);
+
+        res.json(plans.map(plan => ({
+            ...plan,
+            all_courses: Boolean(plan.all_courses),
+            courses: plan.all_courses ? null : (coursesByPlan[plan.id] || []).map(({ status, ...course }) => course)
+        })));
+    } catch (error) {
+        console.error('Erro ao listar planos:', error);
+        res.status(500).json({ message: 'Erro interno ao listar planos.' });
+    }
+}
+
+// ===================================
+// Rotas de Usuário (Logado)
+// ===================================
+
+/**
+ * Assina um plano ou paga o próximo período de uma assinatura existente.
+ * Body: { planId }
+ */
+async function subscribeToPlan(req, res) {
+    const userId = req.userId;
+    const { planId } = req.body;
+
+    if (!planId) {
+        return res.status(400).json({ message: 'O ID do plano é obrigatório.' });
+    }
+
+    const provider = getPaymentProvider();
+    if (!provider) {
+        console.error(`Provedor de pagamento '${config.payment.provider}' não está registrado.`);
+        return res.status(500).json({ message: 'Pagamentos indisponíveis no momento.' });
+    }
+
+    try {
+        const [plans] = await pool.execute('SELECT id, name, price FROM SubscriptionPlans WHERE id = ? AND is_active = TRUE', [planId]);
+        if (plans.length === 0) {
+            return res.status(404).json({ message: 'Plano não encontrado.' });
+        }
+
+        const order = await createItemOrder(provider, userId, { type: 'plan', ...plans[0] });
+        if (order.error) {
+            return res.status(502).json({ message: order.error });
+        }
+
+        const { reused, ...orderData } = order;
+        res.status(reused ? 200 : 201).json({
+            message: reused
+                ? 'Você já possui um pedido pendente para este plano.'
+                : `Pedido da assinatura '${plans[0].name}' criado. Conclua o pagamento para liberar o acesso.`,
+            ...orderData
+        });
+
+    } catch (error) {
+        console.error('Erro ao criar pedido de assinatura:', error);
+        res.status(500).json({ message: 'Erro interno ao criar pedido de assinatura.' });
+    }
+}
+
+/**
+ * Lista as assinaturas do usuário logado (vigentes e vencidas).
+ */
+async function getUserSubscriptions(req, res) {
+    const userId = req.userId;
+
+    try {
+        const [subscriptions] = await pool.execute(
+            `SELECT s.id, s.plan_id, sp.name AS plan_name, sp.price, sp.interval_months, sp.all_courses,
+                    s.started_at, s.current_period_end, s.current_period_end > CURRENT_TIMESTAMP AS is_active
+             FROM Subscriptions s
+             JOIN SubscriptionPlans sp ON sp.id = s.plan_id
+             WHERE s.user_id = ?
+             ORDER BY s.current_period_end DESC`,
+            [userId]
+        );
+
+        res.json(subscriptions.map(subscription => ({
+            ...subscription,
+            all_courses: Boolean(subscription.all_courses),
+            is_active: Boolean(subscription.is_active)
+        })));
+    } catch (error) {
+        console.error('Erro ao listar assinaturas:', error);
+        res.status(500).json({ message: 'Erro interno ao listar assinaturas.' });
+    }
+}
+
+// ===================================
+// Rotas do Admin
+// ===================================
+
+/**
+ * Lista todos os planos (inclusive inativos), com cursos e assinantes ativos.
+ */
+async function listPlans(req, res) {
+    try {
+        const [plans] = await pool.execute(
+            `SELECT sp.*,
+                    (SELECT COUNT(*) FROM Subscriptions s WHERE s.plan_id = sp.id AND s.current_period_end > CURRENT_TIMESTAMP) AS active_subscribers
+             FROM SubscriptionPlans sp ORDER BY sp.created_at DESC`
+        );
+        const coursesByPlan = await getCoursesByPlan(plans.map(plan => plan.id));
+
+        res.json(plans.map(plan => ({ ...plan, courses: coursesByPlan[plan.id] || [] })));
+    } catch (error) {
+        console.error('Erro ao listar planos:', error);
+        res.status(500).json({ message: 'Erro interno ao listar planos.' });
+    }
+}
+
+/**
+ * Cria um plano de assinatura.
+ * Body: { name, description?, price, intervalMonths? (padrão 1), allCourses?, courseIds?: [..], isActive? }
+ */
+async function createPlan(req, res) {
+    const { name, description, price, intervalMonths, allCourses, courseIds, isActive } = req.body;
+
+    const validationError = validatePlanFields(req.body, false);
+    if (validationError) {
+        return res.status(400).json({ message: validationError });
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const [result] = await connection.execute(
+            'INSERT INTO SubscriptionPlans (name, description, price, interval_months, all_courses, is_active) VALUES (?, ?, ?, ?, ?, ?)',
+            [
+                String(name).trim(), description || null, Number(price), intervalMonths ? Number(intervalMonths) : 1,
+                Boolean(allCourses), isActive !== undefined ? Boolean(isActive) : true
+            ]
+        );
+        await setPlanCourses(connection, result.insertId, allCourses ? [] : courseIds);
+
+        await connection.commit();
+        res.status(201).json({ message: 'Plano criado com sucesso!', planId: result.insertId });
+
+    } catch (error) {
+        if (connection) await connection.rollback();
+        if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+            return res.status(404).json({ message: 'Um dos cursos informados não existe.' });
+        }
+        console.error('Erro ao criar plano:', error);
+        res.status(500).json({ message: 'Erro interno ao criar plano.' });
+    } finally {
+        if (connection) connection.release();
+    }
+}
+
+/**
+ * Atualiza um plano (campos parciais). A duração e o preço novos valem a partir do próximo pagamento.
+ */
+async function updatePlan(req, res) {
+    const { planId } = req.params;
+    const { name, description, price, intervalMonths, allCourses, courseIds, isActive } = req.body;
+
+    const validationError = validatePlanFields(req.body, true);
+    if (validationError) {
+        return res.status(400).json({ message: validationError });
+    }
+
+    const updates = [];
+    const params = [];
+    if (name !== undefined) { updates.push('name = ?'); params.push(String(name).trim()); }
+    if (description !== undefined) { updates.push('description = ?'); params.push(description || null); }
+    if (price !== undefined) { updates.push('price = ?'); params.push(Number(price)); }
+    if (intervalMonths !== undefined) { updates.push('interval_months = ?'); params.push(Number(intervalMonths)); }
+    if (allCourses !== undefined) { updates.push('all_courses = ?'); params.push(Boolean(allCourses)); }
+    if (isActive !== undefined) { updates.push('is_active = ?'); params.push(Boolean(isActive)); }
+
+    if (updates.length === 0 && courseIds === undefined) {
+        return res.status(400).json({ message: 'Informe ao menos um campo para atualizar.' });
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const [plans] = await connection.execute('SELECT id FROM SubscriptionPlans WHERE id = ? FOR UPDATE', [planId]);
+        if (plans.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Plano não encontrado.' });
+        }
+
+        if (updates.length > 0) {
+            await connection.execute(`UPDATE SubscriptionPlans SET ${updates.join(', ')} WHERE id = ?`, [...params, planId]);
+        }
+        if (courseIds !== undefined) {
+            await setPlanCourses(connection, planId, courseIds);
+        }
+
+        await connection.commit();
+        res.json({ message: 'Plano atualizado com sucesso!' });
+
+    } catch (error) {
+        if (connection) await connection.rollback();
+        if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+            return res.status(404).json({ message: 'Um dos cursos informados não existe.' });
+        }
+        console.error('Erro ao atualizar plano:', error);
+        res.status(500).json({ message: 'Erro interno ao atualizar plano.' });
+    } finally {
+        if (connection) connection.release();
+    }
+}
+
+/**
+ * Remove um plano que nunca teve pedidos. Planos já vendidos devem ser desativados (isActive: false):
+ * os assinantes mantêm o acesso até o fim do período pago, mas não podem renovar.
+ */
+async function deletePlan(req, res) {
+    const { planId } = req.params;
+
+    try {
+        const [[{ orders }]] = await pool.execute('SELECT COUNT(*) AS orders FROM Orders WHERE plan_id = ?', [planId]);
+        if (orders > 0) {
+            return res.status(409).json({ message: 'Este plano já possui pedidos. Desative-o em vez de removê-lo.' });
+        }
+
+        const [result] = await pool.execute('DELETE FROM SubscriptionPlans WHERE id = ?', [planId]);
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'Plano não encontrado.' });
+        }
+
+        res.json({ message: 'Plano removido com sucesso!' });
+
+    } catch (error) {
+        console.error('Erro ao remover plano:', error);
+        res.status(500).json({ message: 'Erro interno ao remover plano.' });
+    }
+}
+
+module.exports = {
+    getPublicPlans,
+    subscribeToPlan,
+    getUserSubscriptions,
+    listPlans,
+    createPlan,
+    updatePlan,
+    deletePlan
+};
@@ -0,0 +1,404 @@
+// uploadController.js - Upload de vídeos em partes (retomável) para as aulas.
+
+// Fluxo: o admin inicia o upload (init), envia cada parte do arquivo com PUT (corpo binário),
+// consulta as partes já recebidas para retomar após uma queda de conexão e, por fim, conclui.
+// Cada parte é gravada em disco por stream; na conclusão as partes são lidas em sequência e
+// enviadas ao armazenamento (storage.js) também por stream, sem o arquivo inteiro passar pela memória.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { pool } = require('./database');
+const { config } = require('./config');
+const { uploadPrivateVideoStream } = require('./storage');
+const { attachLessonVideo } = require('./adminController');
+
+// Uploads que podem ser concluídos (novamente) ou cancelados. Um upload parado em PROCESSANDO há mais de
+// config.uploads.expirationHours teve o processamento interrompido (ex: o servidor caiu) e também entra.
+const RETRYABLE_UPLOAD_SQL = `(status IN ('EM_ANDAMENTO', 'FALHOU')
+    OR (status = 'PROCESSANDO' AND updated_at < DATE_SUB(CURRENT_TIMESTAMP, INTERVAL ? HOUR)))`;
+
+/**
+ * Pasta temporária das partes de um upload.
+ */
+function uploadDir(uploadId) {
+    return path.join(config.uploads.tempDir, 'partes', uploadId);
+}
+
+/**
+ * Caminho de uma parte em disco.
+ */
+function partPath(uploadId, partNumber) {
+    return path.join(uploadDir(uploadId), `${partNumber}.part`);
+}
+
+/**
+ * Tamanho esperado de uma parte (a última pode ser menor).
+ */
+function expectedPartSize(upload, partNumber) {
+    if (partNumber < upload.total_parts) {
+        return upload.part_size;
+    }
+    return upload.file_size - upload.part_size * (upload.total_parts - 1);
+}
+
+/**
+ * Remove as partes em disco de um upload (falhas são apenas registradas).
+ */
+async function removeUploadFiles(uploadId) {
+    try {
+        await fs.promises.rm(uploadDir(uploadId), { recursive: true, force: true });
+    } catch (error) {
+        console.error(`Não foi possível remover as partes do upload ${uploadId}:`, error.message);
+    }
+}
+
+/**
+ * Cancela uploads abandonados (sem atividade há mais de config.uploads.expirationHours)
+ * e libera o espaço em disco ocupado pelas partes.
+ * Processamentos interrompidos passam para FALHOU: o admin pode concluir de novo antes que expirem.
+ */
+async function cleanupExpiredUploads() {
+    await pool.execute(
+        `UPDATE VideoUploads SET status = 'FALHOU', error_message = 'Processamento interrompido'
+         WHERE status = 'PROCESSANDO' AND updated_at < DATE_SUB(CURRENT_TIMESTAMP, INTERVAL ? HOUR)`,
+        [config.uploads.expirationHours]
+    );
+
+    const [expired] = await pool.execute(
+        `SELECT id FROM VideoUploads
+         WHERE status IN ('EM_ANDAMENTO', 'FALHOU')
+           AND updated_at < DATE_SUB(CURRENT_TIMESTAMP, INTERVAL ? HOUR)`,
+        [config.uploads.expirationHours]
+    );
+
+    for (const { id } of expired) {
+        await pool.execute("UPDATE VideoUploads SET status = 'CANCELADO', error_message = 'Expirado' WHERE id = ?", [id]);
+        await pool.execute('DELETE FROM VideoUploadParts WHERE upload_id = ?', [id]);
+        await removeUploadFiles(id);
+    }
+}
+
+/**
+ * Carrega o upload da URL e verifica se o admin logado pode usá-lo
+ * (apenas quem iniciou o upload ou um super_admin). Responde 404 caso contrário.
+ * @returns {Promise<Object|null>} Linha de VideoUploads ou null (resposta já enviada).
+ */
+async function loadUpload(req, res) {
+    const [uploads] = await pool.execute('SELECT * FROM VideoUploads WHERE id = ?', [req.params.uploadId]);
+    const upload = uploads[0];
+
+    if (!upload || (upload.admin_id !== req.userId && req.adminRole !== 'super_admin')) {
+        res.status(404).json({ message: 'Upload não encontrado.' });
+        return null;
+    }
+
+    upload.file_size = Number(upload.file_size); // BIGINT pode vir como string
+    return upload;
+}
+
+/**
+ * Lê as partes em ordem como um único stream (usado no envio ao armazenamento).
+ */
+function readPartsInOrder(upload) {
+    return Readable.from((async function* () {
+        for (let partNumber = 1; partNumber <= upload.total_parts; partNumber++) {
+            for await (const chunk of fs.createReadStream(partPath(upload.id, partNumber))) {
+                yield chunk;
+            }
+        }
+    })());
+}
+
+/**
+ * Envia o arquivo montado ao armazenamento e associa o vídeo à aula (se houver).
+ * Executado em segundo plano após a resposta de completeVideoUpload; o cliente acompanha pelo status.
+ * As partes só são descartadas depois que a aula foi atualizada: até lá, uma falha deixa o upload
+ * em FALHOU com as partes em disco, e o admin pode concluir novamente.
+ */
+async function processUpload(upload) {
+    try {
+        const video = await uploadPrivateVideoStream(readPartsInOrder(upload), 'aulas_videos', upload.file_name);
+
+        if (upload.lesson_id && !(await attachLessonVideo(upload.lesson_id, video))) {
+            console.warn(`Upload ${upload.id} concluído, mas a aula #${upload.lesson_id} não existe mais.`);
+        }
+
+        await pool.execute(
+            `UPDATE VideoUploads SET status = 'CONCLUIDO', video_public_id = ?, video_format = ?,
+                    error_message = NULL, completed_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [video.publicId, video.format, upload.id]
+        );
+        await pool.execute('DELETE FROM VideoUploadParts WHERE upload_id = ?', [upload.id]);
+        await removeUploadFiles(upload.id);
+
+        console.log(`Upload ${upload.id} (${upload.file_name}) concluído.`);
+
+    } catch (error) {
+        // As partes continuam em disco: o admin pode tentar concluir novamente
+        console.error(`Erro ao processar o upload ${upload.id}:`, error);
+        await pool.execute(
+            "UPDATE VideoUploads SET status = 'FALHOU', error_message = ? WHERE id = ?",
+            [String(error.message).slice(0, 255), upload.id]
+        ).catch(dbError => console.error('Erro ao registrar falha do upload:', dbError));
+    }
+}
+
+// ===================================
+// Rotas do Admin
+// ===================================
+
+/**
+ * Inicia um upload em partes.
+ * Body: { fileName, fileSize, mimeType, lessonId? }
+ * Resposta: { uploadId, partSize, totalParts } - o cliente divide o arquivo em partes de partSize bytes.
+ */
+async function initVideoUpload(req, res) {
+    const { fileName, mimeType, lessonId } = req.body;
+    const fileSize = Number(req.body.fileSize);
+
+    if (!fileName || !mimeType || !fileSize) {
+        return res.status(400).json({ message: 'Nome do arquivo, tamanho e tipo (mimeType) são obrigatórios.' });
+    }
+    if (!mimeType.startsWith('video/')) {
+        return res.status(400).json({ message: 'O arquivo enviado deve ser um vídeo.' });
+    }
+    if (!Number.isInteger(fileSize) || fileSize <= 0 || fileSize > config.uploads.maxFileSizeBytes) {
+        return res.status(400).json({ message: 'Tamanho de arquivo inválido ou acima do limite permitido.' });
+    }
+
+    try {
+        await cleanupExpiredUploads();
+
+        if (lessonId) {
+            const [lessons] = await pool.execute('SELECT id FROM Lessons WHERE id = ?', [lessonId]);
+            if (lessons.length === 0) {
+                return res.status(404).json({ message: 'Aula não encontrada.' });
+            }
+        }
+
+        const uploadId = crypto.randomBytes(16).toString('hex');
+        const partSize = config.uploads.partSizeBytes;
+        const totalParts = Math.ceil(fileSize / partSize);
+
+        await fs.promises.mkdir(uploadDir(uploadId), { recursive: true });
+        await pool.execute(
+            `INSERT INTO VideoUploads (id, admin_id, lesson_id, file_name, mime_type, file_size, part_size, total_parts)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [uploadId, req.userId, lessonId || null, String(fileName).slice(0, 255), mimeType, fileSize, partSize, totalParts]
+        );
+
+        res.status(201).json({ message: 'Upload iniciado.', uploadId, partSize, totalParts });
+
+    } catch (error) {
+        console.error('Erro ao iniciar upload:', error);
+        res.status(500).json({ message: 'Erro interno ao iniciar upload.' });
+    }
+}
+
+/**
+ * Recebe uma parte do arquivo (corpo binário, Content-Type: application/octet-stream).
+ * Reenviar uma parte já recebida a substitui. O header opcional X-Part-Checksum (SHA-256 em hex)
+ * permite ao cliente detectar partes corrompidas.
+ */
+async function uploadVideoPart(req, res) {
+    const partNumber = Number(req.params.partNumber);
+
+    let tempPath;
+    try {
+        const upload = await loadUpload(req, res);
+        if (!upload) return;
+
+        if (upload.status !== 'EM_ANDAMENTO' && upload.status !== 'FALHOU') {
+            return res.status(409).json({ message: `Este upload não aceita mais partes (status: ${upload.status}).` });
+        }
+        if (!Number.isInteger(partNumber) || partNumber < 1 || partNumber > upload.total_parts) {
+            return res.status(400).json({ message: `Número da parte inválido. Use de 1 a ${upload.total_parts}.` });
+        }
+
+        const expectedSize = expectedPartSize(upload, partNumber);
+        const hash = crypto.createHash('sha256');
+        let size = 0;
+
+        // Conta os bytes e calcula o hash enquanto grava em disco
+        const meter = new Transform({
+            transform(chunk, encoding, callback) {
+                size += chunk.length;
+                if (size > expectedSize) {
+                    return callback(Object.assign(new Error('Parte maior que o esperado.'), { code: 'PART_TOO_LARGE' }));
+                }
+                hash.update(chunk);
+                callback(null, chunk);
+            }
+        });
+
+        tempPath = `${partPath(upload.id, partNumber)}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+        await fs.promises.mkdir(uploadDir(upload.id), { recursive: true });
+        await pipeline(req, meter, fs.createWriteStream(tempPath));
+
+        const checksum = hash.digest('hex');
+        const clientChecksum = req.headers['x-part-checksum'];
+
+        if (size !== expectedSize) {
+            await fs.promises.unlink(tempPath);
+            return res.status(400).json({ message: `Tamanho da parte incorreto: esperado ${expectedSize} bytes, recebido ${size}.` });
+        }
+        if (clientChecksum && clientChecksum.toLowerCase() !== checksum) {
+            await fs.promises.unlink(tempPath);
+            return res.status(400).json({ message: 'Checksum da parte não confere. Envie a parte novamente.' });
+        }
+
+        // A parte só passa a valer quando está completa em disco
+        await fs.promises.rename(tempPath, partPath(upload.id, partNumber));
+        await pool.execute(
+            `INSERT INTO VideoUploadParts (upload_id, part_number, size, checksum) VALUES (?, ?, ?, ?)
+             ON DUPLICATE KEY UPDATE size = VALUES(size), checksum = VALUES(checksum)`,
+            [upload.id, partNumber, size, checksum]
+        );
+        await pool.execute('UPDATE VideoUploads SET updated_at = CURRENT_TIMESTAMP WHERE id = ?', [upload.id]);
+
+        res.json({ partNumber, size, checksum });
+
+    } catch (error) {
+        if (tempPath) {
+            fs.promises.unlink(tempPath).catch(() => {});
+        }
+        if (error.code === 'PART_TOO_LARGE') {
+            return res.status(413).json({ message: error.message });
+        }
+        if (error.code === 'ERR_STREAM_PREMATURE_CLOSE' || req.aborted) {
+            // Conexão interrompida: a parte é descartada e pode ser reenviada
+            console.warn(`Envio da parte ${partNumber} do upload ${req.params.uploadId} interrompido.`);
+            if (!res.headersSent) res.status(400).json({ message: 'Envio da parte interrompido. Envie a parte novamente.' });
+            return;
+        }
+        console.error('Erro ao receber parte do upload:', error);
+        res.status(500).json({ message: 'Erro interno ao receber parte do upload.' });
+    }
+}
+
+/**
+ * Retorna o status do upload e as partes já recebidas (usado para retomar o envio).
+ */
+async function getVideoUpload(req, res) {
+    try {
+        const upload = await loadUpload(req, res);
+        if (!upload) return;
+
+        const [parts] = await pool.execute(
+            'SELECT part_number, size, checksum FROM VideoUploadParts WHERE upload_id = ? ORDER BY part_number ASC',
+            [upload.id]
+        );
+        const received = new Set(parts.map(part => part.part_number));
+        const missingParts = [];
+        for (let partNumber = 1; partNumber <= upload.total_parts; partNumber++) {
+            if (!received.has(partNumber)) missingParts.push(partNumber);
+        }
+
+        res.json({
+            uploadId: upload.id,
+            status: upload.status,
+            fileName: upload.file_name,
+            fileSize: upload.file_size,
+            partSize: upload.part_size,
+            totalParts: upload.total_parts,
+            receivedParts: parts.map(part => ({ partNumber: part.part_number, size: part.size, checksum: part.checksum })),
+            missingParts: upload.status === 'CONCLUIDO' ? [] : missingParts,
+            lessonId: upload.lesson_id,
+            hasVideo: Boolean(upload.video_public_id),
+            error: upload.error_message,
+            createdAt: upload.created_at,
+            completedAt: upload.completed_at
+        });
+
+    } catch (error) {
+        console.error('Erro ao consultar upload:', error);
+        res.status(500).json({ message: 'Erro interno ao consultar upload.' });
+    }
+}
+
+/**
+ * Conclui o upload: verifica se todas as partes chegaram e inicia o envio ao armazenamento.
+ * Responde 202; o cliente acompanha o status por GET até CONCLUIDO (ou FALHOU, quando pode concluir novamente).
+ * Body: { lessonId? } - aula que receberá o vídeo (substitui a informada no início).
+ */
+async function completeVideoUpload(req, res) {
+    const { lessonId } = req.body;
+
+    try {
+        const upload = await loadUpload(req, res);
+        if (!upload) return;
+
+        if (lessonId) {
+            const [lessons] = await pool.execute('SELECT id FROM Lessons WHERE id = ?', [lessonId]);
+            if (lessons.length === 0) {
+                return res.status(404).json({ message: 'Aula não encontrada.' });
+            }
+            upload.lesson_id = Number(lessonId);
+        }
+
+        const [[{ received }]] = await pool.execute(
+            'SELECT COUNT(*) AS received FROM VideoUploadParts WHERE upload_id = ?',
+            [upload.id]
+        );
+        if (received < upload.total_parts) {
+            return res.status(400).json({ message: `Upload incompleto: ${received} de ${upload.total_parts} partes recebidas.` });
+        }
+
+        // A troca de status garante que o upload seja processado uma única vez
+        const [result] = await pool.execute(
+            `UPDATE VideoUploads SET status = 'PROCESSANDO', lesson_id = ?, error_message = NULL
+             WHERE id = ? AND ${RETRYABLE_UPLOAD_SQL}`,
+            [upload.lesson_id, upload.id, config.uploads.expirationHours]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(409).json({ message: `Este upload não pode ser concluído (status: ${upload.status}).` });
+        }
+
+        processUpload(upload);
+
+        res.status(202).json({ message: 'Upload recebido. O vídeo está sendo processado.', uploadId: upload.id, status: 'PROCESSANDO' });
+
+    } catch (error) {
+        console.error('Erro ao concluir upload:', error);
+        res.status(500).json({ message: 'Erro interno ao concluir upload.' });
+    }
+}
+
+/**
+ * Cancela um upload em andamento e descarta as partes recebidas.
+ */
+async function abortVideoUpload(req, res) {
+    try {
+        const upload = await loadUpload(req, res);
+        if (!upload) return;
+
+        const [result] = await pool.execute(
+            `UPDATE VideoUploads SET status = 'CANCELADO' WHERE id = ? AND ${RETRYABLE_UPLOAD_SQL}`,
+            [upload.id, config.uploads.expirationHours]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(409).json({ message: `Este upload não pode ser cancelado (status: ${upload.status}).` });
+        }
+
+        await pool.execute('DELETE FROM VideoUploadParts WHERE upload_id = ?', [upload.id]);
+        await removeUploadFiles(upload.id);
+
+        res.json({ message: 'Upload cancelado.' });
+
+    } catch (error) {
+        console.error('Erro ao cancelar upload:', error);
+        res.status(500).json({ message: 'Erro interno ao cancelar upload.' });
+    }
+}
+
+module.exports = {
+    initVideoUpload,
+    uploadVideoPart,
+    getVideoUpload,
+    completeVideoUpload,
+    abortVideoUpload
+};
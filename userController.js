@@ -1,21 +1,130 @@
 // userController.js - Lógica para visualização de cursos, compras e reembolso.
 
 const { pool } = require('./database');
-const { sendRefundNotification } = require('./brevo');
+const { sendEmail } = require('./email');
+const { getPaymentProvider } = require('./payments');
+const { normalizeCouponCode, evaluateCoupon } = require('./couponController');
+const { config } = require('./config');
+const { publishedCourseSql, listCourseAccess, findCourseAccess, getCourseReleaseSchedule } = require('./courseAccess');
+const { getSignedVideoUrl } = require('./storage');
+const { calculateProgressPercentage, getCourseProgress } = require('./progressController');
+const { RATINGS_BY_COURSE_SQL, formatRating, getCourseReviews, parseReviewsPagination } = require('./reviewController');
+const { getCourseQuizzes } = require('./quizController');
 
 // ===================================
 // Rotas Públicas (Sem Login)
 // ===================================
 
+// Ordenações aceitas no catálogo (?sort=)
+const CATALOG_SORTS = {
+    newest: 'c.created_at DESC, c.id DESC',
+    price_asc: 'c.price ASC, c.id DESC',
+    price_desc: 'c.price DESC, c.id DESC',
+    popular: 'sales_count DESC, c.id DESC',
+    rating: 'average_rating IS NULL, average_rating DESC, rating_count DESC, c.id DESC',
+    relevance: 'relevance DESC, c.id DESC' // Apenas com busca (?q=)
+};
+const DEFAULT_PAGE_SIZE = 12;
+const MAX_PAGE_SIZE = 50;
+
+/**
+ * Escapa os curingas do LIKE (% e _) e a barra invertida, para que a busca os trate como texto.
+ */
+function escapeLikePattern(text) {
+    return String(text).replace(/[\\%_]/g, '\\$&');
+}
+
 /**
- * Lista todos os cursos publicamente (apenas capa, nome, descrição e preço).
+ * Converte o texto digitado na busca para o modo booleano do FULLTEXT:
+ * cada palavra é obrigatória e aceita prefixo (ex: "java scr" -> "+java* +scr*").
+ * Palavras curtas demais para o índice (menos de 3 letras) são ignoradas.
+ * @returns {string|null} Expressão de busca ou null se não sobrar nenhuma palavra.
+ */
+function buildFullTextQuery(search) {
+    const words = String(search)
+        .replace(/[+\-<>()~*"@]/g, ' ')
+        .split(/\s+/)
+        .filter(word => word.length >= 3);
+    return words.length > 0 ? words.map(word => `+${word}*`).join(' ') : null;
+}
+
+/**
+ * Lista os cursos publicamente (capa, nome, descrição, preço e avaliação média), com busca, filtros e paginação.
+ * Query: ?q=texto&minPrice=10&maxPrice=100&sort=newest|price_asc|price_desc|popular|rating|relevance&page=1&pageSize=12
+ * Resposta: { courses: [...], pagination: { page, pageSize, total, totalPages } }
  */
 async function getPublicCourses(req, res) {
+    const { q, minPrice, maxPrice } = req.query;
+    const search = q ? String(q).trim() : '';
+    const sort = req.query.sort || (search ? 'relevance' : 'newest');
+    const page = req.query.page === undefined ? 1 : Number(req.query.page);
+    const pageSize = req.query.pageSize === undefined ? DEFAULT_PAGE_SIZE : Number(req.query.pageSize);
+
+    if (!CATALOG_SORTS[sort] || (sort === 'relevance' && !search)) {
+        return res.status(400).json({ message: 'Ordenação inválida. Use: newest, price_asc, price_desc, popular, rating ou relevance (com busca).' });
+    }
+    if (!Number.isInteger(page) || page < 1 || !Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+        return res.status(400).json({ message: `Paginação inválida. A página começa em 1 e o tamanho vai até ${MAX_PAGE_SIZE}.` });
+    }
+    if ((minPrice !== undefined && isNaN(Number(minPrice))) || (maxPrice !== undefined && isNaN(Number(maxPrice)))) {
+        return res.status(400).json({ message: 'Faixa de preço inválida.' });
+    }
+
+    // O catálogo mostra apenas cursos publicados (ou agendados cuja data já chegou)
+    const conditions = [publishedCourseSql('c')];
+    const params = [];
+    let relevanceColumn = '0';
+    const relevanceParams = [];
+
+    if (search) {
+        const fullTextQuery = buildFullTextQuery(search);
+        if (fullTextQuery) {
+            conditions.push('MATCH(c.name, c.description) AGAINST (? IN BOOLEAN MODE)');
+            params.push(fullTextQuery);
+            relevanceColumn = 'MATCH(c.name, c.description) AGAINST (? IN BOOLEAN MODE)';
+            relevanceParams.push(fullTextQuery);
+        } else {
+            // Termos curtos (ex: "C#", "Go") não entram no índice FULLTEXT
+            conditions.push("c.name LIKE ? ESCAPE '\\\\'");
+            params.push(`%${escapeLikePattern(search)}%`);
+        }
+    }
+    if (minPrice !== undefined) {
+        conditions.push('c.price >= ?');
+        params.push(Number(minPrice));
+    }
+    if (maxPrice !== undefined) {
+        conditions.push('c.price <= ?');
+        params.push(Number(maxPrice));
+    }
+
+    const where = `WHERE ${conditions.join(' AND ')}`;
+
     try {
+        const [[{ total }]] = await pool.execute(`SELECT COUNT(*) AS total FROM Courses c ${where}`, params);
+
+        // LIMIT/OFFSET já validados como inteiros (o mysql2 não aceita números como parâmetros de LIMIT no execute)
         const [courses] = await pool.execute(
-            'SELECT id, name, image_url, description, price FROM Courses ORDER BY id DESC'
+            `SELECT c.id, c.name, c.image_url, c.description, c.price,
+                    ${relevanceColumn} AS relevance, COALESCE(sales.sales_count, 0) AS sales_count,
+                    ratings.average_rating, ratings.rating_count
+             FROM Courses c
+             LEFT JOIN (SELECT course_id, COUNT(*) AS sales_count FROM Purchases GROUP BY course_id) sales
+                ON sales.course_id = c.id
+             LEFT JOIN (${RATINGS_BY_COURSE_SQL}) ratings ON ratings.course_id = c.id
+             ${where}
+             ORDER BY ${CATALOG_SORTS[sort]}
+             LIMIT ${pageSize} OFFSET ${(page - 1) * pageSize}`,
+            [...relevanceParams, ...params]
         );
-        res.json(courses);
+
+        res.json({
+            courses: courses.map(({ relevance, sales_count, average_rating, rating_count, ...course }) => ({
+                ...course,
+                ...formatRating(average_rating, rating_count)
+            })),
+            pagination: { page, pageSize, total, totalPages: Math.ceil(total / pageSize) }
+        });
     } catch (error) {
         console.error('Erro ao buscar cursos públicos:', error);
         res.status(500).json({ message: 'Erro interno ao buscar cursos.' });
@@ -23,21 +132,38 @@ async function getPublicCourses(req, res) {
 }
 
 /**
- * Detalhe de um curso publicamente.
+ * Detalhe de um curso publicamente (apenas cursos publicados; a prévia dos demais é feita pelo Admin),
+ * com a avaliação média, a distribuição das notas e as avaliações aprovadas paginadas.
+ * Query: ?reviewsPage=1&reviewsPageSize=10
  */
 async function getPublicCourseDetail(req, res) {
     const { courseId } = req.params;
+
+    const reviewsPagination = parseReviewsPagination(req.query);
+    if (reviewsPagination.error) {
+        return res.status(400).json({ message: reviewsPagination.error });
+    }
+
     try {
         const [courses] = await pool.execute(
-            'SELECT id, name, image_url, description, price FROM Courses WHERE id = ?', 
+            `SELECT c.id, c.name, c.image_url, c.description, c.price FROM Courses c WHERE c.id = ? AND ${publishedCourseSql('c')}`,
             [courseId]
         );
         if (courses.length === 0) {
             return res.status(404).json({ message: 'Curso não encontrado.' });
         }
 
+        const { averageRating, ratingCount, distribution, reviews, pagination } =
+            await getCourseReviews(courseId, reviewsPagination.page, reviewsPagination.pageSize);
+
         // Retorna apenas a informação pública
-        res.json(courses[0]);
+        res.json({
+            ...courses[0],
+            averageRating,
+            ratingCount,
+            ratingDistribution: distribution,
+            reviews: { items: reviews, pagination }
+        });
 
     } catch (error) {
         console.error('Erro ao buscar detalhe do curso:', error);
@@ -51,71 +177,250 @@ async function getPublicCourseDetail(req, res) {
 // ===================================
 
 /**
- * Simula a compra de um curso (atrelada ao email do usuário).
- * (Em um ambiente real, aqui estaria a integração com um gateway de pagamento).
+ * Inicia a compra de um curso: cria um pedido PENDENTE com o preço atual do curso
+ * e a cobrança no provedor de pagamento. A compra (Purchases) só é registrada
+ * quando o webhook do provedor confirmar o pagamento (ver paymentController.js).
+ * Body: { courseId, couponCode? } - em cursos gratuitos ou com um cupom de 100%, a compra é registrada na hora.
  */
 async function purchaseCourse(req, res) {
     // Requer autenticação (authMiddleware)
     const userId = req.userId;
-    const { courseId } = req.body;
+    const { courseId, couponCode } = req.body;
 
     if (!courseId) {
         return res.status(400).json({ message: 'O ID do curso é obrigatório.' });
     }
 
+    const provider = getPaymentProvider();
+    if (!provider) {
+        console.error(`Provedor de pagamento '${config.payment.provider}' não está registrado.`);
+        return res.status(500).json({ message: 'Pagamentos indisponíveis no momento.' });
+    }
+
+    let connection;
     try {
-        // Verifica se o curso existe
-        const [course] = await pool.execute('SELECT id, name FROM Courses WHERE id = ?', [courseId]);
+        // Verifica se o curso existe e está à venda (rascunhos e arquivados não podem ser comprados)
+        const [course] = await pool.execute(
+            `SELECT c.id, c.name, c.price FROM Courses c WHERE c.id = ? AND ${publishedCourseSql('c')}`,
+            [courseId]
+        );
         if (course.length === 0) {
             return res.status(404).json({ message: 'Curso não encontrado.' });
         }
-        
-        // Tenta inserir a compra (UNIQUE KEY evita compras duplicadas)
-        const [result] = await pool.execute(
-            'INSERT INTO Purchases (user_id, course_id) VALUES (?, ?)',
+
+        const [existingPurchase] = await pool.execute(
+            'SELECT id FROM Purchases WHERE user_id = ? AND course_id = ?',
             [userId, courseId]
         );
+        if (existingPurchase.length > 0) {
+            return res.status(409).json({ message: 'Você já comprou este curso.' });
+        }
+
+        // Expira pedidos pendentes vencidos deste usuário para o curso
+        await pool.execute(
+            `UPDATE Orders SET status = 'EXPIRADO'
+             WHERE user_id = ? AND course_id = ? AND status = 'PENDENTE' AND expires_at < CURRENT_TIMESTAMP`,
+            [userId, courseId]
+        );
+
+        // O cupom é validado e o pedido gravado na mesma transação, com a linha do cupom bloqueada,
+        // para que pedidos simultâneos não ultrapassem os limites de uso.
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        // Reaproveita um pedido pendente válido com o mesmo preço e cupom (evita cobranças duplicadas).
+        // A busca vem antes da validação do cupom: o próprio pedido pendente já conta como um uso do cupom
+        // e, com o limite atingido por ele, o aluno receberia um erro em vez do pedido que já tem.
+        const [pendingOrders] = await connection.execute(
+            `SELECT o.id, o.amount, o.currency, o.checkout_url, o.expires_at FROM Orders o
+             LEFT JOIN Coupons cp ON o.coupon_id = cp.id
+             WHERE o.user_id = ? AND o.course_id = ? AND o.status = 'PENDENTE' AND o.provider = ?
+               AND o.original_amount = ? AND cp.code <=> ?
+             ORDER BY o.id DESC LIMIT 1`,
+            [userId, courseId, provider.name, course[0].price, couponCode ? normalizeCouponCode(couponCode) : null]
+        );
+        if (pendingOrders.length > 0) {
+            await connection.rollback();
+            const order = pendingOrders[0];
+            return res.json({
+                message: 'Você já possui um pedido pendente para este curso.',
+                orderId: order.id,
+                amount: order.amount,
+                currency: order.currency,
+                checkoutUrl: order.checkout_url,
+                expiresAt: order.expires_at
+            });
+        }
+
+        let coupon = null;
+        let discount = 0;
+        let amount = Number(course[0].price);
+        if (couponCode) {
+            const evaluation = await evaluateCoupon(connection, couponCode, course[0], userId, true);
+            if (evaluation.error) {
+                await connection.rollback();
+                return res.status(400).json({ message: evaluation.error });
+            }
+            ({ coupon, discount, finalAmount: amount } = evaluation);
+        }
+        const couponId = coupon ? coupon.id : null;
+
+        // Curso gratuito ou cupom de 100%: não há o que cobrar, a compra é registrada na hora
+        if (amount === 0) {
+            const [result] = await connection.execute(
+                `INSERT INTO Orders (user_id, course_id, original_amount, amount, discount_amount, coupon_id, currency, provider, status, paid_at)
+                 VALUES (?, ?, ?, 0, ?, ?, ?, ?, 'PAGO', CURRENT_TIMESTAMP)`,
+                [userId, courseId, course[0].price, discount, couponId, config.payment.currency, coupon ? 'cupom' : 'gratuito']
+            );
+            await connection.execute(
+                'INSERT INTO Purchases (user_id, course_id, order_id, amount_paid, coupon_id) VALUES (?, ?, ?, 0, ?)',
+                [userId, courseId, result.insertId, couponId]
+            );
+            await connection.commit();
+
+            return res.status(201).json({
+                message: coupon
+                    ? `Curso '${course[0].name}' liberado com o cupom ${coupon.code}.`
+                    : `Curso gratuito '${course[0].name}' liberado.`,
+                orderId: result.insertId,
+                originalAmount: Number(course[0].price),
+                discount,
+                amount: 0,
+                currency: config.payment.currency
+            });
+        }
+
+        const [result] = await connection.execute(
+            `INSERT INTO Orders (user_id, course_id, original_amount, amount, discount_amount, coupon_id, currency, provider, expires_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? MINUTE))`,
+            [userId, courseId, course[0].price, amount, discount, couponId, config.payment.currency, provider.name, config.payment.orderExpirationMinutes]
+        );
+        const orderId = result.insertId;
+        await connection.commit();
+
+        let charge;
+        try {
+            charge = await provider.createCharge({
+                id: orderId,
+                userId,
+                courseId: Number(courseId),
+                courseName: course[0].name,
+                amount,
+                currency: config.payment.currency
+            });
+        } catch (chargeError) {
+            console.error('Erro ao criar cobrança no provedor de pagamento:', chargeError.message);
+            await pool.execute(`UPDATE Orders SET status = 'FALHOU' WHERE id = ?`, [orderId]);
+            return res.status(502).json({ message: 'Falha ao iniciar o pagamento. Tente novamente.' });
+        }
 
-        res.status(201).json({ message: `Compra do curso '${course[0].name}' registrada com sucesso!`, purchaseId: result.insertId });
+        await pool.execute(
+            'UPDATE Orders SET provider_reference = ?, checkout_url = ? WHERE id = ?',
+            [charge.reference, charge.checkoutUrl, orderId]
+        );
+
+        const [orderRows] = await pool.execute('SELECT expires_at FROM Orders WHERE id = ?', [orderId]);
+
+        res.status(201).json({
+            message: `Pedido do curso '${course[0].name}' criado. Conclua o pagamento para liberar o acesso.`,
+            orderId,
+            originalAmount: Number(course[0].price),
+            discount,
+            amount,
+            currency: config.payment.currency,
+            checkoutUrl: charge.checkoutUrl,
+            expiresAt: orderRows[0].expires_at
+        });
 
     } catch (error) {
+        if (connection) await connection.rollback();
         if (error.code === 'ER_DUP_ENTRY') {
             return res.status(409).json({ message: 'Você já comprou este curso.' });
         }
-        console.error('Erro ao registrar compra:', error);
-        res.status(500).json({ message: 'Erro interno ao registrar compra.' });
+        console.error('Erro ao criar pedido de compra:', error);
+        res.status(500).json({ message: 'Erro interno ao criar pedido de compra.' });
+    } finally {
+        if (connection) connection.release();
     }
 }
 
 /**
- * Painel do Usuário: Lista os cursos comprados.
+ * Painel do Usuário: Lista os cursos liberados (compras avulsas, pacotes e assinaturas).
  */
 async function getPurchasedCourses(req, res) {
     const userId = req.userId;
 
     try {
+        // Inclui o acesso vencido (concessões com validade) para exibir o curso como bloqueado
+        const accessByCourse = await listCourseAccess(userId, null, { includeExpired: true });
+        const courseIds = [...accessByCourse.keys()];
+        if (courseIds.length === 0) {
+            return res.json([]);
+        }
+
+        // purchase_date é a data da compra avulsa (null quando o acesso vem só de pacote ou assinatura)
         const [purchases] = await pool.execute(
-            `SELECT p.course_id, c.name, c.image_url, c.description, p.purchase_date
-             FROM Purchases p
-             JOIN Courses c ON p.course_id = c.id
-             WHERE p.user_id = ?
-             ORDER BY p.purchase_date DESC`,
+            `SELECT c.id AS course_id, c.name, c.image_url, c.description, p.purchase_date,
+                    (SELECT COUNT(*) FROM Lessons l JOIN Modules m ON l.module_id = m.id
+                     WHERE m.course_id = c.id AND l.status = 'PUBLICADO') AS total_lessons,
+                    (SELECT COUNT(*) FROM LessonProgress lp JOIN Lessons l ON lp.lesson_id = l.id JOIN Modules m ON l.module_id = m.id
+                     WHERE m.course_id = c.id AND l.status = 'PUBLICADO' AND lp.user_id = ? AND lp.completed_at IS NOT NULL) AS completed_lessons
+             FROM Courses c
+             LEFT JOIN Purchases p ON p.course_id = c.id AND p.user_id = ?
+             WHERE c.id IN (${courseIds.map(() => '?').join(', ')})`,
+            [userId, userId, ...courseIds]
+        );
+        purchases.sort((a, b) => accessByCourse.get(b.course_id).startedAt - accessByCourse.get(a.course_id).startedAt);
+
+        // Última aula assistida de cada curso (para o painel "continuar de onde parou")
+        const [recentProgress] = await pool.execute(
+            `SELECT m.course_id, lp.lesson_id, l.title, lp.last_position_seconds, lp.updated_at
+             FROM LessonProgress lp
+             JOIN Lessons l ON lp.lesson_id = l.id
+             JOIN Modules m ON l.module_id = m.id
+             WHERE lp.user_id = ?
+             ORDER BY lp.updated_at DESC`,
             [userId]
         );
+        const lastLessonByCourse = {};
+        for (const row of recentProgress) {
+            if (!lastLessonByCourse[row.course_id]) {
+                lastLessonByCourse[row.course_id] = {
+                    lessonId: row.lesson_id,
+                    title: row.title,
+                    positionSeconds: row.last_position_seconds,
+                    updatedAt: row.updated_at
+                };
+            }
+        }
         
-        // Adiciona a flag de elegibilidade ao reembolso (7 dias após a compra)
+        // Adiciona a origem do acesso, a flag de elegibilidade ao reembolso (7 dias após a compra avulsa) e o progresso
         const coursesWithRefundStatus = purchases.map(course => {
-            const purchaseDate = new Date(course.purchase_date);
-            const now = new Date();
-            const diffTime = Math.abs(now - purchaseDate);
-            const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+            const access = accessByCourse.get(course.course_id);
+            let isRefundEligible = false;
+            let diffDays = null;
+            if (course.purchase_date) {
+                const purchaseDate = new Date(course.purchase_date);
+                const now = new Date();
+                const diffTime = Math.abs(now - purchaseDate);
+                diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+
+                isRefundEligible = diffDays <= 7;
+            }
             
-            const isRefundEligible = diffDays <= 7;
+            const totalLessons = Number(course.total_lessons);
+            const completedLessons = Number(course.completed_lessons);
             
             return {
                 ...course,
+                accessSources: access.sources,
+                accessStartedAt: access.startedAt,
+                accessExpiresAt: access.expiresAt,
+                isAccessExpired: access.isExpired, // Curso bloqueado: o acesso venceu
                 isRefundEligible,
-                daysSincePurchase: diffDays
+                daysSincePurchase: diffDays,
+                progressPercentage: calculateProgressPercentage(completedLessons, totalLessons),
+                lastLesson: lastLessonByCourse[course.course_id] || null
             };
         });
 
@@ -137,17 +442,19 @@ async function getCourseContent(req, res) {
     const { courseId } = req.params;
 
     try {
-        // 1. Verificar se o usuário comprou o curso
-        const [purchase] = await pool.execute(
-            'SELECT purchase_date FROM Purchases WHERE user_id = ? AND course_id = ?',
-            [userId, courseId]
-        );
+        // 1. Verificar se o usuário tem acesso ao curso (compra, pacote, assinatura ou concessão do Admin)
+        const access = await findCourseAccess(userId, courseId, { includeExpired: true });
 
-        if (purchase.length === 0) {
+        if (!access) {
             return res.status(403).json({ message: 'Acesso negado. Você precisa comprar este curso para ver o conteúdo.' });
         }
+        if (access.isExpired) {
+            return res.status(403).json({
+                message: `Seu acesso a este curso expirou em ${access.expiresAt.toISOString().split('T')[0]}.`,
+                accessExpiresAt: access.expiresAt
+            });
+        }
 
-        const purchaseDate = new Date(purchase[0].purchase_date);
         
         // 2. Buscar o curso e seus módulos
         const [courseInfo] = await pool.execute('SELECT id, name FROM Courses WHERE id = ?', [courseId]);
@@ -158,51 +465,96 @@ async function getCourseContent(req, res) {
             [courseId]
         );
 
-        // 3. Buscar as aulas e aplicar a lógica de Drip Content
+        // Progresso do usuário nas aulas deste curso
+        const [progressRows] = await pool.execute(
+            `SELECT lp.lesson_id, lp.started_at, lp.completed_at, lp.last_position_seconds
+             FROM LessonProgress lp
+             JOIN Lessons l ON lp.lesson_id = l.id
+             JOIN Modules m ON l.module_id = m.id
+             WHERE lp.user_id = ? AND m.course_id = ?`,
+            [userId, courseId]
+        );
+        const progressByLesson = {};
+        for (const row of progressRows) {
+            progressByLesson[row.lesson_id] = row;
+        }
+
+        // 3. Buscar as aulas e aplicar a lógica de Drip Content (modo do curso ou do módulo, ver courseAccess.js)
+        const releaseSchedule = await getCourseReleaseSchedule(userId, courseId, access.startedAt);
+        const quizzes = await getCourseQuizzes(userId, courseId); // Resumo dos questionários (sem as questões)
         for (let module of modules) {
+            module.quizzes = quizzes.byModule[module.id] || [];
+
             const [lessons] = await pool.execute(
-                `SELECT id, title, video_url, description_text, links, drip_days, order_index 
+                `SELECT id, title, video_url, video_public_id, video_format, description_text, links, drip_days, order_index 
                  FROM Lessons 
-                 WHERE module_id = ? 
+                 WHERE module_id = ? AND status = 'PUBLICADO'
                  ORDER BY order_index ASC`,
                 [module.id]
             );
 
             module.lessons = lessons.map(lesson => {
-                const dripDays = lesson.drip_days;
-                
-                // Calcula a data de liberação (Data da Compra + Drip Days)
-                const releaseDate = new Date(purchaseDate);
-                releaseDate.setDate(purchaseDate.getDate() + dripDays);
-                
-                const now = new Date();
-                const isReleased = now >= releaseDate;
+                const { mode, isReleased, releaseDate, requiredQuizId } = releaseSchedule.get(lesson.id);
+                const lessonQuizzes = quizzes.byLesson[lesson.id] || [];
+
+                const lessonProgress = progressByLesson[lesson.id];
+                const progress = {
+                    isStarted: Boolean(lessonProgress),
+                    isCompleted: Boolean(lessonProgress && lessonProgress.completed_at),
+                    lastPositionSeconds: lessonProgress ? lessonProgress.last_position_seconds : 0
+                };
                 
                 // Se não estiver liberado, oculta os dados sensíveis (URL do vídeo, descrição, links)
                 if (!isReleased) {
+                    let descriptionText = 'O conteúdo desta aula será liberado em breve.';
+                    if (requiredQuizId) {
+                        descriptionText = 'Seja aprovado no questionário do módulo anterior para liberar esta aula.';
+                    } else if (mode === 'SEQUENCIAL') {
+                        descriptionText = 'Conclua a aula anterior para liberar esta aula.';
+                    }
+
                     return {
                         id: lesson.id,
                         title: lesson.title,
                         order_index: lesson.order_index,
                         isReleased: false,
-                        releaseDate: releaseDate.toISOString().split('T')[0], // Data de liberação para o usuário
+                        releaseDate: releaseDate ? releaseDate.toISOString().split('T')[0] : null, // null = depende de concluir a aula anterior
+                        requiredQuizId, // Questionário obrigatório que bloqueia a aula (ou null)
                         videoUrl: null, // Ocultado
-                        descriptionText: 'O conteúdo desta aula será liberado em breve.',
+                        descriptionText,
                         links: null, // Ocultado
+                        progress,
+                        quizzes: lessonQuizzes
                     };
                 }
 
-                // Se estiver liberado, retorna o conteúdo completo
+                // Se estiver liberado, retorna o conteúdo completo.
+                // Vídeos privados recebem uma URL assinada e temporária, gerada a cada requisição.
+                const { video_public_id, video_format, ...lessonData } = lesson;
+                let videoUrlExpiresAt = null;
+                if (video_public_id) {
+                    const signed = getSignedVideoUrl(video_public_id, video_format);
+                    lessonData.video_url = signed.url;
+                    videoUrlExpiresAt = signed.expiresAt;
+                }
+
                 return {
-                    ...lesson,
+                    ...lessonData,
+                    videoUrlExpiresAt,
                     isReleased: true,
-                    links: lesson.links ? JSON.parse(lesson.links) : null // Parseia o JSON dos links
+                    links: lesson.links ? JSON.parse(lesson.links) : null, // Parseia o JSON dos links
+                    progress,
+                    quizzes: lessonQuizzes
                 };
             });
         }
+
+        const courseProgress = await getCourseProgress(userId, courseId);
         
         res.json({
             course: courseInfo[0],
+            access: { sources: access.sources, expiresAt: access.expiresAt }, // expiresAt: fim da assinatura ou da concessão (null = permanente)
+            progress: courseProgress,
             modules
         });
 
@@ -227,7 +579,12 @@ async function requestRefund(req, res) {
     try {
         // 1. Verifica se o curso foi comprado e se está no prazo de 7 dias
         const [purchaseRows] = await pool.execute(
-            'SELECT c.name, u.name as user_name, u.email, p.purchase_date FROM Purchases p JOIN Courses c ON p.course_id = c.id JOIN Users u ON p.user_id = u.id WHERE p.user_id = ? AND p.course_id = ?',
+            `SELECT c.name, u.name as user_name, u.email, p.purchase_date, o.gift_id
+             FROM Purchases p
+             JOIN Courses c ON p.course_id = c.id
+             JOIN Users u ON p.user_id = u.id
+             LEFT JOIN Orders o ON p.order_id = o.id
+             WHERE p.user_id = ? AND p.course_id = ?`,
             [userId, courseId]
         );
 
@@ -236,6 +593,11 @@ async function requestRefund(req, res) {
         }
         
         const purchase = purchaseRows[0];
+
+        // O pedido de um presente é de quem comprou: o destinatário não pode pedir o reembolso
+        if (purchase.gift_id) {
+            return res.status(403).json({ message: 'Cursos recebidos de presente não podem ser reembolsados.' });
+        }
         const purchaseDate = new Date(purchase.purchase_date);
         const now = new Date();
         const diffTime = Math.abs(now - purchaseDate);
@@ -261,8 +623,13 @@ async function requestRefund(req, res) {
             [userId, courseId, message]
         );
 
-        // 4. Notifica o Admin por email (via Brevo)
-        await sendRefundNotification(purchase.user_name, purchase.email, purchase.name, message);
+        // 4. Notifica o Admin por email. O pedido já está salvo: se o envio falhar, o email vai para a fila de reenvio.
+        await sendEmail('refund_request_admin', {
+            to: config.email.admin,
+            replyTo: { email: purchase.email, name: purchase.user_name },
+            locale: config.email.adminLocale,
+            variables: { userName: purchase.user_name, userEmail: purchase.email, courseName: purchase.name, message }
+        });
 
         res.json({ message: 'Pedido de reembolso enviado com sucesso! O administrador será notificado.' });
 